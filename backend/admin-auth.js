@@ -0,0 +1,21 @@
+// admin-auth.js - Guards operator-only routes with the ADMIN_TOKEN bearer token
+import crypto from "crypto";
+
+export const tokensMatch = (given, expected) => {
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+export const createAdminAuth = (adminToken) => (req, res, next) => {
+  if (!adminToken) {
+    return res.status(503).json({ error: "Admin API disabled (set ADMIN_TOKEN)" });
+  }
+
+  const header = req.get("authorization") ?? "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!token || !tokensMatch(token, adminToken)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+};
@@ -0,0 +1,49 @@
+// analyzers/gemini.js
+import { GoogleGenAI } from "@google/genai";
+
+const INSTRUCTIONS =
+  "You write notes for the Revolt Motors sales team about a finished conversation " +
+  "between a customer (USER) and the Rev voice assistant (BOT). Write `summary` in " +
+  "English, two to four sentences: what the customer wanted, what they were told and " +
+  "any agreed next step. Fill `fields` only with what the customer actually said; " +
+  "use null for anything not mentioned. Do not guess.";
+
+export const createGeminiAnalyzer = ({ apiKey, model }) => {
+  const ai = new GoogleGenAI({ apiKey });
+
+  const analyze = async ({ transcript, schema }) => {
+    const conversation = transcript
+      .map(({ speaker, text }) => `${speaker === "user" ? "USER" : "BOT"}: ${text}`)
+      .join("\n");
+
+    // Every field is nullable so the model is never pushed to invent one
+    const fields = {
+      type: "object",
+      properties: Object.fromEntries(
+        Object.entries(schema.properties).map(([name, spec]) => [
+          name,
+          { ...spec, type: [spec.type, "null"], ...(spec.enum ? { enum: [...spec.enum, null] } : {}) }
+        ])
+      ),
+      required: Object.keys(schema.properties)
+    };
+
+    const response = await ai.models.generateContent({
+      model,
+      contents: conversation,
+      config: {
+        systemInstruction: INSTRUCTIONS,
+        responseMimeType: "application/json",
+        responseJsonSchema: {
+          type: "object",
+          properties: { summary: { type: "string" }, fields },
+          required: ["summary", "fields"]
+        },
+        temperature: 0
+      }
+    });
+    return { ...JSON.parse(response.text), usageMetadata: response.usageMetadata };
+  };
+
+  return { name: "gemini", analyze };
+};
@@ -0,0 +1,120 @@
+// analyzers/index.js
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { createGeminiAnalyzer } from "./gemini.js";
+import { createMockAnalyzer } from "./mock.js";
+import { tokensFromMetadata } from "../usage.js";
+
+/*
+ * After a call, an analyzer writes the notes the sales team reads instead of
+ * the recording:
+ *
+ *   analyzer.analyze({ transcript, schema }) -> Promise<{ summary, fields, usageMetadata }>
+ *
+ * `transcript` is [{ speaker: "user" | "assistant", text }] in order.
+ * `schema` is the lead schema: a flat JSON schema whose properties have a
+ * `type` (string, number, integer or boolean), a `description` and
+ * optionally an `enum`. `fields` may be partial or loosely typed;
+ * createCallAnalysis() checks it against the schema, so analyzers need not.
+ * `usageMetadata` is the model's token report for the call, as
+ * generateContent returns it; it is billed like the conversation's own.
+ */
+const ANALYZERS = {
+  gemini: createGeminiAnalyzer,
+  mock: createMockAnalyzer
+};
+
+export const createAnalyzer = (name, options = {}) => {
+  const factory = ANALYZERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown analyzer "${name}" (available: ${Object.keys(ANALYZERS).join(", ")})`
+    );
+  }
+  return factory(options);
+};
+
+// --- Lead Schema ---
+
+const FIELD_TYPES = new Set(["string", "number", "integer", "boolean"]);
+const MAX_FIELD_LENGTH = 200;
+const MAX_SUMMARY_LENGTH = 2000;
+
+export const loadLeadSchema = (file) => {
+  const text = fs.readFileSync(file, "utf8");
+  const schema = path.extname(file).toLowerCase() === ".json" ? JSON.parse(text) : YAML.parse(text);
+
+  const properties = schema?.properties;
+  if (!properties || typeof properties !== "object" || !Object.keys(properties).length) {
+    throw new Error(`${file}: "properties" must list at least one field`);
+  }
+  for (const [name, spec] of Object.entries(properties)) {
+    if (!FIELD_TYPES.has(spec?.type)) {
+      throw new Error(`${file}: field "${name}" must have a type of ${[...FIELD_TYPES].join(", ")}`);
+    }
+    if (spec.enum && (!Array.isArray(spec.enum) || !spec.enum.length)) {
+      throw new Error(`${file}: "enum" of field "${name}" must be a non-empty list`);
+    }
+  }
+  return { type: "object", properties };
+};
+
+const TYPE_COERCIONS = {
+  string: (v) => (typeof v === "string" || typeof v === "number" ? String(v).trim().slice(0, MAX_FIELD_LENGTH) : null),
+  number: (v) => (typeof v === "number" ? v : typeof v === "string" ? Number(v.trim() || NaN) : NaN),
+  integer: (v) => (typeof v === "number" ? v : typeof v === "string" ? Number(v.trim() || NaN) : NaN),
+  boolean: (v) => (typeof v === "boolean" ? v : v === "true" ? true : v === "false" ? false : null)
+};
+
+// Every schema field, in schema order; anything missing or malformed is null
+// and values outside an enum are matched to it case-insensitively
+const normalizeLead = (schema, fields = {}) => {
+  const lead = {};
+  for (const [name, spec] of Object.entries(schema.properties)) {
+    let value = fields?.[name] == null ? null : TYPE_COERCIONS[spec.type](fields[name]);
+    if (typeof value === "number" && (!Number.isFinite(value) || (spec.type === "integer" && !Number.isInteger(value)))) {
+      value = null;
+    }
+    if (value === "") value = null;
+    if (value !== null && spec.enum) {
+      value = spec.enum.find((option) => String(option).toLowerCase() === String(value).toLowerCase()) ?? null;
+    }
+    lead[name] = value;
+  }
+  return lead;
+};
+
+// --- Post-Call Analysis ---
+
+export const createCallAnalysis = ({ analyzer, schema, timeoutMs = 15_000 }) => ({
+  // Resolves to what is stored with the session as `analysis`. `onTokens`
+  // gets what the call spent, even when it finishes after the timeout.
+  async analyze(turns, { onTokens } = {}) {
+    const transcript = turns
+      .filter((turn) => turn.text)
+      .map(({ speaker, text }) => ({ speaker, text }));
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Analysis timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    const startedAt = Date.now();
+    try {
+      const call = analyzer.analyze({ transcript, schema });
+      call.then((result) => {
+        if (result?.usageMetadata) onTokens?.(tokensFromMetadata(result.usageMetadata));
+      }, () => {});
+      const result = await Promise.race([call, timeout]);
+      return {
+        analyzer: analyzer.name,
+        generatedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt,
+        summary: typeof result?.summary === "string" ? result.summary.trim().slice(0, MAX_SUMMARY_LENGTH) : "",
+        lead: normalizeLead(schema, result?.fields)
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+});
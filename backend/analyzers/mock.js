@@ -0,0 +1,89 @@
+// analyzers/mock.js
+// Offline stand-in for a summarizing model: no key, no network, and the same
+// transcript always gives the same notes. Fields are picked out of what the
+// customer said with a few patterns keyed on the field's name and type:
+//
+//   enum fields             the longest option mentioned ("RV400 BRZ" over "RV400")
+//   *name*                  "my name is …", "this is …", "call me …"
+//   *phone* / *mobile*      the first run of 10+ digits
+//   *email*                 the first email address
+//   *city* / *location*     a capitalized place after "in", "from" or "near"
+//   boolean fields          whether the name's words come up ("testRideIntent"
+//                           -> "test ride"); false when negated just before
+//
+// Anything else stays null. Good enough to exercise the pipeline in tests.
+// Token usage is estimated from the text's length.
+
+const NAME_PATTERN = /\b(?:my name is|this is|call me)\s+([A-Z][\w'-]*(?:\s+[A-Z][\w'-]*)?)/i;
+const PHONE_PATTERN = /\+?\d[\d\s-]{8,}\d/;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PLACE_PATTERN = /\b(?:in|from|near)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/;
+const NEGATION_PATTERN = /\b(?:no|not|don't|do not|never|won't)\s+(?:\w+\s+){0,2}$/i;
+// Words in a boolean field's name that describe it rather than the topic
+const QUALIFIER_WORDS = new Set(["intent", "interest", "interested", "wanted", "requested", "is", "has", "wants"]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const mentions = (text, phrase) =>
+  new RegExp(`(?:^|[^\\w])${escapeRegExp(phrase)}(?![\\w+])`, "i").exec(text);
+
+const topicOf = (fieldName) =>
+  fieldName
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .toLowerCase()
+    .split(" ")
+    .filter((word) => word && !QUALIFIER_WORDS.has(word))
+    .join(" ");
+
+const extractField = (name, spec, text) => {
+  const key = name.toLowerCase();
+
+  if (spec.enum) {
+    const options = [...spec.enum].sort((a, b) => String(b).length - String(a).length);
+    return options.find((option) => mentions(text, String(option))) ?? null;
+  }
+  if (spec.type === "boolean") {
+    const topic = topicOf(name);
+    const match = topic && mentions(text, topic);
+    if (!match) return null;
+    return !NEGATION_PATTERN.test(text.slice(0, match.index + 1));
+  }
+  if (spec.type !== "string") return null;
+
+  if (key.includes("email")) return text.match(EMAIL_PATTERN)?.[0] ?? null;
+  if (key.includes("phone") || key.includes("mobile")) {
+    return text.match(PHONE_PATTERN)?.[0].replace(/[\s-]/g, "") ?? null;
+  }
+  if (key.includes("name")) return text.match(NAME_PATTERN)?.[1] ?? null;
+  if (key.includes("city") || key.includes("location")) return text.match(PLACE_PATTERN)?.[1] ?? null;
+  return null;
+};
+
+export const createMockAnalyzer = () => {
+  const analyze = async ({ transcript, schema }) => {
+    const said = transcript.filter((turn) => turn.speaker === "user").map((turn) => turn.text);
+    const text = said.join("\n");
+
+    const fields = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, spec]) => [name, extractField(name, spec, text)])
+    );
+    const noted = Object.keys(fields).filter((name) => fields[name] !== null);
+
+    const summary = [
+      `The customer spoke ${said.length} time(s) and the bot ${transcript.length - said.length} time(s).`,
+      said.length ? `They opened with: "${said[0].slice(0, 120).replace(/[.!?]+$/, "")}".` : "",
+      noted.length ? `Noted: ${noted.join(", ")}.` : "No lead details were mentioned."
+    ].filter(Boolean).join(" ");
+
+    // Roughly what a real model would bill, at four characters a token
+    const usageMetadata = {
+      promptTokenCount: Math.ceil(transcript.reduce((sum, turn) => sum + turn.text.length, 0) / 4),
+      candidatesTokenCount: Math.ceil(JSON.stringify({ summary, fields }).length / 4)
+    };
+
+    return { summary, fields, usageMetadata };
+  };
+
+  return { name: "mock", analyze };
+};
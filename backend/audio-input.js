@@ -0,0 +1,85 @@
+// audio-input.js - Validates the microphone format a client declares and
+// checks that the audio it actually streams matches it
+import { AUDIO_FORMATS, ErrorCode, ProtocolError } from "../shared/protocol.js";
+
+// Rates the Live API accepts for raw PCM input (it resamples internally)
+const MIN_INPUT_RATE = 8000;
+const MAX_INPUT_RATE = 48000;
+
+// Rate checks need this much continuous speech to be meaningful; clients
+// that stream without ever marking the end of speech are checked every
+// MAX_MEASURE_MS instead
+const MIN_MEASURE_MS = 2000;
+const MAX_MEASURE_MS = 10000;
+// Frames within this long of an utterance's start may arrive as a burst
+// (pre-roll), so they are not used as the reference point
+const BURST_MS = 300;
+const RATE_TOLERANCE = 0.15;
+
+// Resolves the input format from a hello's `audio.input`; clients that do
+// not declare one are assumed to send the protocol default.
+export const resolveInputFormat = (declared) => {
+  if (declared == null) return { ...AUDIO_FORMATS.input };
+
+  const { encoding, sampleRate, channels } = declared;
+  if (
+    encoding !== AUDIO_FORMATS.input.encoding ||
+    channels !== 1 ||
+    !Number.isInteger(sampleRate) ||
+    sampleRate < MIN_INPUT_RATE ||
+    sampleRate > MAX_INPUT_RATE
+  ) {
+    throw new ProtocolError(
+      ErrorCode.UNSUPPORTED_AUDIO_FORMAT,
+      `Unsupported input audio ${JSON.stringify(declared)} (expected mono ${AUDIO_FORMATS.input.encoding}, ${MIN_INPUT_RATE}-${MAX_INPUT_RATE} Hz)`
+    );
+  }
+  return { encoding, sampleRate, channels };
+};
+
+// Compares the samples received during each utterance with the client's
+// frame timestamps. A client whose worklet skips resampling (the bug this
+// guards against) sends e.g. 48 kHz audio labelled 16 kHz; that shows up
+// here as a rate three times the declared one. Reports each utterance that
+// is off by more than RATE_TOLERANCE.
+export const createRateMonitor = ({ sampleRate, onMismatch }) => {
+  let utteranceStart = null;
+  let reference = null;
+  let samplesSinceReference = 0;
+
+  const check = (timestamp) => {
+    const elapsedMs = timestamp - reference;
+    if (reference == null || elapsedMs < MIN_MEASURE_MS) return;
+
+    const measured = Math.round((samplesSinceReference * 1000) / elapsedMs);
+    if (Math.abs(measured - sampleRate) / sampleRate > RATE_TOLERANCE) {
+      onMismatch(measured);
+    }
+  };
+
+  const observe = ({ timestamp, samples, endOfSpeech }) => {
+    if (utteranceStart == null) utteranceStart = timestamp;
+
+    if (reference == null) {
+      if (timestamp - utteranceStart >= BURST_MS) {
+        reference = timestamp;
+        samplesSinceReference = 0;
+      }
+    } else {
+      samplesSinceReference += samples;
+      if (timestamp - reference >= MAX_MEASURE_MS) {
+        check(timestamp);
+        reference = timestamp;
+        samplesSinceReference = 0;
+      }
+    }
+
+    if (endOfSpeech) {
+      check(timestamp);
+      utteranceStart = null;
+      reference = null;
+    }
+  };
+
+  return { observe };
+};
@@ -0,0 +1,89 @@
+// config.js
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Server
+export const PORT = Number(process.env.PORT || 3000);
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN; // unset disables /admin routes
+export const TELEPHONY_TOKEN = process.env.TELEPHONY_TOKEN; // unset disables phone calls at /telephony
+export const MAINTENANCE_MESSAGE = "Rev is down for maintenance. Please try again a little later.";
+
+// Observability
+export const LOG_LEVEL = process.env.LOG_LEVEL || "info"; // "debug" | "info" | "warn" | "error"
+export const PROVIDER_HEALTH_WINDOW_MS = 60_000; // how long a provider failure marks /healthz degraded
+
+// Access (sessions need a ticket from POST /api/tickets)
+const list = (value) => (value ? value.split(",").map((s) => s.trim()).filter(Boolean) : []);
+export const TICKET_SECRET = process.env.TICKET_SECRET;
+export const TICKET_TTL_MS = Number(process.env.TICKET_TTL_MS || 60_000);
+export const TICKET_API_KEYS = list(process.env.TICKET_API_KEYS);
+export const ALLOWED_ORIGINS = list(process.env.ALLOWED_ORIGINS);
+export const TICKETS_PER_MINUTE_PER_IP = Number(process.env.TICKETS_PER_MINUTE_PER_IP || 20);
+
+// Abuse Limits (0 disables a limit)
+export const MAX_SESSIONS = Number(process.env.MAX_SESSIONS ?? 50);
+export const MAX_SESSIONS_PER_IP = Number(process.env.MAX_SESSIONS_PER_IP ?? 3);
+export const DAILY_MINUTES_PER_IP = Number(process.env.DAILY_MINUTES_PER_IP ?? 60);
+
+// Usage Budgets (0 disables a limit; callers are warned before a limit ends their session)
+export const MAX_SESSION_MINUTES = Number(process.env.MAX_SESSION_MINUTES ?? 30);
+export const MAX_SESSION_TOKENS = Number(process.env.MAX_SESSION_TOKENS ?? 250_000);
+export const DAILY_TOKEN_BUDGET = Number(process.env.DAILY_TOKEN_BUDGET ?? 0); // all sessions, per UTC day
+export const USAGE_FILE = process.env.USAGE_FILE || new URL("./data/usage.json", import.meta.url).pathname;
+export const LIMIT_WARNING_MS = 60_000; // how long before a time limit the caller is warned
+export const LIMIT_WARNING_FRACTION = 0.9; // share of a token limit spent before the caller is warned
+
+// Sessions
+export const SESSION_IDLE_MS = 90_000; // 1.5 minutes idle timeout
+export const SESSION_RESUME_GRACE_MS = Number(process.env.SESSION_RESUME_GRACE_MS || 60_000);
+export const HANDSHAKE_TIMEOUT_MS = 5000;
+export const MAX_RECONNECT_ATTEMPTS = 3;
+export const RECONNECT_DELAY_MS = 2000;
+export const MAX_TEXT_INPUT_LENGTH = 2000;
+
+// Images shared during a conversation (photos and camera or screen frames)
+export const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES ?? 5 * 1024 * 1024); // 0 disables images
+export const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION || 1024); // longest side sent to the model
+export const IMAGE_FRAME_INTERVAL_MS = Number(process.env.IMAGE_FRAME_INTERVAL_MS || 1000); // faster camera/screen frames are dropped
+
+// Conversation History
+export const HISTORY_DIR = process.env.HISTORY_DIR || new URL("./data/sessions", import.meta.url).pathname;
+export const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS || 30); // 0 keeps forever
+export const HISTORY_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Recordings (off unless enabled; each session also needs the client's consent)
+export const RECORDING_ENABLED = process.env.RECORDING_ENABLED === "true";
+export const RECORDINGS_DIR = process.env.RECORDINGS_DIR || new URL("./data/recordings", import.meta.url).pathname;
+export const RECORDING_RETENTION_DAYS = Number(process.env.RECORDING_RETENTION_DAYS || 14); // 0 keeps forever
+
+// Webhooks (subscriptions file; a missing file disables them)
+export const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || new URL("./webhooks.yaml", import.meta.url).pathname;
+export const WEBHOOK_LOG_FILE = process.env.WEBHOOK_LOG_FILE || new URL("./data/webhooks/deliveries.jsonl", import.meta.url).pathname;
+export const WEBHOOK_LOG_RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_RETENTION_DAYS || 7); // 0 keeps forever
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+export const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 5000); // doubles per retry
+export const WEBHOOK_TIMEOUT_MS = 10_000;
+
+// Personas
+export const PERSONAS_DIR = process.env.PERSONAS_DIR || new URL("./personas", import.meta.url).pathname;
+export const DEFAULT_PERSONA = process.env.DEFAULT_PERSONA || "rev";
+
+// Tools
+export const TOOL_TIMEOUT_MS = Number(process.env.TOOL_TIMEOUT_MS || 8000);
+
+// Knowledge Base
+export const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || new URL("./knowledge", import.meta.url).pathname;
+
+// AI Provider
+export const MODEL = "gemini-2.5-flash-preview-native-audio-dialog";
+export const AI_PROVIDER = process.env.AI_PROVIDER || "gemini"; // "gemini" | "mock"
+export const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+export const MOCK_PROVIDER_MODE = process.env.MOCK_PROVIDER_MODE;
+
+// Post-Call Analysis (summary and lead fields for the sales team)
+export const ANALYSIS_ENABLED = process.env.ANALYSIS_ENABLED === "true"; // one billable model call per session
+export const ANALYZER = process.env.ANALYZER || AI_PROVIDER; // "gemini" | "mock"
+export const ANALYSIS_MODEL = "gemini-2.5-flash";
+export const ANALYSIS_TIMEOUT_MS = Number(process.env.ANALYSIS_TIMEOUT_MS || 15_000);
+export const LEAD_SCHEMA_FILE = process.env.LEAD_SCHEMA_FILE || new URL("./lead-schema.yaml", import.meta.url).pathname;
@@ -0,0 +1,74 @@
+// health.js - Readiness of this instance, mainly whether the AI provider works
+//
+// Every connect and error of every session counts. The provider is
+// "degraded" when its latest outcome was a failure within the last
+// `windowMs`; one session opening successfully clears it.
+
+export const createProviderHealth = ({ windowMs = 60_000 } = {}) => {
+  let lastSuccessAt = null;
+  let lastFailureAt = null;
+  let lastError = null;
+  let consecutiveFailures = 0;
+
+  return {
+    succeeded() {
+      lastSuccessAt = Date.now();
+      consecutiveFailures = 0;
+    },
+
+    failed(error) {
+      lastFailureAt = Date.now();
+      lastError = error?.message ?? String(error);
+      consecutiveFailures++;
+    },
+
+    check(now = Date.now()) {
+      const failing =
+        lastFailureAt !== null &&
+        lastFailureAt >= (lastSuccessAt ?? 0) &&
+        now - lastFailureAt < windowMs;
+      return {
+        status: failing ? "degraded" : "healthy",
+        consecutiveFailures,
+        lastError: failing ? lastError : null,
+        lastFailureAt: lastFailureAt && new Date(lastFailureAt).toISOString(),
+        lastSuccessAt: lastSuccessAt && new Date(lastSuccessAt).toISOString()
+      };
+    }
+  };
+};
+
+// Wraps a provider so its connects and errors reach `health` and `metrics`
+// without the session code having to report them
+export const trackProvider = (provider, { health, metrics }) => {
+  const failed = (error) => {
+    health.failed(error);
+    metrics.aiErrors.inc({ provider: provider.name });
+  };
+
+  return {
+    ...provider,
+    async connect(options) {
+      const callbacks = options.callbacks ?? {};
+      try {
+        return await provider.connect({
+          ...options,
+          callbacks: {
+            ...callbacks,
+            onopen: (...args) => {
+              health.succeeded();
+              callbacks.onopen?.(...args);
+            },
+            onerror: (error) => {
+              failed(error);
+              callbacks.onerror?.(error);
+            }
+          }
+        });
+      } catch (error) {
+        failed(error);
+        throw error;
+      }
+    }
+  };
+};
@@ -0,0 +1,103 @@
+// history.js - Persisted conversation records, one JSON file per session
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isValidSessionId = (id) => SESSION_ID_PATTERN.test(id);
+
+export const createHistoryStore = ({ dir, retentionDays = 0 }) => {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  const readRecord = async (file) => JSON.parse(await fs.readFile(file, "utf8"));
+
+  const listFiles = async () => {
+    try {
+      const names = await fs.readdir(dir);
+      return names.filter((name) => name.endsWith(".json")).map((name) => path.join(dir, name));
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+  };
+
+  return {
+    // Write-then-rename so a crash never leaves half a record behind
+    async save(record) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(record.id);
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(record, null, 2));
+      await fs.rename(tmp, file);
+    },
+
+    async get(id) {
+      if (!isValidSessionId(id)) return null;
+      try {
+        return await readRecord(fileFor(id));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+
+    // Newest first, without the bulky turn lists
+    async list({ limit = 50, offset = 0 } = {}) {
+      const records = [];
+      for (const file of await listFiles()) {
+        try {
+          const { turns = [], interruptions = [], toolCalls = [], errors = [], ...meta } =
+            await readRecord(file);
+          records.push({
+            ...meta,
+            turnCount: turns.length,
+            interruptionCount: interruptions.length,
+            toolCallCount: toolCalls.length,
+            errorCount: errors.length
+          });
+        } catch (e) {
+          logger.warn("Skipping unreadable session record", { file, reason: e.message });
+        }
+      }
+
+      records.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+      return { total: records.length, sessions: records.slice(offset, offset + limit) };
+    },
+
+    // Records saved at or after `since` (ms), e.g. today's sessions. Files
+    // are picked by modification time so older records are never parsed.
+    async savedSince(since) {
+      const records = [];
+      for (const file of await listFiles()) {
+        try {
+          if ((await fs.stat(file)).mtimeMs < since) continue;
+          records.push(await readRecord(file));
+        } catch (e) {
+          logger.warn("Skipping unreadable session record", { file, reason: e.message });
+        }
+      }
+      return records;
+    },
+
+    async purgeExpired(now = Date.now()) {
+      if (!retentionDays) return 0;
+      const cutoff = now - retentionDays * DAY_MS;
+      let purged = 0;
+
+      for (const file of await listFiles()) {
+        try {
+          const { endedAt, startedAt } = await readRecord(file);
+          if (Date.parse(endedAt || startedAt) < cutoff) {
+            await fs.unlink(file);
+            purged++;
+          }
+        } catch (e) {
+          logger.warn("Retention check failed", { file, reason: e.message });
+        }
+      }
+      return purged;
+    }
+  };
+};
@@ -0,0 +1,72 @@
+// images.js - Checks and shrinks images shared during a conversation
+//
+// Clients send photos (uploads) and camera or screen-share frames as they
+// are. Only JPEG, PNG and WebP are accepted, recognised by their bytes
+// rather than by anything the client claims. Each image is turned upright,
+// scaled down so its longest side fits the model's input and re-encoded as
+// JPEG; a small thumbnail goes back to the client as a record of what was
+// shared.
+import sharp from "sharp";
+import { ErrorCode, ProtocolError } from "../shared/protocol.js";
+
+const SIGNATURES = [
+  { type: "image/jpeg", matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    type: "image/png",
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    type: "image/webp",
+    matches: (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP"
+  }
+];
+
+const MAX_INPUT_PIXELS = 50_000_000; // refuses decompression bombs
+const JPEG_QUALITY = 80;
+const THUMBNAIL_SIZE = 160;
+const THUMBNAIL_QUALITY = 60;
+
+export const sniffImageType = (bytes) =>
+  SIGNATURES.find(({ matches }) => bytes.length >= 12 && matches(bytes))?.type ?? null;
+
+const invalid = (message) => new ProtocolError(ErrorCode.INVALID_IMAGE, message);
+
+export const createImageProcessor = ({ maxBytes, maxDimension }) => {
+  // Resolves to { data, mimeType, width, height, thumbnail } or rejects
+  // with an invalid_image ProtocolError the client can be told about
+  const prepare = async (bytes) => {
+    if (bytes.length > maxBytes) {
+      throw invalid(`Image too large (max ${Math.round(maxBytes / 1024 / 1024)} MB)`);
+    }
+    if (!sniffImageType(bytes)) {
+      throw invalid("Unsupported image type (use JPEG, PNG or WebP)");
+    }
+
+    let image;
+    try {
+      image = await sharp(bytes, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate() // applies the EXIF orientation of phone photos
+        .resize({ width: maxDimension, height: maxDimension, fit: "inside", withoutEnlargement: true })
+        .flatten({ background: "#ffffff" }) // JPEG has no transparency
+        .jpeg({ quality: JPEG_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+    } catch {
+      throw invalid("The image could not be read");
+    }
+
+    const thumbnail = await sharp(image.data)
+      .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: "inside" })
+      .jpeg({ quality: THUMBNAIL_QUALITY })
+      .toBuffer();
+
+    return {
+      data: image.data,
+      mimeType: "image/jpeg",
+      width: image.info.width,
+      height: image.info.height,
+      thumbnail: `data:image/jpeg;base64,${thumbnail.toString("base64")}`
+    };
+  };
+
+  return { maxBytes, prepare };
+};
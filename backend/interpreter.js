@@ -0,0 +1,59 @@
+// interpreter.js - Interpreter mode: Rev translates between two people
+//
+// Instead of answering, the model repeats each utterance in the other of
+// two declared languages, e.g. a showroom salesperson speaking Hindi and a
+// customer speaking Tamil. The session is otherwise a normal one: the
+// caller's speech is the "user" turn and the translation the "assistant"
+// turn that follows it.
+import { ErrorCode, ProtocolError } from "../shared/protocol.js";
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language", fallback: "code" });
+
+export const languageName = (code) => languageNames.of(code);
+
+// Validates the hello's `interpreter` field; returns { languages } or null
+export const parseInterpreter = (value) => {
+  if (value == null) return null;
+
+  const languages = value.languages;
+  if (
+    !Array.isArray(languages) ||
+    languages.length !== 2 ||
+    !languages.every((code) => typeof code === "string" && LANGUAGE_PATTERN.test(code))
+  ) {
+    throw new ProtocolError(
+      ErrorCode.UNSUPPORTED_LANGUAGE,
+      'Interpreter mode needs two BCP-47 language codes, e.g. ["en-IN", "hi-IN"]'
+    );
+  }
+  const [a, b] = languages;
+  if (a.split("-")[0] === b.split("-")[0]) {
+    throw new ProtocolError(ErrorCode.UNSUPPORTED_LANGUAGE, "Interpreter languages must differ");
+  }
+  return { languages: [a, b] };
+};
+
+const interpreterInstruction = ([a, b]) => {
+  const first = languageName(a);
+  const second = languageName(b);
+  return [
+    `You are a live interpreter between two people in a conversation: one speaks ${first}, the other ${second}.`,
+    `Whenever you hear ${first}, say exactly the same thing in ${second}; whenever you hear ${second}, say it in ${first}.`,
+    "Translate faithfully and completely, in the first person, keeping the speaker's tone and register.",
+    "Never answer questions, add comments, greet, explain or say that you are translating: only speak the translation.",
+    "Keep names, model names, numbers and prices as spoken.",
+    "Reply in speech only."
+  ].join(" ");
+};
+
+// The persona's voice and model with interpreter instructions. No greeting
+// (the parties talk first) and no fixed output language, since each
+// translation is in whichever language was not spoken.
+export const createInterpreterPersona = (persona, { languages }) => ({
+  ...persona,
+  systemInstruction: interpreterInstruction(languages),
+  language: null,
+  greeting: null
+});
@@ -0,0 +1,226 @@
+// knowledge.js - Local document search for grounding answers
+//
+// Markdown, JSON and CSV files in the knowledge directory are split into
+// passages and indexed with BM25. Everything lives in memory; reindex()
+// rebuilds from disk and swaps the index in one step.
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_PASSAGE_CHARS = 800;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be by can do does for from has have how i in is it its " +
+    "me my of on or the this to was what when where which who why will with you your")
+    .split(" ")
+);
+
+export const tokenize = (text) =>
+  (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])
+    .filter((token) => !STOPWORDS.has(token))
+    .map((token) => (token.length > 3 && token.endsWith("s") ? token.slice(0, -1) : token));
+
+// --- Document Parsers (file -> passages) ---
+
+const splitLong = (text) => {
+  if (text.length <= MAX_PASSAGE_CHARS) return [text];
+  const parts = [];
+  let current = "";
+  for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+    if (current && current.length + sentence.length > MAX_PASSAGE_CHARS) {
+      parts.push(current);
+      current = "";
+    }
+    current += (current ? " " : "") + sentence;
+  }
+  if (current) parts.push(current);
+  return parts;
+};
+
+// One passage per heading section (long sections are split by sentence)
+const parseMarkdown = (text, fallbackTitle) => {
+  const passages = [];
+  let title = fallbackTitle;
+  let body = [];
+
+  const flush = () => {
+    const content = body.join("\n").trim();
+    if (content) splitLong(content).forEach((part) => passages.push({ title, text: part }));
+    body = [];
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    const heading = /^#{1,6}\s+(.*)$/.exec(line);
+    if (heading) {
+      flush();
+      title = heading[1].trim();
+    } else {
+      body.push(line);
+    }
+  }
+  flush();
+  return passages;
+};
+
+const describeRecord = (record) =>
+  Object.entries(record)
+    .filter(([, value]) => value !== "" && value != null)
+    .map(([key, value]) => `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`)
+    .join("\n");
+
+const recordTitle = (record, fallback) =>
+  record.title ?? record.name ?? record.model ?? record.question ?? fallback;
+
+// An array of records, or an object whose values are records
+const parseJSON = (text, fallbackTitle) => {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : Object.values(data);
+  return records
+    .filter((record) => record && typeof record === "object")
+    .map((record) => ({ title: String(recordTitle(record, fallbackTitle)), text: describeRecord(record) }));
+};
+
+// RFC 4180-style: quoted fields may contain commas, quotes ("") and newlines
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim()));
+};
+
+const parseCSV = (text, fallbackTitle) => {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) return [];
+  return rows.map((values) => {
+    const record = Object.fromEntries(header.map((key, i) => [key.trim(), (values[i] ?? "").trim()]));
+    return { title: String(recordTitle(record, fallbackTitle)), text: describeRecord(record) };
+  });
+};
+
+const PARSERS = {
+  ".md": parseMarkdown,
+  ".markdown": parseMarkdown,
+  ".json": parseJSON,
+  ".csv": parseCSV
+};
+
+// --- Index ---
+
+const buildIndex = (passages) => {
+  const postings = new Map(); // term -> Map(passageIndex -> term frequency)
+  const lengths = passages.map((passage, i) => {
+    const tokens = tokenize(`${passage.title} ${passage.text}`);
+    for (const token of tokens) {
+      if (!postings.has(token)) postings.set(token, new Map());
+      const termPostings = postings.get(token);
+      termPostings.set(i, (termPostings.get(i) ?? 0) + 1);
+    }
+    return tokens.length;
+  });
+  const avgLength = lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1);
+  return { passages, postings, lengths, avgLength };
+};
+
+export const createKnowledgeBase = ({ dir }) => {
+  let index = buildIndex([]);
+  let documents = [];
+  let indexedAt = null;
+
+  const reindex = async () => {
+    const started = Date.now();
+    let files = [];
+    try {
+      files = (await fs.readdir(dir)).sort();
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      logger.warn("Knowledge directory not found", { dir });
+    }
+
+    const passages = [];
+    const nextDocuments = [];
+    for (const file of files) {
+      const parse = PARSERS[path.extname(file).toLowerCase()];
+      if (!parse) continue;
+
+      try {
+        const text = await fs.readFile(path.join(dir, file), "utf8");
+        const docTitle = path.basename(file, path.extname(file));
+        const docPassages = parse(text, docTitle);
+        docPassages.forEach((passage, i) => {
+          passages.push({ ...passage, docId: file, passageId: `${file}#${i + 1}` });
+        });
+        nextDocuments.push({ id: file, passages: docPassages.length });
+      } catch (e) {
+        logger.error("Skipping knowledge file", { file, reason: e.message });
+      }
+    }
+
+    index = buildIndex(passages);
+    documents = nextDocuments;
+    indexedAt = new Date().toISOString();
+
+    const stats = { documents: documents.length, passages: passages.length, durationMs: Date.now() - started };
+    logger.info("Indexed knowledge base", stats);
+    return stats;
+  };
+
+  const search = (query, { limit = 3 } = {}) => {
+    const { passages, postings, lengths, avgLength } = index;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const termPostings = postings.get(term);
+      if (!termPostings) continue;
+      const idf = Math.log(1 + (passages.length - termPostings.size + 0.5) / (termPostings.size + 0.5));
+      for (const [i, tf] of termPostings) {
+        const norm = tf + BM25_K1 * (1 - BM25_B + (BM25_B * lengths[i]) / avgLength);
+        scores.set(i, (scores.get(i) ?? 0) + (idf * tf * (BM25_K1 + 1)) / norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([i, score]) => ({ ...passages[i], score: Number(score.toFixed(3)) }));
+  };
+
+  return {
+    reindex,
+    search,
+    stats: () => ({ indexedAt, documents, passages: index.passages.length })
+  };
+};
@@ -0,0 +1,83 @@
+// limits.js - Abuse protection: concurrent sessions and daily talk time
+import { ErrorCode, ProtocolError } from "../shared/protocol.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const today = () => new Date().toISOString().slice(0, 10); // UTC day
+
+// Fixed-window counter, e.g. ticket requests per IP per minute
+export const createRateLimiter = ({ limit, windowMs = MINUTE_MS }) => {
+  const windows = new Map(); // key -> { start, count }
+
+  return {
+    // True if the key may go ahead; counts the attempt either way
+    allow(key) {
+      const now = Date.now();
+      const current = windows.get(key);
+      if (!current || now - current.start >= windowMs) {
+        // Forget finished windows so the map does not grow forever
+        for (const [k, w] of windows) {
+          if (now - w.start >= windowMs) windows.delete(k);
+        }
+        windows.set(key, { start: now, count: 1 });
+        return true;
+      }
+      current.count++;
+      return current.count <= limit;
+    }
+  };
+};
+
+// A limit of 0 disables that check
+export const createSessionLimits = ({ maxSessions, maxSessionsPerIp, dailyMinutesPerIp }) => {
+  let day = today();
+  const usedMs = new Map(); // ip -> talk time today, from ended sessions
+
+  const usageFor = (ip) => {
+    if (day !== today()) {
+      day = today();
+      usedMs.clear();
+    }
+    return usedMs.get(ip) ?? 0;
+  };
+
+  return {
+    // Throws a ProtocolError if a new session from `ip` is not allowed right
+    // now; otherwise returns how long it may run (Infinity if unlimited).
+    // A null `ip` (phone calls) is only held to maxSessions.
+    admit(ip, liveSessions) {
+      const live = [...liveSessions];
+      if (maxSessions && live.length >= maxSessions) {
+        throw new ProtocolError(
+          ErrorCode.SERVER_BUSY,
+          "Rev is busy right now. Please try again in a few minutes."
+        );
+      }
+
+      if (ip == null) return { remainingMs: Infinity };
+      const fromIp = live.filter((s) => s.record.metadata.remoteAddress === ip);
+      if (maxSessionsPerIp && fromIp.length >= maxSessionsPerIp) {
+        throw new ProtocolError(
+          ErrorCode.TOO_MANY_SESSIONS,
+          `You already have ${fromIp.length} conversation(s) open. Please close one first.`
+        );
+      }
+
+      if (!dailyMinutesPerIp) return { remainingMs: Infinity };
+      const liveMs = fromIp.reduce((sum, s) => sum + (Date.now() - Date.parse(s.record.startedAt)), 0);
+      const remainingMs = dailyMinutesPerIp * MINUTE_MS - usageFor(ip) - liveMs;
+      if (remainingMs <= 0) {
+        throw new ProtocolError(
+          ErrorCode.QUOTA_EXCEEDED,
+          "You have reached today's conversation limit. Please come back tomorrow."
+        );
+      }
+      return { remainingMs };
+    },
+
+    recordUsage(ip, durationMs) {
+      if (!dailyMinutesPerIp || !ip) return;
+      usedMs.set(ip, usageFor(ip) + durationMs);
+    }
+  };
+};
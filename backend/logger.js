@@ -0,0 +1,63 @@
+// logger.js - Structured logging: one JSON object per line
+//
+//   {"time":"…","level":"info","msg":"Session started","sessionId":"…",…}
+//
+// Child loggers carry context (e.g. the session ID) into every entry they
+// write. Errors anywhere in the fields are expanded to name/message/stack.
+import { LOG_LEVEL } from "./config.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  stack: error.stack
+});
+
+// `fields` may also be a bare Error, which is logged as { err }
+const toFields = (fields) => {
+  if (fields instanceof Error) return { err: serializeError(fields) };
+  if (!fields || typeof fields !== "object") return fields === undefined ? {} : { detail: fields };
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    out[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return out;
+};
+
+export const createLogger = ({ level = "info", context = {}, write } = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const output = write ?? ((entryLevel, line) => {
+    (entryLevel === "warn" || entryLevel === "error" ? process.stderr : process.stdout).write(line + "\n");
+  });
+
+  const log = (entryLevel, msg, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...context,
+      ...toFields(fields)
+    };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch {
+      // e.g. a circular provider error; keep the message at least
+      line = JSON.stringify({ time: entry.time, level: entryLevel, msg, ...context });
+    }
+    output(entryLevel, line);
+  };
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+    child: (extra) => createLogger({ level, context: { ...context, ...extra }, write: output })
+  };
+};
+
+export const logger = createLogger({ level: LOG_LEVEL });
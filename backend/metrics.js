@@ -0,0 +1,188 @@
+// metrics.js - Prometheus metrics in the text exposition format
+//
+// A small registry of counters, gauges and histograms with labels; render()
+// produces what GET /metrics serves.
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+};
+
+const formatValue = (value) =>
+  value === Infinity ? "+Inf" : value === -Infinity ? "-Inf" : String(value);
+
+// Series are keyed by their label values in a fixed order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+
+const labelsFor = (labelNames, key) =>
+  Object.fromEntries(JSON.parse(key).map((value, i) => [labelNames[i], value]));
+
+export const createMetricsRegistry = ({ prefix = "" } = {}) => {
+  const metrics = [];
+
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  const header = (name, help, type) => `# HELP ${name} ${help}\n# TYPE ${name} ${type}`;
+
+  return {
+    counter({ name, help, labelNames = [] }) {
+      const fullName = prefix + name;
+      const values = new Map();
+      return register({
+        inc(labels = {}, amount = 1) {
+          const key = seriesKey(labelNames, labels);
+          values.set(key, (values.get(key) ?? 0) + amount);
+        },
+        render() {
+          const lines = [header(fullName, help, "counter")];
+          for (const [key, value] of values) {
+            lines.push(`${fullName}${formatLabels(labelsFor(labelNames, key))} ${formatValue(value)}`);
+          }
+          return lines.join("\n");
+        }
+      });
+    },
+
+    // `collect` reads the current value at scrape time instead of set()
+    gauge({ name, help, labelNames = [], collect = null }) {
+      const fullName = prefix + name;
+      const values = new Map();
+      return register({
+        set(labels, value) {
+          values.set(seriesKey(labelNames, labels), value);
+        },
+        render() {
+          const lines = [header(fullName, help, "gauge")];
+          if (collect) {
+            lines.push(`${fullName} ${formatValue(collect())}`);
+          }
+          for (const [key, value] of values) {
+            lines.push(`${fullName}${formatLabels(labelsFor(labelNames, key))} ${formatValue(value)}`);
+          }
+          return lines.join("\n");
+        }
+      });
+    },
+
+    histogram({ name, help, buckets, labelNames = [] }) {
+      const fullName = prefix + name;
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map(); // key -> { counts, sum, count }
+      return register({
+        observe(labels, value) {
+          if (typeof labels === "number") [labels, value] = [{}, labels];
+          const key = seriesKey(labelNames, labels);
+          let s = series.get(key);
+          if (!s) {
+            s = { counts: bounds.map(() => 0), sum: 0, count: 0 };
+            series.set(key, s);
+          }
+          bounds.forEach((bound, i) => {
+            if (value <= bound) s.counts[i]++;
+          });
+          s.sum += value;
+          s.count++;
+        },
+        render() {
+          const lines = [header(fullName, help, "histogram")];
+          for (const [key, s] of series) {
+            const labels = labelsFor(labelNames, key);
+            bounds.forEach((bound, i) => {
+              lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${s.counts[i]}`);
+            });
+            lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${s.count}`);
+            lines.push(`${fullName}_sum${formatLabels(labels)} ${s.sum}`);
+            lines.push(`${fullName}_count${formatLabels(labels)} ${s.count}`);
+          }
+          return lines.join("\n");
+        }
+      });
+    },
+
+    render() {
+      return metrics.map((metric) => metric.render()).join("\n") + "\n";
+    }
+  };
+};
+
+// What the voice server reports; sessions and the provider wrapper feed it
+export const createVoiceMetrics = ({ activeSessions }) => {
+  const registry = createMetricsRegistry({ prefix: "voicebot_" });
+
+  return {
+    registry,
+    activeSessions: registry.gauge({
+      name: "active_sessions",
+      help: "Live sessions, including ones waiting for their client to reconnect",
+      collect: activeSessions
+    }),
+    sessionsStarted: registry.counter({
+      name: "sessions_started_total",
+      help: "Sessions started",
+      labelNames: ["persona"]
+    }),
+    sessionDuration: registry.histogram({
+      name: "session_duration_seconds",
+      help: "Length of finished sessions",
+      buckets: [10, 30, 60, 120, 300, 600, 1200, 1800, 3600]
+    }),
+    audioBytes: registry.counter({
+      name: "audio_bytes_total",
+      help: "PCM audio bytes received from callers (in) and sent to them (out)",
+      labelNames: ["direction"]
+    }),
+    aiTokens: registry.counter({
+      name: "ai_tokens_total",
+      help: "Tokens the AI provider reported for live sessions, by direction (input or output)",
+      labelNames: ["direction"]
+    }),
+    usageLimits: registry.counter({
+      name: "usage_limits_total",
+      help: "Sessions warned about or ended by a usage limit, by limit and outcome (warned or ended)",
+      labelNames: ["limit", "outcome"]
+    }),
+    images: registry.counter({
+      name: "images_total",
+      help: "Images shared by callers, by source and outcome (sent, dropped or rejected)",
+      labelNames: ["source", "outcome"]
+    }),
+    responseLatency: registry.histogram({
+      name: "response_latency_seconds",
+      help: "Time from the end of the caller's speech to the first reply audio",
+      buckets: [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10]
+    }),
+    interruptions: registry.counter({
+      name: "interruptions_total",
+      help: "Bot replies cut short, by whether the client or the model stopped them",
+      labelNames: ["source"]
+    }),
+    aiErrors: registry.counter({
+      name: "ai_errors_total",
+      help: "AI provider errors, including failed connects",
+      labelNames: ["provider"]
+    }),
+    aiReconnects: registry.counter({
+      name: "ai_reconnect_attempts_total",
+      help: "Attempts to reopen a dropped AI session",
+      labelNames: ["provider"]
+    }),
+    connectionsRejected: registry.counter({
+      name: "connections_rejected_total",
+      help: "WebSocket connections refused, by error code",
+      labelNames: ["code"]
+    }),
+    webhookDeliveries: registry.counter({
+      name: "webhook_delivery_attempts_total",
+      help: "Webhook delivery attempts by event and outcome (delivered, retrying, failed, abandoned)",
+      labelNames: ["event", "outcome"]
+    })
+  };
+};
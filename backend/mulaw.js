@@ -0,0 +1,46 @@
+// mulaw.js - G.711 μ-law, the 8 kHz telephone codec
+//
+// Each byte holds one sample: a sign bit, a 3-bit exponent (segment) and a
+// 4-bit mantissa, inverted on the wire. Decoding goes through a table;
+// encoding clips to ±32635 and adds the standard bias of 0x84.
+
+const BIAS = 0x84;
+const CLIP = 32635;
+
+const DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) => {
+  const u = ~byte & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + BIAS) << exponent) - BIAS;
+  return u & 0x80 ? -magnitude : magnitude;
+});
+
+// The byte a silent line carries
+export const MULAW_SILENCE = 0xff;
+
+export const encodeSample = (sample) => {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+export const decodeSample = (byte) => DECODE_TABLE[byte];
+
+// μ-law bytes -> PCM16 samples
+export const decodeMulaw = (bytes) => {
+  const samples = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) samples[i] = DECODE_TABLE[bytes[i]];
+  return samples;
+};
+
+// PCM16 samples -> μ-law bytes
+export const encodeMulaw = (samples) => {
+  const bytes = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) bytes[i] = encodeSample(samples[i]);
+  return bytes;
+};
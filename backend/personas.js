@@ -0,0 +1,123 @@
+// personas.js - Named bot personalities loaded from JSON/YAML files
+//
+// Each file in the personas directory defines one persona; its id is the
+// file name without extension. Invalid files are reported and skipped so a
+// typo in one persona never takes the server down.
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { logger } from "./logger.js";
+
+const PERSONA_EXTENSIONS = new Set([".json", ".yaml", ".yml"]);
+const PERSONA_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+// Used when the directory has no persona matching the default id
+const BUILTIN_PERSONA = {
+  id: "default",
+  name: "Rev",
+  description: "General-purpose assistant",
+  systemInstruction: "You are a helpful assistant. Reply in speech only.",
+  voice: null,
+  language: null,
+  greeting: null,
+  model: null
+};
+
+const OPTIONAL_STRING_FIELDS = ["description", "voice", "language", "greeting", "model"];
+
+const validatePersona = (id, raw) => {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("expected an object");
+  }
+  if (typeof raw.name !== "string" || !raw.name.trim()) {
+    throw new Error('"name" is required');
+  }
+  if (typeof raw.systemInstruction !== "string" || !raw.systemInstruction.trim()) {
+    throw new Error('"systemInstruction" is required');
+  }
+  for (const field of OPTIONAL_STRING_FIELDS) {
+    if (raw[field] != null && typeof raw[field] !== "string") {
+      throw new Error(`"${field}" must be a string`);
+    }
+  }
+  if (raw.language && !LANGUAGE_PATTERN.test(raw.language)) {
+    throw new Error(`"language" must be a BCP-47 code such as "en-IN" (got "${raw.language}")`);
+  }
+
+  return {
+    id,
+    name: raw.name.trim(),
+    description: raw.description ?? "",
+    systemInstruction: raw.systemInstruction.trim(),
+    voice: raw.voice ?? null,
+    language: raw.language ?? null,
+    greeting: raw.greeting ?? null,
+    model: raw.model ?? null
+  };
+};
+
+export const loadPersonas = (dir) => {
+  const personas = new Map();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(dir);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    logger.warn("Persona directory not found", { dir });
+  }
+
+  for (const file of files.sort()) {
+    const ext = path.extname(file).toLowerCase();
+    if (!PERSONA_EXTENSIONS.has(ext)) continue;
+
+    const id = path.basename(file, ext).toLowerCase();
+    try {
+      if (!PERSONA_ID_PATTERN.test(id)) {
+        throw new Error("file name must be a lowercase id (a-z, 0-9, - or _)");
+      }
+      if (personas.has(id)) {
+        throw new Error(`duplicate persona id "${id}"`);
+      }
+      const text = fs.readFileSync(path.join(dir, file), "utf8");
+      const raw = ext === ".json" ? JSON.parse(text) : YAML.parse(text);
+      personas.set(id, validatePersona(id, raw));
+    } catch (e) {
+      logger.error("Skipping invalid persona", { file, reason: e.message });
+    }
+  }
+
+  return personas;
+};
+
+export const createPersonaCatalog = ({ dir, defaultId }) => {
+  const personas = loadPersonas(dir);
+  const fallback = personas.get(defaultId) ?? BUILTIN_PERSONA;
+  if (!personas.has(defaultId)) {
+    logger.warn("Default persona not found, using built-in persona", { persona: defaultId });
+  }
+
+  return {
+    defaultPersona: fallback,
+
+    // Resolves a client's choice; undefined means "use the default"
+    resolve(id) {
+      if (id == null || id === "") return fallback;
+      return personas.get(id) ?? null;
+    },
+
+    // What clients may see: no system instructions
+    list() {
+      const all = personas.size ? [...personas.values()] : [fallback];
+      return all.map(({ id, name, description, language, voice }) => ({
+        id,
+        name,
+        description,
+        language,
+        voice,
+        isDefault: id === fallback.id
+      }));
+    }
+  };
+};
@@ -0,0 +1,103 @@
+// providers/gemini.js
+import { GoogleGenAI, Modality } from "@google/genai";
+
+export const createGeminiProvider = ({ apiKey, model }) => {
+  const ai = new GoogleGenAI({ apiKey });
+
+  const connect = async ({
+    model: modelOverride,
+    config = {},
+    greeting,
+    inputSampleRate = 16000,
+    callbacks = {}
+  }) => {
+    const { voice, languageCode, tools, ...liveConfig } = config;
+    let isOpen = false;
+
+    const speechConfig = {};
+    if (voice) {
+      speechConfig.voiceConfig = { prebuiltVoiceConfig: { voiceName: voice } };
+    }
+    if (languageCode) {
+      speechConfig.languageCode = languageCode;
+    }
+
+    const session = await ai.live.connect({
+      model: modelOverride || model,
+      config: {
+        responseModalities: [Modality.AUDIO],
+        ...(Object.keys(speechConfig).length ? { speechConfig } : {}),
+        ...(tools?.length ? {
+          tools: [{
+            functionDeclarations: tools.map(({ name, description, parameters }) => ({
+              name,
+              description,
+              parametersJsonSchema: parameters
+            }))
+          }]
+        } : {}),
+        ...liveConfig
+      },
+      callbacks: {
+        ...callbacks,
+        onopen: () => {
+          isOpen = true;
+          callbacks.onopen?.();
+        },
+        onclose: (event) => {
+          isOpen = false;
+          callbacks.onclose?.(event);
+        }
+      }
+    });
+
+    if (greeting) {
+      session.sendClientContent({
+        turns: [{
+          role: "user",
+          parts: [{ text: `Start the conversation by greeting me with: "${greeting}"` }]
+        }],
+        turnComplete: true
+      });
+    }
+
+    return {
+      get isOpen() {
+        return isOpen;
+      },
+
+      sendAudio: (pcmBuffer) => session.sendRealtimeInput({
+        audio: {
+          data: pcmBuffer.toString("base64"),
+          mimeType: `audio/pcm;rate=${inputSampleRate}`
+        }
+      }),
+
+      // Clients stop streaming during silence, so tell the model's own
+      // activity detection not to wait for more audio
+      endAudioStream: () => session.sendRealtimeInput({ audioStreamEnd: true }),
+
+      sendText: (text) => session.sendClientContent({
+        turns: [{ role: "user", parts: [{ text }] }],
+        turnComplete: true
+      }),
+
+      // Images go in as video frames: context for what the user says next
+      sendImage: (data, mimeType) => session.sendRealtimeInput({
+        video: { data: data.toString("base64"), mimeType }
+      }),
+
+      interrupt: () => session.sendRealtimeInput({ 
+        event: { type: "stop" } 
+      }),
+
+      sendToolResponse: (results) => session.sendToolResponse({
+        functionResponses: results.map(({ id, name, response }) => ({ id, name, response }))
+      }),
+
+      close: () => session.close()
+    };
+  };
+
+  return { name: "gemini", connect };
+};
@@ -0,0 +1,49 @@
+// providers/index.js
+import { createGeminiProvider } from "./gemini.js";
+import { createMockProvider } from "./mock.js";
+
+/*
+ * Every AI backend implements the same small interface, so the session code
+ * in server.js never talks to a vendor SDK directly:
+ *
+ *   provider.connect({ model, config, greeting, inputSampleRate, callbacks })
+ *     -> Promise<session>
+ *   session.sendAudio(pcmBuffer)              mono PCM16 at inputSampleRate
+ *   session.endAudioStream()                  the user stopped talking
+ *   session.sendText(text)                    a complete user turn
+ *   session.sendImage(data, mimeType)         an image the user is showing
+ *   session.interrupt()                       stop the current reply
+ *   session.sendToolResponse(results)         [{ id, name, response }]
+ *   session.close()
+ *   session.isOpen
+ *
+ * `model` overrides the provider's default model. `inputSampleRate` is the
+ * rate the client declared for its microphone audio. `config` carries the
+ * session setup (systemInstruction, voice, languageCode, transcription and
+ * resumption options) and `tools`, a list of { name, description,
+ * parameters } function declarations with JSON-schema parameters. When
+ * `greeting` is set, the bot speaks first.
+ *
+ * `callbacks` are { onopen, onmessage, onerror, onclose }. onmessage receives
+ * Live API shaped messages: { data } for base64 24 kHz PCM16 reply audio and
+ * { serverContent: { inputTranscription, outputTranscription, interrupted,
+ * turnComplete } } for everything else. Tool use arrives as
+ * { toolCall: { functionCalls: [{ id, name, args }] } } and
+ * { toolCallCancellation: { ids } }. Token counts are reported as
+ * { usageMetadata: { promptTokenCount, responseTokenCount, totalTokenCount } },
+ * each covering one model response.
+ */
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider
+};
+
+export const createProvider = (name, options = {}) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown AI provider "${name}" (available: ${Object.keys(PROVIDERS).join(", ")})`
+    );
+  }
+  return factory(options);
+};
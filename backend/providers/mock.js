@@ -0,0 +1,227 @@
+// providers/mock.js
+// Offline stand-in for the Live API: no key, no network. Spoken input is
+// segmented with a simple energy detector and answered either with the
+// caller's own words played back (echo) or with a short tone; typed input
+// is always answered with a tone plus a canned transcript. In "unavailable"
+// mode every connect fails, as when the real service is down.
+//
+// Typing "/tool <name> <json args>" makes the mock call that tool, so tool
+// handling can be exercised offline; the tool's result is read back.
+// Images are never answered on their own; the next reply mentions them.
+// Each reply reports token usage estimated at the Live API's rates.
+
+const TOOL_COMMAND = /^\/tool\s+(\S+)\s*(.*)$/s;
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const AUDIO_TOKENS_PER_SECOND = 32;
+const IMAGE_TOKENS = 258;
+
+const textTokens = (text) => Math.ceil(text.length / 4);
+
+const rms = (pcm) => {
+  const samples = Math.floor(pcm.length / 2);
+  if (!samples) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const s = pcm.readInt16LE(i * 2);
+    sum += s * s;
+  }
+  return Math.sqrt(sum / samples);
+};
+
+// Linear interpolation is plenty for a development echo
+const resample = (pcm, fromRate, toRate) => {
+  const inSamples = Math.floor(pcm.length / 2);
+  const outSamples = Math.floor((inSamples * toRate) / fromRate);
+  const out = Buffer.alloc(outSamples * 2);
+  for (let i = 0; i < outSamples; i++) {
+    const pos = (i * fromRate) / toRate;
+    const idx = Math.floor(pos);
+    const frac = pos - idx;
+    const a = pcm.readInt16LE(Math.min(idx, inSamples - 1) * 2);
+    const b = pcm.readInt16LE(Math.min(idx + 1, inSamples - 1) * 2);
+    out.writeInt16LE(Math.round(a + (b - a) * frac), i * 2);
+  }
+  return out;
+};
+
+const tone = (frequency, durationMs) => {
+  const samples = Math.floor((OUTPUT_SAMPLE_RATE * durationMs) / 1000);
+  const fade = Math.min(samples / 2, OUTPUT_SAMPLE_RATE / 100); // 10 ms fade in/out
+  const out = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const envelope = Math.min(1, i / fade, (samples - i) / fade);
+    const value = Math.sin((2 * Math.PI * frequency * i) / OUTPUT_SAMPLE_RATE);
+    out.writeInt16LE(Math.round(value * envelope * 0x2000), i * 2);
+  }
+  return out;
+};
+
+export const createMockProvider = ({
+  mode = "echo",        // "echo" | "tone" | "unavailable"
+  speechThreshold = 500, // RMS of PCM16 samples counted as speech
+  silenceMs = 700,      // quiet time that ends an utterance
+  chunkMs = 100         // size and pacing of reply audio chunks
+} = {}) => {
+  const connect = async ({ greeting, inputSampleRate = 16000, callbacks = {} }) => {
+    if (mode === "unavailable") {
+      throw new Error("Mock provider is unavailable");
+    }
+    const emit = (msg) => callbacks.onmessage?.(msg);
+
+    let isOpen = true;
+    let utterance = [];
+    let silenceTimer = null;
+    let replyTimer = null;
+    let toolCallCounter = 0;
+    let imagesSeen = 0; // since the last reply
+    let promptTokens = 0; // input since the last reply
+
+    const stopReply = () => {
+      const wasReplying = Boolean(replyTimer);
+      clearInterval(replyTimer);
+      replyTimer = null;
+      return wasReplying;
+    };
+
+    const streamReply = (pcm, transcript) => {
+      stopReply();
+      if (imagesSeen) {
+        transcript += ` (I saw ${imagesSeen === 1 ? "an image" : `${imagesSeen} images`}.)`;
+        imagesSeen = 0;
+      }
+      const chunkBytes = Math.floor((OUTPUT_SAMPLE_RATE * chunkMs) / 1000) * 2;
+      let offset = 0;
+
+      const responseTokens =
+        Math.round((pcm.length / 2 / OUTPUT_SAMPLE_RATE) * AUDIO_TOKENS_PER_SECOND) + textTokens(transcript);
+      emit({
+        usageMetadata: {
+          promptTokenCount: promptTokens,
+          responseTokenCount: responseTokens,
+          totalTokenCount: promptTokens + responseTokens
+        }
+      });
+      promptTokens = 0;
+      emit({ serverContent: { outputTranscription: { text: transcript } } });
+      replyTimer = setInterval(() => {
+        if (offset >= pcm.length) {
+          stopReply();
+          emit({ serverContent: { turnComplete: true } });
+          return;
+        }
+        const chunk = pcm.subarray(offset, offset + chunkBytes);
+        offset += chunkBytes;
+        emit({ data: chunk.toString("base64") });
+      }, chunkMs);
+    };
+
+    const endUtterance = () => {
+      silenceTimer = null;
+      const pcm = Buffer.concat(utterance);
+      utterance = [];
+      if (!isOpen || !pcm.length) return;
+
+      const seconds = pcm.length / 2 / inputSampleRate;
+      promptTokens += Math.round(seconds * AUDIO_TOKENS_PER_SECOND);
+      emit({
+        serverContent: {
+          inputTranscription: { text: `[${seconds.toFixed(1)}s of speech]`, finished: true }
+        }
+      });
+
+      if (mode === "tone") {
+        streamReply(tone(440, 600), "Beep.");
+      } else {
+        streamReply(resample(pcm, inputSampleRate, OUTPUT_SAMPLE_RATE), "(echo)");
+      }
+    };
+
+    callbacks.onopen?.();
+    if (greeting) {
+      streamReply(tone(520, 400), greeting);
+    }
+
+    return {
+      get isOpen() {
+        return isOpen;
+      },
+
+      sendAudio: (pcmBuffer) => {
+        if (!isOpen) return;
+        const isSpeech = rms(pcmBuffer) >= speechThreshold;
+
+        if (isSpeech && stopReply()) {
+          // Barge-in, reported the same way the Live API does
+          emit({ serverContent: { interrupted: true } });
+        }
+        if (!isSpeech && !silenceTimer) return; // silence outside an utterance
+
+        utterance.push(Buffer.from(pcmBuffer));
+        if (isSpeech) {
+          clearTimeout(silenceTimer);
+          silenceTimer = setTimeout(endUtterance, silenceMs);
+        }
+      },
+
+      endAudioStream: () => {
+        if (!isOpen || !silenceTimer) return;
+        clearTimeout(silenceTimer);
+        endUtterance();
+      },
+
+      sendText: (text) => {
+        if (!isOpen) return;
+        promptTokens += textTokens(text);
+
+        const command = TOOL_COMMAND.exec(text);
+        if (command) {
+          let args = {};
+          try {
+            args = command[2] ? JSON.parse(command[2]) : {};
+          } catch {
+            streamReply(tone(330, 300), "Those tool arguments are not valid JSON.");
+            return;
+          }
+          emit({
+            toolCall: {
+              functionCalls: [{ id: `mock-call-${++toolCallCounter}`, name: command[1], args }]
+            }
+          });
+          return;
+        }
+
+        streamReply(tone(660, 300), `You said: ${text}`);
+      },
+
+      sendImage: () => {
+        if (!isOpen) return;
+        imagesSeen++;
+        promptTokens += IMAGE_TOKENS;
+      },
+
+      sendToolResponse: (results) => {
+        if (!isOpen) return;
+        const summary = results
+          .map(({ name, response }) => `${name} returned ${JSON.stringify(response)}`)
+          .join("; ");
+        promptTokens += textTokens(JSON.stringify(results));
+        streamReply(tone(660, 300), summary);
+      },
+
+      interrupt: () => {
+        stopReply();
+      },
+
+      close: () => {
+        if (!isOpen) return;
+        isOpen = false;
+        stopReply();
+        clearTimeout(silenceTimer);
+        callbacks.onclose?.({ code: 1000, reason: "Mock session closed" });
+      }
+    };
+  };
+
+  return { name: "mock", connect };
+};
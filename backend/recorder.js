@@ -0,0 +1,168 @@
+// recorder.js - Writes one session's audio to WAV files
+//
+// Three files per session, all on the same timeline (time since the
+// recording started):
+//   user.wav   the caller's microphone audio at the input rate
+//   bot.wav    the bot's reply audio at the output rate
+//   mixed.wav  both in stereo at the output rate (left user, right bot)
+//
+// Clients only stream while the user is talking, so user audio is placed at
+// the time it arrived and the gaps stay silent. Reply audio arrives faster
+// than it plays and is laid end to end; an interruption cuts the bot track
+// at the moment it happened, like the client's playback.
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+import { WAV_HEADER_BYTES, wavHeader } from "./wav.js";
+
+const MIX_BLOCK_SECONDS = 1;
+
+// A mono PCM16 track. Positions are in samples; writes past the end of the
+// file leave a hole that reads back as silence. File operations are queued
+// behind the open, so the track can be used straight away.
+const createTrack = (ready, file, sampleRate, log) => {
+  let handle = null;
+  let length = 0; // samples, as of the last queued operation
+  let pending = ready
+    .then(async () => {
+      handle = await fs.open(file, "w+");
+    })
+    .catch((e) => log.error("Could not create recording file", { file, err: e }));
+
+  const enqueue = (operation) => {
+    pending = pending.then(() => handle && operation()).catch((e) => {
+      log.error("Recording write failed", { file, err: e });
+    });
+    return pending;
+  };
+
+  return {
+    file,
+    sampleRate,
+    get length() {
+      return length;
+    },
+
+    write(pcm, at) {
+      length = Math.max(length, at + pcm.length / 2);
+      return enqueue(() => handle.write(pcm, 0, pcm.length, WAV_HEADER_BYTES + at * 2));
+    },
+
+    truncate(at) {
+      if (at >= length) return pending;
+      length = at;
+      return enqueue(() => handle.truncate(WAV_HEADER_BYTES + at * 2));
+    },
+
+    async read(from, count) {
+      const buffer = Buffer.alloc(count * 2); // holes and the tail read as zeros
+      await handle.read(buffer, 0, buffer.length, WAV_HEADER_BYTES + from * 2);
+      return buffer;
+    },
+
+    async finish() {
+      await pending;
+      if (!handle) throw new Error(`Recording file ${file} could not be opened`);
+      await handle.truncate(WAV_HEADER_BYTES + length * 2);
+      await handle.write(wavHeader({ sampleRate, channels: 1, dataBytes: length * 2 }), 0, WAV_HEADER_BYTES, 0);
+    },
+
+    close: () => handle?.close()
+  };
+};
+
+const sampleAt = (pcm, index) => {
+  const i = Math.min(index, pcm.length / 2 - 1);
+  return i < 0 ? 0 : pcm.readInt16LE(i * 2);
+};
+
+// Stereo file at the bot's rate; the user track is linearly resampled
+const writeMix = async (file, user, bot) => {
+  const rate = bot.sampleRate;
+  const ratio = user.sampleRate / rate;
+  const total = Math.max(bot.length, Math.ceil(user.length / ratio));
+  const handle = await fs.open(file, "w");
+
+  try {
+    await handle.write(wavHeader({ sampleRate: rate, channels: 2, dataBytes: total * 4 }));
+    const block = rate * MIX_BLOCK_SECONDS;
+
+    for (let start = 0; start < total; start += block) {
+      const count = Math.min(block, total - start);
+      const userFrom = Math.floor(start * ratio);
+      const userPcm = await user.read(userFrom, Math.ceil(count * ratio) + 2);
+      const botPcm = await bot.read(start, count);
+
+      const out = Buffer.alloc(count * 4);
+      for (let i = 0; i < count; i++) {
+        const pos = (start + i) * ratio - userFrom;
+        const idx = Math.floor(pos);
+        const a = sampleAt(userPcm, idx);
+        const b = sampleAt(userPcm, idx + 1);
+        out.writeInt16LE(Math.round(a + (b - a) * (pos - idx)), i * 4);
+        out.writeInt16LE(botPcm.readInt16LE(i * 2), i * 4 + 2);
+      }
+      await handle.write(out);
+    }
+  } finally {
+    await handle.close();
+  }
+  return total;
+};
+
+export const createRecorder = ({ dir, inputSampleRate, outputSampleRate, log = logger }) => {
+  const ready = fs.mkdir(dir, { recursive: true });
+  const startedAt = Date.now();
+  const user = createTrack(ready, path.join(dir, "user.wav"), inputSampleRate, log);
+  const bot = createTrack(ready, path.join(dir, "bot.wav"), outputSampleRate, log);
+  let finishing = null;
+
+  const now = (track) => Math.round(((Date.now() - startedAt) * track.sampleRate) / 1000);
+
+  const describe = (name, sampleRate, channels, samples) => ({
+    name,
+    sampleRate,
+    channels,
+    durationMs: Math.round((samples * 1000) / sampleRate),
+    bytes: WAV_HEADER_BYTES + samples * channels * 2
+  });
+
+  return {
+    startedAt: new Date(startedAt).toISOString(),
+
+    // A chunk of user audio has just arrived, so it ended about now
+    writeUser(pcm) {
+      if (finishing || !pcm.length) return;
+      user.write(pcm, Math.max(user.length, now(user) - pcm.length / 2));
+    },
+
+    writeBot(pcm) {
+      if (finishing || !pcm.length) return;
+      bot.write(pcm, Math.max(bot.length, now(bot)));
+    },
+
+    // Reply audio queued past this point was never heard
+    interrupt() {
+      if (finishing) return;
+      bot.truncate(now(bot));
+    },
+
+    // Finalizes the WAV headers and writes the mix; returns the file list
+    finish() {
+      finishing ??= (async () => {
+        try {
+          await Promise.all([user.finish(), bot.finish()]);
+          const mixed = await writeMix(path.join(dir, "mixed.wav"), user, bot);
+          return [
+            describe("user.wav", user.sampleRate, 1, user.length),
+            describe("bot.wav", bot.sampleRate, 1, bot.length),
+            describe("mixed.wav", bot.sampleRate, 2, mixed)
+          ];
+        } finally {
+          await Promise.allSettled([user.close(), bot.close()]);
+        }
+      })();
+      return finishing;
+    }
+  };
+};
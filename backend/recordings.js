@@ -0,0 +1,112 @@
+// recordings.js - Session recordings on disk, one directory per session
+//
+//   <dir>/<sessionId>/user.wav, bot.wav, mixed.wav
+//   <dir>/<sessionId>/recording.json   written once the files are complete
+import fs from "fs/promises";
+import path from "path";
+import { createRecorder } from "./recorder.js";
+import { isValidSessionId } from "./history.js";
+import { logger } from "./logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const META_FILE = "recording.json";
+
+export const RECORDING_FILES = ["user.wav", "bot.wav", "mixed.wav"];
+
+export const createRecordingStore = ({ dir, retentionDays = 0 }) => {
+  const dirFor = (id) => path.join(dir, id);
+
+  const readMeta = async (id) => JSON.parse(await fs.readFile(path.join(dirFor(id), META_FILE), "utf8"));
+
+  const listIds = async () => {
+    try {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      return entries.filter((e) => e.isDirectory() && isValidSessionId(e.name)).map((e) => e.name);
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+  };
+
+  return {
+    // Starts recording a session; finish() on the result completes the files
+    // and stores their description next to them
+    start({ sessionId, inputSampleRate, outputSampleRate }) {
+      const recorder = createRecorder({
+        dir: dirFor(sessionId),
+        inputSampleRate,
+        outputSampleRate,
+        log: logger.child({ sessionId })
+      });
+
+      return {
+        ...recorder,
+        async finish() {
+          const files = await recorder.finish();
+          const meta = {
+            sessionId,
+            startedAt: recorder.startedAt,
+            endedAt: new Date().toISOString(),
+            files
+          };
+          await fs.writeFile(path.join(dirFor(sessionId), META_FILE), JSON.stringify(meta, null, 2));
+          return meta;
+        }
+      };
+    },
+
+    // Complete recordings only, newest first
+    async list() {
+      const recordings = [];
+      for (const id of await listIds()) {
+        try {
+          recordings.push(await readMeta(id));
+        } catch (e) {
+          if (e.code !== "ENOENT") {
+            logger.warn("Skipping unreadable recording", { sessionId: id, reason: e.message });
+          }
+        }
+      }
+      recordings.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+      return recordings;
+    },
+
+    async get(id) {
+      if (!isValidSessionId(id)) return null;
+      try {
+        return await readMeta(id);
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+
+    // Absolute path of a finished recording file, or null
+    async fileFor(id, name) {
+      if (!RECORDING_FILES.includes(name) || !(await this.get(id))) return null;
+      return path.join(dirFor(id), name);
+    },
+
+    async purgeExpired(now = Date.now()) {
+      if (!retentionDays) return 0;
+      const cutoff = now - retentionDays * DAY_MS;
+      let purged = 0;
+
+      for (const id of await listIds()) {
+        try {
+          // Unfinished recordings (e.g. after a crash) age by their mtime
+          const endedAt = await readMeta(id)
+            .then((meta) => Date.parse(meta.endedAt))
+            .catch(async () => (await fs.stat(dirFor(id))).mtimeMs);
+          if (endedAt < cutoff) {
+            await fs.rm(dirFor(id), { recursive: true, force: true });
+            purged++;
+          }
+        } catch (e) {
+          logger.warn("Could not check recording for expiry", { sessionId: id, reason: e.message });
+        }
+      }
+      return purged;
+    }
+  };
+};
@@ -0,0 +1,85 @@
+// routes/admin.js - Live sessions and server-wide controls for operators
+import express from "express";
+import { logger } from "../logger.js";
+
+const MAX_NOTICE_LENGTH = 500;
+
+const readMessage = (body) => {
+  const message = typeof body?.message === "string" ? body.message.trim() : "";
+  return message.length <= MAX_NOTICE_LENGTH ? message : null;
+};
+
+// `listConnections` describes each open WebSocket; `maintenance` is the
+// server's { enabled, message, since } state, changed in place
+export const createAdminRouter = ({ listConnections, sessions, tickets, maintenance }) => {
+  const router = express.Router();
+
+  router.get("/sessions", (_, res) => {
+    const connections = listConnections();
+    res.json({ total: connections.length, maintenance, sessions: connections });
+  });
+
+  router.post("/sessions/:id/terminate", (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    const message = readMessage(req.body);
+    if (message === null) {
+      return res.status(400).json({ error: `Message too long (max ${MAX_NOTICE_LENGTH} characters)` });
+    }
+    session.terminate(message || undefined);
+    res.json({ terminated: session.id });
+  });
+
+  // A ticket for listening in on (and taking over) the session at
+  // /supervise; `agent` is the name the caller is shown on takeover
+  router.post("/sessions/:id/supervise", (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    const agent = typeof req.body?.agent === "string" ? req.body.agent.trim().slice(0, 40) : "";
+    res.json(tickets.issue({
+      ip: req.socket.remoteAddress,
+      role: "supervisor",
+      sessionId: session.id,
+      ...(agent ? { agent } : {})
+    }));
+  });
+
+  // Shown to every connected caller; callers waiting to reconnect miss it
+  router.post("/broadcast", (req, res) => {
+    const message = readMessage(req.body);
+    if (!message) {
+      return res.status(400).json({ error: `A message of up to ${MAX_NOTICE_LENGTH} characters is required` });
+    }
+    let delivered = 0;
+    for (const session of sessions.values()) {
+      if (!session.snapshot().connected) continue;
+      session.notify(message);
+      delivered++;
+    }
+    logger.info("Broadcast sent to callers", { delivered, message });
+    res.json({ delivered });
+  });
+
+  router.get("/maintenance", (_, res) => res.json(maintenance));
+
+  // Turning it on only stops new sessions; live ones carry on
+  router.put("/maintenance", (req, res) => {
+    if (typeof req.body?.enabled !== "boolean") {
+      return res.status(400).json({ error: "Boolean field \"enabled\" is required" });
+    }
+    const message = readMessage(req.body);
+    if (message === null) {
+      return res.status(400).json({ error: `Message too long (max ${MAX_NOTICE_LENGTH} characters)` });
+    }
+
+    if (message) maintenance.message = message;
+    if (req.body.enabled !== maintenance.enabled) {
+      maintenance.enabled = req.body.enabled;
+      maintenance.since = req.body.enabled ? new Date().toISOString() : null;
+      logger.info(req.body.enabled ? "Maintenance mode on" : "Maintenance mode off");
+    }
+    res.json(maintenance);
+  });
+
+  return router;
+};
@@ -0,0 +1,64 @@
+// routes/history.js - Stored conversations: list, fetch, export
+import express from "express";
+import { EXPORT_FORMATS } from "../transcript-export.js";
+
+const MAX_PAGE_SIZE = 200;
+
+export const createHistoryRouter = (history) => {
+  const router = express.Router();
+
+  router.get("/", async (req, res, next) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 50, MAX_PAGE_SIZE);
+      const offset = Math.max(Number(req.query.offset) || 0, 0);
+      res.json(await history.list({ limit, offset }));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.get("/:id", async (req, res, next) => {
+    try {
+      const record = await history.get(req.params.id);
+      if (!record) return res.status(404).json({ error: "Session not found" });
+      res.json(record);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // The post-call summary and lead fields on their own
+  router.get("/:id/analysis", async (req, res, next) => {
+    try {
+      const record = await history.get(req.params.id);
+      if (!record) return res.status(404).json({ error: "Session not found" });
+      if (!record.analysis) return res.status(404).json({ error: "Session was not analysed" });
+      res.json({ sessionId: record.id, ...record.analysis });
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.get("/:id/export", async (req, res, next) => {
+    try {
+      const format = EXPORT_FORMATS[req.query.format || "json"];
+      if (!format) {
+        return res.status(400).json({
+          error: `Unknown format (available: ${Object.keys(EXPORT_FORMATS).join(", ")})`
+        });
+      }
+
+      const record = await history.get(req.params.id);
+      if (!record) return res.status(404).json({ error: "Session not found" });
+
+      res
+        .type(format.contentType)
+        .attachment(`session-${record.id}.${format.extension}`)
+        .send(format.render(record));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,25 @@
+// routes/knowledge.js - Knowledge base administration
+import express from "express";
+
+export const createKnowledgeRouter = (knowledge) => {
+  const router = express.Router();
+
+  router.get("/", (_, res) => res.json(knowledge.stats()));
+
+  router.post("/reindex", async (_, res, next) => {
+    try {
+      res.json(await knowledge.reindex());
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // See what a query would ground an answer in
+  router.get("/search", (req, res) => {
+    const query = String(req.query.q ?? "").trim();
+    if (!query) return res.status(400).json({ error: "Missing query parameter q" });
+    res.json({ query, results: knowledge.search(query, { limit: Number(req.query.limit) || 5 }) });
+  });
+
+  return router;
+};
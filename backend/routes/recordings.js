@@ -0,0 +1,37 @@
+// routes/recordings.js - Session recordings: list, describe, download
+import express from "express";
+
+export const createRecordingsRouter = (recordings) => {
+  const router = express.Router();
+
+  router.get("/", async (_, res, next) => {
+    try {
+      const list = await recordings.list();
+      res.json({ total: list.length, recordings: list });
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.get("/:id", async (req, res, next) => {
+    try {
+      const recording = await recordings.get(req.params.id);
+      if (!recording) return res.status(404).json({ error: "Recording not found" });
+      res.json(recording);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.get("/:id/:file", async (req, res, next) => {
+    try {
+      const file = await recordings.fileFor(req.params.id, req.params.file);
+      if (!file) return res.status(404).json({ error: "Recording not found" });
+      res.download(file, `session-${req.params.id}-${req.params.file}`);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,31 @@
+// routes/tickets.js - Issues session tickets for the WebSocket
+import express from "express";
+import { tokensMatch } from "../admin-auth.js";
+
+// With neither API keys nor allowed origins configured, anyone may ask for
+// a ticket (subject to the rate limit); otherwise one of the two must match.
+export const createTicketRouter = ({ issuer, rateLimiter, apiKeys = [], allowedOrigins = [] }) => {
+  const router = express.Router();
+  const gated = apiKeys.length > 0 || allowedOrigins.length > 0;
+
+  const isAllowed = (req) => {
+    if (!gated) return true;
+    const apiKey = req.get("x-api-key");
+    if (apiKey && apiKeys.some((key) => tokensMatch(apiKey, key))) return true;
+    const origin = req.get("origin");
+    return Boolean(origin) && allowedOrigins.includes(origin);
+  };
+
+  router.post("/", (req, res) => {
+    const ip = req.socket.remoteAddress;
+    if (!isAllowed(req)) {
+      return res.status(403).json({ error: "This site is not allowed to start conversations." });
+    }
+    if (!rateLimiter.allow(ip)) {
+      return res.status(429).json({ error: "Too many attempts. Please wait a minute and try again." });
+    }
+    res.json(issuer.issue({ ip }));
+  });
+
+  return router;
+};
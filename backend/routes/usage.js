@@ -0,0 +1,22 @@
+// routes/usage.js - What conversations have spent of the AI quota
+import express from "express";
+
+export const createUsageRouter = ({ usage, sessions, limits }) => {
+  const router = express.Router();
+
+  // Today against the daily budget, earlier days, and each live session
+  router.get("/", (_, res) => {
+    res.json({
+      ...usage.summary(),
+      limits,
+      sessions: [...sessions.values()].map((session) => ({
+        id: session.id,
+        persona: session.persona.id,
+        startedAt: session.record.startedAt,
+        usage: session.record.usage
+      }))
+    });
+  });
+
+  return router;
+};
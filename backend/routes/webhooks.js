@@ -0,0 +1,26 @@
+// routes/webhooks.js - Webhook subscriptions and their delivery log
+import express from "express";
+
+const MAX_LIMIT = 500;
+
+export const createWebhooksRouter = ({ webhooks, deliveryLog }) => {
+  const router = express.Router();
+
+  router.get("/", (_, res) => {
+    res.json({ subscriptions: webhooks.subscriptions() });
+  });
+
+  // ?limit=&event=&subscription=&outcome=&deliveryId=
+  router.get("/deliveries", async (req, res, next) => {
+    try {
+      const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), MAX_LIMIT);
+      const { event, subscription, outcome, deliveryId } = req.query;
+      const deliveries = await deliveryLog.recent({ limit, event, subscription, outcome, deliveryId });
+      res.json({ deliveries });
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  return router;
+};
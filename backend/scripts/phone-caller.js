@@ -0,0 +1,335 @@
+// phone-caller.js - Calls the telephony bridge the way a carrier would
+//
+//   node scripts/phone-caller.js --input call.ulaw --token <TELEPHONY_TOKEN>
+//     [--url ws://localhost:3000/telephony] [--persona sales] [--speed 1]
+//
+// Replays a recording as a carrier's media stream: raw 8 kHz μ-law (.ulaw,
+// .mulaw, .raw) or a WAV file, μ-law or PCM at any rate, which is
+// converted. After `connected` and `start` the file goes out as 20 ms
+// `media` chunks in real time (or --speed times faster), then line silence
+// until the bot has been quiet for --settle ms, then `stop`.
+//
+// The bot's audio is "played" at the same pace: each `mark` is echoed once
+// the audio before it has played, and a `clear` throws away whatever was
+// still queued (and echoes the pending marks), as a carrier does. Writes to
+// --out:
+//   heard.wav      what the caller heard, 8 kHz PCM, cleared audio left out
+//   events.jsonl   the events sent and received, with atMs
+//
+// Exit status: 0 done, 1 bad arguments or input, 2 protocol or server
+// error, 3 timeout.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { parseArgs } from "util";
+import WebSocket from "ws";
+import { CloseCode } from "../../shared/protocol.js";
+import { decodeWav, wavHeader } from "../wav.js";
+import { decodeMulaw, encodeMulaw, MULAW_SILENCE } from "../mulaw.js";
+import { createResampler } from "../../shared/resampler.js";
+
+// What the bridge expects (PHONE_AUDIO in telephony.js)
+const PHONE_AUDIO = { encoding: "audio/x-mulaw", sampleRate: 8000, channels: 1 };
+const SAMPLE_RATE = PHONE_AUDIO.sampleRate;
+const CHUNK_MS = 20;
+const CHUNK_BYTES = (SAMPLE_RATE * CHUNK_MS) / 1000;
+const MARK_CHECK_MS = 10;
+// Playback that resumes within this long counts as the same bot turn
+const TURN_GAP_MS = 300;
+
+const Exit = { OK: 0, USAGE: 1, PROTOCOL: 2, TIMEOUT: 3 };
+
+const USAGE = `Usage: node scripts/phone-caller.js --input <file.ulaw|file.wav> [options]
+
+  --url <ws-url>      telephony endpoint (default ws://localhost:3000/telephony)
+  --token <token>     TELEPHONY_TOKEN of the server (default: $TELEPHONY_TOKEN)
+  --persona <id>      persona to talk to
+  --from <number>     caller number passed to the server (default +15550100)
+  --out <dir>         where to write the results (default ./phone-caller-output)
+  --speed <n>         1 = real time, 4 = four times faster (default 1)
+  --settle <ms>       quiet time after the input before hanging up (default 3000)
+  --timeout <ms>      give up after this long (default 120000)`;
+
+// --- Arguments ---
+
+const parseOptions = () => {
+  const { values } = parseArgs({
+    options: {
+      url: { type: "string", default: "ws://localhost:3000/telephony" },
+      input: { type: "string" },
+      token: { type: "string", default: process.env.TELEPHONY_TOKEN },
+      persona: { type: "string" },
+      from: { type: "string", default: "+15550100" },
+      out: { type: "string", default: "phone-caller-output" },
+      speed: { type: "string", default: "1" },
+      settle: { type: "string", default: "3000" },
+      timeout: { type: "string", default: "120000" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  if (values.help || !values.input) throw new Error("");
+  if (!values.token) throw new Error("--token (or TELEPHONY_TOKEN) is required");
+
+  const number = (name, { min = 0 } = {}) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min) throw new Error(`--${name} must be a number >= ${min}`);
+    return value;
+  };
+  const speed = number("speed");
+  if (speed <= 0) throw new Error("--speed must be greater than 0");
+
+  return {
+    url: new URL(values.url),
+    input: values.input,
+    token: values.token,
+    persona: values.persona,
+    from: values.from,
+    out: values.out,
+    speed,
+    settleMs: number("settle"),
+    timeoutMs: number("timeout", { min: 1 })
+  };
+};
+
+// --- Input Audio ---
+
+// The recording as 8 kHz μ-law bytes
+const readInput = (file) => {
+  const buffer = fs.readFileSync(file);
+  if (path.extname(file).toLowerCase() !== ".wav") return buffer;
+
+  const { sampleRate, samples } = decodeWav(buffer);
+  const resampled = createResampler(sampleRate, SAMPLE_RATE).process(samples);
+  return encodeMulaw(Int16Array.from(resampled, (s) => Math.round(Math.max(-1, Math.min(1, s)) * 32767)));
+};
+
+// --- Call ---
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const call = async (options, audio) => {
+  const startedAt = Date.now();
+  const elapsed = () => Date.now() - startedAt;
+  const streamSid = `MZ${crypto.randomBytes(16).toString("hex")}`;
+  const callSid = `CA${crypto.randomBytes(16).toString("hex")}`;
+  const events = [];
+  const heard = [];
+  let heardBytes = 0;
+  let sequenceNumber = 0;
+  let exitCode = null;
+  let failure = null;
+
+  // Simulated playback: when the queued bot audio will have played out,
+  // and the marks waiting on it
+  let playbackEndsAt = 0;
+  let pendingMarks = []; // { name, dueAt }
+  let lastBotAudioAt = 0;
+
+  const record = (event) => events.push({ atMs: elapsed(), ...event });
+  const log = (line) => console.log(`[${(elapsed() / 1000).toFixed(1)}s] ${line}`);
+
+  const ws = new WebSocket(options.url);
+
+  const send = (event) => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    const message = { ...event, sequenceNumber: String(++sequenceNumber), streamSid };
+    ws.send(JSON.stringify(message));
+    if (event.event !== "media") record({ sent: message });
+  };
+
+  const fail = (code, message) => {
+    if (exitCode !== null && exitCode !== Exit.OK) return;
+    exitCode = code;
+    failure = message;
+    if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+      ws.close(code === Exit.PROTOCOL ? CloseCode.PROTOCOL_ERROR : CloseCode.NORMAL);
+    }
+  };
+
+  // Settles once the socket is closed
+  const closed = new Promise((resolve) => {
+    ws.on("close", (code, reason) => {
+      record({ type: "close", code, reason: reason.toString() });
+      if (exitCode === null && code === CloseCode.NORMAL) {
+        exitCode = Exit.OK;
+        log(`The server ended the call (${reason})`);
+      } else if (exitCode === null) {
+        fail(Exit.PROTOCOL, `Server closed the connection (${code} ${reason})`);
+      }
+      resolve();
+    });
+  });
+  const opened = new Promise((resolve) => ws.on("open", resolve));
+
+  const echoDueMarks = (now = Date.now()) => {
+    const due = pendingMarks.filter((mark) => mark.dueAt <= now);
+    pendingMarks = pendingMarks.filter((mark) => mark.dueAt > now);
+    due.forEach(({ name }) => send({ event: "mark", mark: { name } }));
+  };
+
+  const handleEvent = (message) => {
+    const now = Date.now();
+    switch (message.event) {
+      case "media": {
+        const bytes = Buffer.from(message.media?.payload ?? "", "base64");
+        if (playbackEndsAt + TURN_GAP_MS <= now) {
+          record({ received: "audio_start" });
+          log("Bot speaking");
+        }
+        heard.push(bytes);
+        heardBytes += bytes.length;
+        playbackEndsAt = Math.max(now, playbackEndsAt) + (bytes.length * 1000) / SAMPLE_RATE / options.speed;
+        lastBotAudioAt = now;
+        break;
+      }
+      case "mark":
+        record({ received: message });
+        pendingMarks.push({ name: message.mark?.name, dueAt: Math.max(now, playbackEndsAt) });
+        break;
+      case "clear": {
+        // Whatever had not been played yet is never heard
+        const droppedMs = Math.max(0, playbackEndsAt - now) * options.speed;
+        const droppedBytes = Math.min(heardBytes, Math.round((droppedMs * SAMPLE_RATE) / 1000));
+        const kept = Buffer.concat(heard).subarray(0, heardBytes - droppedBytes);
+        heard.splice(0, heard.length, kept);
+        heardBytes = kept.length;
+        playbackEndsAt = now;
+        pendingMarks.forEach((mark) => (mark.dueAt = now));
+        record({ received: message, droppedMs: Math.round(droppedMs) });
+        log(`Playback cleared (${Math.round(droppedMs)} ms of bot audio dropped)`);
+        echoDueMarks(now);
+        break;
+      }
+      default:
+        record({ received: message });
+    }
+  };
+
+  ws.on("message", (data, isBinary) => {
+    if (isBinary) {
+      fail(Exit.PROTOCOL, "Unexpected binary message from the server");
+      return;
+    }
+    try {
+      handleEvent(JSON.parse(data.toString()));
+    } catch {
+      fail(Exit.PROTOCOL, "Malformed event from the server");
+    }
+  });
+  ws.on("error", (error) => fail(Exit.PROTOCOL, `WebSocket error: ${error.message}`));
+
+  const overall = setTimeout(() => fail(Exit.TIMEOUT, `Timed out after ${options.timeoutMs}ms`), options.timeoutMs);
+  const markTimer = setInterval(echoDueMarks, MARK_CHECK_MS);
+  const running = () => exitCode === null && ws.readyState === WebSocket.OPEN;
+
+  const conversation = (async () => {
+    await Promise.race([opened, closed]);
+    if (!running()) return;
+
+    send({ event: "connected", protocol: "Call", version: "1.0.0" });
+    send({
+      event: "start",
+      start: {
+        streamSid,
+        callSid,
+        accountSid: "AC00000000000000000000000000000000",
+        tracks: ["inbound"],
+        mediaFormat: { ...PHONE_AUDIO },
+        customParameters: {
+          token: options.token,
+          from: options.from,
+          ...(options.persona ? { persona: options.persona } : {})
+        }
+      }
+    });
+    log(`Calling as ${options.from}: ${(audio.length / SAMPLE_RATE).toFixed(1)}s of audio`);
+
+    // The file, then line silence until the bot is done; a phone line
+    // never stops streaming
+    const silence = Buffer.alloc(CHUNK_BYTES, MULAW_SILENCE);
+    const streamStart = Date.now();
+    let inputDone = false;
+    for (let chunk = 0; running(); chunk++) {
+      await sleep(streamStart + (chunk * CHUNK_MS) / options.speed - Date.now());
+      if (!running()) return;
+
+      const offset = chunk * CHUNK_BYTES;
+      if (offset >= audio.length && !inputDone) {
+        inputDone = true;
+        record({ sent: "end_of_input" });
+        lastBotAudioAt = Math.max(lastBotAudioAt, Date.now());
+      }
+      if (inputDone) {
+        const now = Date.now();
+        const quiet = now - Math.max(lastBotAudioAt, playbackEndsAt) >= options.settleMs;
+        if (quiet && !pendingMarks.length) break;
+      }
+      const payload = inputDone ? silence : audio.subarray(offset, offset + CHUNK_BYTES);
+      send({
+        event: "media",
+        media: {
+          track: "inbound",
+          chunk: String(chunk + 1),
+          timestamp: String(chunk * CHUNK_MS),
+          payload: payload.toString("base64")
+        }
+      });
+    }
+    if (!running()) return;
+
+    exitCode = Exit.OK;
+    send({ event: "stop", stop: { accountSid: "AC00000000000000000000000000000000", callSid } });
+    log("Hanging up");
+    ws.close(CloseCode.NORMAL);
+  })();
+
+  await Promise.all([conversation, closed]);
+  clearTimeout(overall);
+  clearInterval(markTimer);
+  return { exitCode, failure, events, heard: Buffer.concat(heard) };
+};
+
+// --- Main ---
+
+const main = async () => {
+  let options;
+  let audio;
+  try {
+    options = parseOptions();
+  } catch (error) {
+    if (error.message) console.error(error.message);
+    console.error(USAGE);
+    return Exit.USAGE;
+  }
+  try {
+    audio = readInput(options.input);
+  } catch (error) {
+    console.error(`Cannot read ${options.input}: ${error.message}`);
+    return Exit.USAGE;
+  }
+  if (!audio.length) {
+    console.error(`${options.input} holds no audio`);
+    return Exit.USAGE;
+  }
+
+  const result = await call(options, audio);
+
+  const pcm = Buffer.alloc(result.heard.length * 2);
+  decodeMulaw(result.heard).forEach((s, i) => pcm.writeInt16LE(s, i * 2));
+  fs.mkdirSync(options.out, { recursive: true });
+  fs.writeFileSync(
+    path.join(options.out, "heard.wav"),
+    Buffer.concat([wavHeader({ sampleRate: SAMPLE_RATE, channels: 1, dataBytes: pcm.length }), pcm])
+  );
+  fs.writeFileSync(
+    path.join(options.out, "events.jsonl"),
+    result.events.map((event) => JSON.stringify(event) + "\n").join("")
+  );
+
+  const seconds = (result.heard.length / SAMPLE_RATE).toFixed(1);
+  console.log(`${seconds}s of bot audio heard; ${result.events.length} events written to ${options.out}`);
+  if (result.failure) console.error(result.failure);
+  return result.exitCode;
+};
+
+process.exitCode = await main();
@@ -0,0 +1,421 @@
+// voice-client.js - Converses with the voice server from the command line
+//
+//   node scripts/voice-client.js --input question.wav [--out ./voice-client-output]
+//     [--speed 1] [--interrupt-at 2500] [--persona sales] [--url ws://localhost:3000]
+//     [--interpret hi-IN,ta-IN] [--image photo.jpg]
+//
+// Streams a WAV file (any rate and channel count) or raw PCM16 LE (with
+// --input-rate) to the server as 16 kHz frames, paced in real time or
+// --speed times faster (0: as fast as possible), and saves what comes back
+// in --out:
+//   reply.wav       the bot's 24 kHz reply audio, replies laid end to end
+//   events.jsonl    every control message and frame event, with atMs
+//   transcript.txt  the final transcripts
+//
+// Like the browser, only speech is sent: its speech detector skips silence
+// and ends each utterance with END_OF_SPEECH (--vad off sends the whole file
+// as one utterance). --interrupt-at sends an interruption at that offset
+// into the input. Once the input is sent and the server has been quiet for
+// --settle ms, the client sends `end` and waits for the summary and close.
+// --image shares a photo (JPEG, PNG or WebP) before the audio starts.
+//
+// Exit status: 0 done, 1 bad arguments or input, 2 protocol or server
+// error, 3 timeout.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import WebSocket from "ws";
+import { decodeWav, wavHeader } from "../wav.js";
+import {
+  AUDIO_FORMATS,
+  FrameType,
+  ClientAudioFlag,
+  ImageSource,
+  MessageType,
+  CloseCode,
+  ProtocolError,
+  createHello,
+  encodeClientAudio,
+  encodeClientImage,
+  decodeServerFrame,
+  decodeServerMessage
+} from "../../shared/protocol.js";
+import { createResampler } from "../../shared/resampler.js";
+import { VAD_DEFAULTS, createSpeechDetector } from "../../shared/speech-detector.js";
+
+const INPUT_SAMPLE_RATE = AUDIO_FORMATS.input.sampleRate;
+const OUTPUT_SAMPLE_RATE = AUDIO_FORMATS.output.sampleRate;
+const FRAME_MS = 40;
+const HANDSHAKE_TIMEOUT_MS = 10_000;
+const SUMMARY_WAIT_MS = 20_000;
+
+const Exit = { OK: 0, USAGE: 1, PROTOCOL: 2, TIMEOUT: 3 };
+
+const USAGE = `Usage: node scripts/voice-client.js --input <file.wav|file.pcm> [options]
+
+  --url <ws-url>         server (default ws://localhost:3000)
+  --input-rate <hz>      sample rate of a raw .pcm input (default 16000)
+  --out <dir>            where to write the results (default ./voice-client-output)
+  --speed <n>            1 = real time, 4 = four times faster, 0 = no pacing (default 1)
+  --interrupt-at <ms>    send an interruption this far into the input (repeatable)
+  --persona <id>         persona to talk to
+  --interpret <a,b>      interpreter session between two languages, e.g. hi-IN,ta-IN
+  --image <file>         photo to share before the audio (JPEG, PNG or WebP)
+  --api-key <key>        X-API-Key for the ticket endpoint
+  --vad <on|off>         only send speech (default on)
+  --vad-threshold <rms>  quietest speech level, 0-1 (default ${VAD_DEFAULTS.minThreshold})
+  --settle <ms>          quiet time after the input before ending (default 3000)
+  --timeout <ms>         give up after this long (default 120000)`;
+
+// --- Arguments ---
+
+const parseOptions = () => {
+  const { values } = parseArgs({
+    options: {
+      url: { type: "string", default: "ws://localhost:3000" },
+      input: { type: "string" },
+      "input-rate": { type: "string", default: String(INPUT_SAMPLE_RATE) },
+      out: { type: "string", default: "voice-client-output" },
+      speed: { type: "string", default: "1" },
+      "interrupt-at": { type: "string", multiple: true, default: [] },
+      persona: { type: "string" },
+      interpret: { type: "string" },
+      image: { type: "string" },
+      "api-key": { type: "string" },
+      vad: { type: "string", default: "on" },
+      "vad-threshold": { type: "string", default: String(VAD_DEFAULTS.minThreshold) },
+      settle: { type: "string", default: "3000" },
+      timeout: { type: "string", default: "120000" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  if (values.help || !values.input) throw new Error("");
+
+  const number = (name, { min = 0 } = {}) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min) throw new Error(`--${name} must be a number >= ${min}`);
+    return value;
+  };
+  if (!["on", "off"].includes(values.vad)) throw new Error("--vad must be on or off");
+
+  return {
+    url: new URL(values.url),
+    input: values.input,
+    inputRate: number("input-rate", { min: 1 }),
+    out: values.out,
+    speed: number("speed"),
+    interruptAt: values["interrupt-at"].map((value) => {
+      const ms = Number(value);
+      if (!Number.isFinite(ms) || ms < 0) throw new Error("--interrupt-at must be milliseconds >= 0");
+      return ms;
+    }),
+    persona: values.persona,
+    interpreter: values.interpret
+      ? { languages: values.interpret.split(",").map((code) => code.trim()) }
+      : undefined,
+    image: values.image,
+    apiKey: values["api-key"],
+    vad: values.vad === "on",
+    vadThreshold: number("vad-threshold"),
+    settleMs: number("settle"),
+    timeoutMs: number("timeout", { min: 1 })
+  };
+};
+
+// --- Input Audio ---
+
+const readInput = (file, rawRate) => {
+  const buffer = fs.readFileSync(file);
+  if (path.extname(file).toLowerCase() === ".wav") {
+    const { sampleRate, samples } = decodeWav(buffer);
+    return createResampler(sampleRate, INPUT_SAMPLE_RATE).process(samples);
+  }
+  const samples = new Float32Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) samples[i] = buffer.readInt16LE(i * 2) / 32768;
+  return createResampler(rawRate, INPUT_SAMPLE_RATE).process(samples);
+};
+
+const toPcm16 = (samples) => {
+  const pcm = Buffer.alloc(samples.length * 2);
+  samples.forEach((s, i) => pcm.writeInt16LE(Math.round(Math.max(-1, Math.min(1, s)) * 32767), i * 2));
+  return pcm;
+};
+
+// Frames to send, each { atMs, pcm, endOfSpeech }; atMs is when a
+// microphone would have delivered the frame (the end of its audio)
+const planFrames = (samples, { vad, threshold }) => {
+  const frameSamples = (INPUT_SAMPLE_RATE * FRAME_MS) / 1000;
+  const frames = [];
+  for (let i = 0; i * frameSamples < samples.length; i++) {
+    const chunk = samples.subarray(i * frameSamples, (i + 1) * frameSamples);
+    frames.push({ atMs: (i + 1) * FRAME_MS, samples: chunk });
+  }
+  if (!vad) {
+    return frames.map((frame, i) => ({
+      atMs: frame.atMs,
+      pcm: toPcm16(frame.samples),
+      endOfSpeech: i === frames.length - 1
+    }));
+  }
+
+  // The same detector as the browser's: the pre-roll is delivered with
+  // the onset, then each frame up to the one that ends the utterance
+  const detector = createSpeechDetector({ frameMs: FRAME_MS, minThreshold: threshold });
+  const plan = [];
+  frames.forEach((frame) => {
+    detector.push(frame.samples, frame).frames.forEach(({ payload, endOfSpeech }) => {
+      plan.push({ atMs: frame.atMs, pcm: toPcm16(payload.samples), endOfSpeech });
+    });
+  });
+  if (detector.isSpeaking && plan.length) plan.at(-1).endOfSpeech = true;
+  return plan;
+};
+
+// --- Conversation ---
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const requestTicket = async (url, apiKey) => {
+  const ticketUrl = new URL("/api/tickets", url);
+  ticketUrl.protocol = url.protocol === "wss:" ? "https:" : "http:";
+  const response = await fetch(ticketUrl, {
+    method: "POST",
+    headers: apiKey ? { "X-API-Key": apiKey } : {}
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error ?? `Ticket request failed (${response.status})`);
+  return body.ticket;
+};
+
+const converse = async (options, plan) => {
+  const startedAt = Date.now();
+  const elapsed = () => Date.now() - startedAt;
+  const events = [];
+  const transcript = [];
+  const reply = [];
+  let replyStarted = false;
+  let lastServerActivity = Date.now();
+  let exitCode = null;
+  let failure = null;
+
+  const record = (event) => events.push({ atMs: elapsed(), ...event });
+
+  const ticket = await requestTicket(options.url, options.apiKey);
+  const wsUrl = new URL("/", options.url);
+  wsUrl.searchParams.set("ticket", ticket);
+  const ws = new WebSocket(wsUrl);
+
+  // Settles with the exit code once the socket is closed
+  const closed = new Promise((resolve) => {
+    ws.on("close", (code, reason) => {
+      record({ type: "close", code, reason: reason.toString() });
+      if (exitCode === null && code !== CloseCode.NORMAL) {
+        fail(Exit.PROTOCOL, `Server closed the connection (${code} ${reason})`);
+      } else if (exitCode === null) {
+        fail(Exit.PROTOCOL, "Server closed the connection before the conversation was over");
+      }
+      resolve();
+    });
+  });
+
+  const fail = (code, message) => {
+    if (exitCode !== null && exitCode !== Exit.OK) return;
+    exitCode = code;
+    failure = message;
+    if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+      ws.close(code === Exit.PROTOCOL ? CloseCode.PROTOCOL_ERROR : CloseCode.NORMAL);
+    }
+  };
+
+  let welcomed;
+  const welcome = new Promise((resolve) => {
+    welcomed = resolve;
+  });
+
+  const handleFrame = (data) => {
+    const frame = decodeServerFrame(data);
+    if (frame.type === FrameType.AUDIO) {
+      if (!replyStarted) record({ frame: "audio_start" });
+      replyStarted = true;
+      reply.push(data.subarray(1));
+    } else if (frame.type === FrameType.TURN_COMPLETE) {
+      replyStarted = false;
+      record({ frame: "turn_complete" });
+    } else if (frame.type === FrameType.INTERRUPTION) {
+      replyStarted = false;
+      record({ frame: "interruption" });
+    }
+  };
+
+  const handleMessage = (text) => {
+    const message = decodeServerMessage(text);
+    record(message);
+    switch (message.type) {
+      case MessageType.WELCOME:
+        console.log(`Session ${message.sessionId} (${message.persona?.name ?? "default persona"})`);
+        welcomed();
+        break;
+      case MessageType.TRANSCRIPT:
+        if (message.final && message.text) {
+          const who = message.speaker === "user" ? "User" : message.translationOf ? "Translation" : "Bot";
+          const line = `[${(elapsed() / 1000).toFixed(1)}s] ${who}: ${message.text}${message.interrupted ? " (interrupted)" : ""}`;
+          transcript.push(line);
+          console.log(line);
+        }
+        break;
+      case MessageType.SUMMARY:
+        console.log(`Summary: ${message.summary}`);
+        break;
+      case MessageType.IMAGE:
+        console.log(`[${(elapsed() / 1000).toFixed(1)}s] Shared a ${message.width}x${message.height} image`);
+        break;
+      case MessageType.ERROR:
+        console.error(`Server error (${message.code}): ${message.message}`);
+        fail(Exit.PROTOCOL, `Server error ${message.code}`);
+        break;
+    }
+  };
+
+  ws.on("message", (data, isBinary) => {
+    lastServerActivity = Date.now();
+    try {
+      if (isBinary) {
+        handleFrame(data);
+      } else {
+        handleMessage(data.toString());
+      }
+    } catch (error) {
+      if (!(error instanceof ProtocolError)) throw error;
+      fail(Exit.PROTOCOL, `Protocol error (${error.code}): ${error.message}`);
+    }
+  });
+  ws.on("error", (error) => fail(Exit.PROTOCOL, `WebSocket error: ${error.message}`));
+  ws.on("open", () => {
+    ws.send(JSON.stringify(createHello({ persona: options.persona, interpreter: options.interpreter })));
+  });
+
+  const overall = setTimeout(() => fail(Exit.TIMEOUT, `Timed out after ${options.timeoutMs}ms`), options.timeoutMs);
+  const handshake = setTimeout(() => fail(Exit.TIMEOUT, "No welcome from the server"), HANDSHAKE_TIMEOUT_MS);
+  const running = () => exitCode === null && ws.readyState === WebSocket.OPEN;
+
+  const conversation = (async () => {
+    await Promise.race([welcome, closed]);
+    clearTimeout(handshake);
+    if (!running()) return;
+
+    if (options.imageBytes) {
+      record({ sent: "image", bytes: options.imageBytes.length });
+      ws.send(encodeClientImage(ImageSource.UPLOAD, options.imageBytes));
+    }
+
+    // Audio frames and interruptions, in input order
+    const actions = [
+      ...plan.map((frame) => ({ ...frame, kind: "audio" })),
+      ...options.interruptAt.map((atMs) => ({ atMs, kind: "interrupt" }))
+    ].sort((a, b) => a.atMs - b.atMs);
+
+    const streamStart = Date.now();
+    let seq = 0;
+    for (const action of actions) {
+      if (options.speed > 0) {
+        await sleep(streamStart + action.atMs / options.speed - Date.now());
+      }
+      if (!running()) return;
+      if (action.kind === "interrupt") {
+        record({ sent: "interruption", inputMs: action.atMs });
+        ws.send(JSON.stringify({ type: MessageType.INTERRUPTION }));
+      } else {
+        ws.send(encodeClientAudio(
+          seq++,
+          action.atMs,
+          action.pcm,
+          action.endOfSpeech ? ClientAudioFlag.END_OF_SPEECH : 0
+        ));
+        if (action.endOfSpeech) record({ sent: "end_of_speech", inputMs: action.atMs });
+      }
+    }
+
+    // Let the bot finish answering
+    lastServerActivity = Math.max(lastServerActivity, Date.now());
+    while (running() && Date.now() - lastServerActivity < options.settleMs) {
+      await sleep(100);
+    }
+    if (!running()) return;
+
+    exitCode = Exit.OK;
+    record({ sent: "end" });
+    ws.send(JSON.stringify({ type: MessageType.END }));
+    const summaryTimer = setTimeout(() => ws.close(CloseCode.NORMAL), SUMMARY_WAIT_MS);
+    await closed;
+    clearTimeout(summaryTimer);
+  })();
+
+  await Promise.all([conversation, closed]);
+  clearTimeout(overall);
+  clearTimeout(handshake);
+  return { exitCode, failure, events, transcript, reply: Buffer.concat(reply) };
+};
+
+// --- Main ---
+
+const main = async () => {
+  let options;
+  let plan;
+  try {
+    options = parseOptions();
+  } catch (error) {
+    if (error.message) console.error(error.message);
+    console.error(USAGE);
+    return Exit.USAGE;
+  }
+  try {
+    plan = planFrames(readInput(options.input, options.inputRate), {
+      vad: options.vad,
+      threshold: options.vadThreshold
+    });
+  } catch (error) {
+    console.error(`Cannot read ${options.input}: ${error.message}`);
+    return Exit.USAGE;
+  }
+  if (!plan.length) {
+    console.error("No speech found in the input (try --vad off or a lower --vad-threshold)");
+    return Exit.USAGE;
+  }
+  if (options.image) {
+    try {
+      options.imageBytes = fs.readFileSync(options.image);
+    } catch (error) {
+      console.error(`Cannot read ${options.image}: ${error.message}`);
+      return Exit.USAGE;
+    }
+  }
+
+  let result;
+  try {
+    result = await converse(options, plan);
+  } catch (error) {
+    console.error(`Cannot start a session at ${options.url.origin}: ${error.cause?.message ?? error.message}`);
+    return Exit.PROTOCOL;
+  }
+
+  fs.mkdirSync(options.out, { recursive: true });
+  fs.writeFileSync(
+    path.join(options.out, "reply.wav"),
+    Buffer.concat([
+      wavHeader({ sampleRate: OUTPUT_SAMPLE_RATE, channels: 1, dataBytes: result.reply.length }),
+      result.reply
+    ])
+  );
+  fs.writeFileSync(
+    path.join(options.out, "events.jsonl"),
+    result.events.map((event) => JSON.stringify(event) + "\n").join("")
+  );
+  fs.writeFileSync(path.join(options.out, "transcript.txt"), result.transcript.join("\n") + "\n");
+
+  const seconds = (result.reply.length / 2 / OUTPUT_SAMPLE_RATE).toFixed(1);
+  console.log(`${seconds}s of reply audio and ${result.events.length} events written to ${options.out}`);
+  if (result.failure) console.error(result.failure);
+  return result.exitCode;
+};
+
+process.exitCode = await main();
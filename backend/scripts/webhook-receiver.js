@@ -0,0 +1,54 @@
+// webhook-receiver.js - A local endpoint for trying out webhooks
+//
+//   node scripts/webhook-receiver.js --secret dev-secret [--port 4000] [--fail 2]
+//
+// Checks each delivery's signature and prints the event. `--fail N` answers
+// the first N deliveries with a 500 to watch the server retry.
+import http from "http";
+import { parseArgs } from "util";
+import { verifySignature } from "../webhooks.js";
+
+const { values: args } = parseArgs({
+  options: {
+    secret: { type: "string" },
+    port: { type: "string", default: "4000" },
+    fail: { type: "string", default: "0" }
+  }
+});
+
+if (!args.secret) {
+  console.error("Usage: node scripts/webhook-receiver.js --secret <secret> [--port 4000] [--fail N]");
+  process.exit(1);
+}
+
+let toFail = Number(args.fail);
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const signature = req.headers["x-revolt-signature"];
+
+    if (req.method !== "POST" || !verifySignature(args.secret, signature, body)) {
+      console.log(`✗ ${req.method} ${req.url} rejected: bad or missing signature`);
+      res.writeHead(401).end();
+      return;
+    }
+    if (toFail > 0) {
+      toFail--;
+      console.log(`… ${req.headers["x-revolt-event"]} ${req.headers["x-revolt-delivery"]} failed on purpose`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    const event = JSON.parse(body);
+    console.log(`✓ ${event.type} ${event.id}`);
+    console.log(JSON.stringify(event.data, null, 2));
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`Receiving webhooks on http://localhost:${args.port}/`);
+});
@@ -1,34 +1,355 @@
 // server.js
 import express from "express";
+import cors from "cors";
 import http from "http";
 import { WebSocketServer } from "ws";
-import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
-import { GoogleGenAI, Modality } from "@google/genai";
+import { createProvider } from "./providers/index.js";
+import { createAnalyzer, createCallAnalysis, loadLeadSchema } from "./analyzers/index.js";
+import { createVoiceSession } from "./session.js";
+import { createSessionRegistry } from "./sessions.js";
+import { createHistoryStore } from "./history.js";
+import { createHistoryRouter } from "./routes/history.js";
+import { createRecordingStore } from "./recordings.js";
+import { createRecordingsRouter } from "./routes/recordings.js";
+import { createPersonaCatalog } from "./personas.js";
+import { createToolRegistry } from "./tools/index.js";
+import { BUILTIN_TOOLS } from "./tools/builtin.js";
+import { createKnowledgeTool } from "./tools/knowledge.js";
+import { createKnowledgeBase } from "./knowledge.js";
+import { createKnowledgeRouter } from "./routes/knowledge.js";
+import { createAdminAuth } from "./admin-auth.js";
+import { createTicketIssuer } from "./tickets.js";
+import { createTicketRouter } from "./routes/tickets.js";
+import { createAdminRouter } from "./routes/admin.js";
+import { createWebhooksRouter } from "./routes/webhooks.js";
+import { createUsageRouter } from "./routes/usage.js";
+import { loadSubscriptions, createDeliveryLog, createWebhookDispatcher } from "./webhooks.js";
+import { handleSupervisorConnection, SUPERVISOR_PATH } from "./supervisor.js";
+import { handleTelephonyConnection, TELEPHONY_PATH } from "./telephony.js";
+import { parseInterpreter, createInterpreterPersona } from "./interpreter.js";
+import { createImageProcessor } from "./images.js";
+import { createRateLimiter, createSessionLimits } from "./limits.js";
+import { createUsageLedger } from "./usage.js";
+import { resolveInputFormat, createRateMonitor } from "./audio-input.js";
+import { safeSend } from "./ws-utils.js";
+import { logger } from "./logger.js";
+import { createVoiceMetrics } from "./metrics.js";
+import { createProviderHealth, trackProvider } from "./health.js";
+import {
+  AUDIO_FORMATS,
+  MessageType,
+  ErrorCode,
+  CloseCode,
+  CLOSE_CODES_BY_ERROR,
+  ProtocolError,
+  assertCompatibleVersion,
+  createWelcome,
+  createError,
+  ClientAudioFlag,
+  FrameType,
+  decodeClientFrame,
+  decodeClientMessage
+} from "../shared/protocol.js";
+import {
+  PORT,
+  ADMIN_TOKEN,
+  TELEPHONY_TOKEN,
+  MAINTENANCE_MESSAGE,
+  TICKET_SECRET,
+  TICKET_TTL_MS,
+  TICKET_API_KEYS,
+  ALLOWED_ORIGINS,
+  TICKETS_PER_MINUTE_PER_IP,
+  MAX_SESSIONS,
+  MAX_SESSIONS_PER_IP,
+  DAILY_MINUTES_PER_IP,
+  MAX_SESSION_MINUTES,
+  MAX_SESSION_TOKENS,
+  DAILY_TOKEN_BUDGET,
+  USAGE_FILE,
+  HANDSHAKE_TIMEOUT_MS,
+  SESSION_RESUME_GRACE_MS,
+  MODEL,
+  AI_PROVIDER,
+  GOOGLE_API_KEY,
+  MOCK_PROVIDER_MODE,
+  HISTORY_DIR,
+  HISTORY_RETENTION_DAYS,
+  HISTORY_PURGE_INTERVAL_MS,
+  RECORDING_ENABLED,
+  RECORDINGS_DIR,
+  RECORDING_RETENTION_DAYS,
+  MAX_IMAGE_BYTES,
+  IMAGE_MAX_DIMENSION,
+  IMAGE_FRAME_INTERVAL_MS,
+  PERSONAS_DIR,
+  DEFAULT_PERSONA,
+  TOOL_TIMEOUT_MS,
+  KNOWLEDGE_DIR,
+  PROVIDER_HEALTH_WINDOW_MS,
+  WEBHOOKS_FILE,
+  WEBHOOK_LOG_FILE,
+  WEBHOOK_LOG_RETENTION_DAYS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_MS,
+  WEBHOOK_TIMEOUT_MS,
+  ANALYSIS_ENABLED,
+  ANALYZER,
+  ANALYSIS_MODEL,
+  ANALYSIS_TIMEOUT_MS,
+  LEAD_SCHEMA_FILE
+} from "./config.js";
 
-// Configuration
-dotenv.config();
-const PORT = Number(process.env.PORT || 3000);
-const SESSION_IDLE_MS = 90_000; // 1.5 minutes idle timeout
-const MAX_RECONNECT_ATTEMPTS = 3;
-const RECONNECT_DELAY_MS = 2000;
-const MODEL = "gemini-2.5-flash-preview-native-audio-dialog";
+// Live sessions, including ones waiting for their client to reconnect
+const sessions = createSessionRegistry();
+
+// Observability: Prometheus metrics and AI provider health
+const metrics = createVoiceMetrics({ activeSessions: () => sessions.size });
+const health = createProviderHealth({ windowMs: PROVIDER_HEALTH_WINDOW_MS });
+let shuttingDown = false;
+
+// Maintenance mode (set from the admin console): new sessions are turned away
+const maintenance = { enabled: false, message: MAINTENANCE_MESSAGE, since: null };
+
+// AI Provider (shared by all sessions)
+const provider = trackProvider(createProvider(AI_PROVIDER, {
+  apiKey: GOOGLE_API_KEY,
+  model: MODEL,
+  mode: MOCK_PROVIDER_MODE
+}), { health, metrics });
+
+// Post-call summary and lead fields; a broken schema file turns it off
+const loadCallAnalysis = () => {
+  if (!ANALYSIS_ENABLED) return null;
+  try {
+    return createCallAnalysis({
+      analyzer: createAnalyzer(ANALYZER, { apiKey: GOOGLE_API_KEY, model: ANALYSIS_MODEL }),
+      schema: loadLeadSchema(LEAD_SCHEMA_FILE),
+      timeoutMs: ANALYSIS_TIMEOUT_MS
+    });
+  } catch (e) {
+    logger.error("Post-call analysis disabled", { reason: e.message });
+    return null;
+  }
+};
+const analysis = loadCallAnalysis();
+
+// Personas clients can pick from at session start
+const personas = createPersonaCatalog({
+  dir: PERSONAS_DIR,
+  defaultId: DEFAULT_PERSONA
+});
+
+// Local documents the bot grounds product answers in
+const knowledge = createKnowledgeBase({ dir: KNOWLEDGE_DIR });
+await knowledge.reindex();
+
+// Functions the model can call
+const tools = createToolRegistry({ timeoutMs: TOOL_TIMEOUT_MS });
+BUILTIN_TOOLS.forEach((tool) => tools.register(tool));
+tools.register(createKnowledgeTool(knowledge));
+
+// Who may open a session, and how many / for how long
+const tickets = createTicketIssuer({ secret: TICKET_SECRET, ttlMs: TICKET_TTL_MS });
+const limits = createSessionLimits({
+  maxSessions: MAX_SESSIONS,
+  maxSessionsPerIp: MAX_SESSIONS_PER_IP,
+  dailyMinutesPerIp: DAILY_MINUTES_PER_IP
+});
+
+// Finished conversations, kept for HISTORY_RETENTION_DAYS
+const history = createHistoryStore({
+  dir: HISTORY_DIR,
+  retentionDays: HISTORY_RETENTION_DAYS
+});
+
+// Tokens and audio spent per day, kept in USAGE_FILE so a restart does not
+// reset the daily budget
+const usage = createUsageLedger({ dailyTokenBudget: DAILY_TOKEN_BUDGET, file: USAGE_FILE });
+const usageLimits = {
+  maxSessionMinutes: MAX_SESSION_MINUTES || null,
+  maxSessionTokens: MAX_SESSION_TOKENS || null,
+  dailyTokenBudget: DAILY_TOKEN_BUDGET || null
+};
+try {
+  // Without saved totals (e.g. a new install), today's sessions are enough
+  // for the budget
+  if (!(await usage.load())) {
+    usage.seed(await history.savedSince(new Date().setUTCHours(0, 0, 0, 0)));
+  }
+} catch (e) {
+  logger.error("Could not load usage from history", e);
+}
+
+// Audio of sessions whose callers agreed to be recorded
+const recordings = createRecordingStore({
+  dir: RECORDINGS_DIR,
+  retentionDays: RECORDING_RETENTION_DAYS
+});
+
+// Photos and camera frames callers show Rev (MAX_IMAGE_BYTES 0 turns them off)
+const images = MAX_IMAGE_BYTES > 0
+  ? createImageProcessor({ maxBytes: MAX_IMAGE_BYTES, maxDimension: IMAGE_MAX_DIMENSION })
+  : null;
+
+// Session events for the CRM and analytics, with every attempt logged
+const webhookLog = createDeliveryLog({
+  file: WEBHOOK_LOG_FILE,
+  retentionDays: WEBHOOK_LOG_RETENTION_DAYS
+});
+const webhooks = createWebhookDispatcher({
+  subscriptions: loadSubscriptions(WEBHOOKS_FILE),
+  deliveryLog: webhookLog,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  metrics
+});
+
+// Saves still in flight, so shutdown can wait for them
+const pendingSaves = new Set();
+
+const saveSessionRecord = (session) => {
+  // The record lists the recording files once they are complete
+  const saving = session.finished
+    .then(() => history.save(session.record))
+    .catch((e) => session.log.error("Failed to save session record", e))
+    .finally(() => pendingSaves.delete(saving));
+  pendingSaves.add(saving);
+};
+
+const purgeHistory = async () => {
+  try {
+    const purged = await history.purgeExpired();
+    if (purged) logger.info("Purged expired session records", { count: purged });
+  } catch (e) {
+    logger.error("History purge failed", e);
+  }
+  try {
+    const purged = await recordings.purgeExpired();
+    if (purged) logger.info("Purged expired recordings", { count: purged });
+  } catch (e) {
+    logger.error("Recording purge failed", e);
+  }
+  try {
+    const purged = await webhookLog.purgeExpired();
+    if (purged) logger.info("Purged expired webhook deliveries", { count: purged });
+  } catch (e) {
+    logger.error("Webhook log purge failed", e);
+  }
+};
+
+// Admits and creates a new session; throws a ProtocolError if it may not
+// start. Browser sessions are limited by `limitKey` (the client's IP);
+// phone calls, which all arrive from the carrier, pass null and only count
+// toward MAX_SESSIONS. An `interpreter` ({ languages }) session keeps the
+// persona's voice but translates instead of answering.
+const startSession = ({ personaId, interpreter = null, inputFormat, recordingConsent, limitKey, metadata }) => {
+  const resolved = personas.resolve(personaId);
+  if (!resolved) {
+    throw new ProtocolError(ErrorCode.UNKNOWN_PERSONA, `Unknown persona "${personaId}"`);
+  }
+  const persona = interpreter ? createInterpreterPersona(resolved, interpreter) : resolved;
+  if (maintenance.enabled) {
+    throw new ProtocolError(ErrorCode.MAINTENANCE, maintenance.message);
+  }
+  const { remainingMs } = limits.admit(limitKey, sessions.values());
+  usage.admit();
+
+  const session = sessions.add(createVoiceSession({
+    provider,
+    persona,
+    tools,
+    interpreter,
+    inputFormat,
+    // Recorded only when the server allows it and the caller agreed
+    recordings: RECORDING_ENABLED && recordingConsent === true ? recordings : null,
+    images,
+    maxDurationMs: remainingMs,
+    maxSessionMs: MAX_SESSION_MINUTES ? MAX_SESSION_MINUTES * 60_000 : Infinity,
+    maxSessionTokens: MAX_SESSION_TOKENS || Infinity,
+    usage,
+    metrics,
+    analysis,
+    events: webhooks,
+    metadata,
+    onEnd: (ended) => {
+      sessions.remove(ended);
+      limits.recordUsage(limitKey, ended.record.durationMs);
+      saveSessionRecord(ended);
+    }
+  }));
+  metrics.sessionsStarted.inc({ persona: persona.id });
+  return session;
+};
 
 // Initialize Express
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const app = express();
+const requireAdmin = createAdminAuth(ADMIN_TOKEN);
 const FRONTEND_DIR = path.resolve(__dirname, "../frontend");
+const SHARED_DIR = path.resolve(__dirname, "../shared");
+
+// Cross-origin access for the embeddable widget: other sites load its
+// script, worklets and sounds (public files, so any origin) and ask for
+// personas and tickets (ALLOWED_ORIGINS when set). Admin routes never
+// answer other origins.
+const embedCors = cors({ origin: ALLOWED_ORIGINS.length > 0 ? ALLOWED_ORIGINS : true });
+const allowAnyOrigin = (res) => res.set("Access-Control-Allow-Origin", "*");
 
 // Middleware
-app.use(express.static(FRONTEND_DIR));
+app.use(express.static(FRONTEND_DIR, { setHeaders: allowAnyOrigin }));
+app.use("/shared", express.static(SHARED_DIR, { setHeaders: allowAnyOrigin }));
 app.use(express.json());
 
-// Health Check Endpoint
-app.get("/healthz", (_, res) => res.json({ 
-  status: "healthy", 
-  timestamp: new Date().toISOString() 
+// Readiness Check: 503 while the AI provider is failing, in maintenance or
+// during shutdown
+app.get("/healthz", (_, res) => {
+  const providerHealth = health.check();
+  const status = shuttingDown
+    ? "shutting_down"
+    : maintenance.enabled
+      ? "maintenance"
+      : providerHealth.status;
+  res.status(status === "healthy" ? 200 : 503).json({
+    status,
+    timestamp: new Date().toISOString(),
+    provider: { name: provider.name, ...providerHealth },
+    sessions: { active: sessions.size, max: MAX_SESSIONS || null }
+  });
+});
+
+// Prometheus Metrics
+app.get("/metrics", (_, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.registry.render());
+});
+
+// Session Tickets
+app.use("/api/tickets", embedCors, createTicketRouter({
+  issuer: tickets,
+  rateLimiter: createRateLimiter({ limit: TICKETS_PER_MINUTE_PER_IP }),
+  apiKeys: TICKET_API_KEYS,
+  allowedOrigins: ALLOWED_ORIGINS
+}));
+
+// Personas
+app.get("/api/personas", embedCors, (_, res) => res.json({ personas: personas.list() }));
+
+// Administration (conversation history holds callers' transcripts and
+// contact details, so it is for operators only)
+app.use("/admin/history", requireAdmin, createHistoryRouter(history));
+app.use("/admin/knowledge", requireAdmin, createKnowledgeRouter(knowledge));
+app.use("/admin/recordings", requireAdmin, createRecordingsRouter(recordings));
+app.use("/admin/webhooks", requireAdmin, createWebhooksRouter({ webhooks, deliveryLog: webhookLog }));
+app.use("/admin/usage", requireAdmin, createUsageRouter({ usage, sessions, limits: usageLimits }));
+app.use("/admin", requireAdmin, createAdminRouter({
+  listConnections: () => listConnections(),
+  sessions,
+  tickets,
+  maintenance
 }));
 
 const server = http.createServer(app);
@@ -37,249 +358,315 @@ const server = http.createServer(app);
 const wss = new WebSocketServer({ 
   server,
   clientTracking: true,
-  perMessageDeflate: true
+  perMessageDeflate: true,
+  // Room for the largest image; oversized ones still get a polite error
+  // instead of a dropped connection up to twice that
+  maxPayload: 2 * Math.max(MAX_IMAGE_BYTES, 1024 * 1024)
 });
 
-// Client Session Manager
-wss.on("connection", async (clientWS, req) => {
-  console.log(`✅ New connection from ${req.socket.remoteAddress}`);
-  let reconnectAttempts = 0;
-  
-  // Session State
-  const sessionState = {
-    ai: new GoogleGenAI({ apiKey: process.env.GOOGLE_API_KEY }),
-    geminiSession: null,
-    isAISpeaking: false,
-    idleTimer: null,
-    isActive: true
-  };
+// Connection state of each socket in wss.clients
+const connectionsBySocket = new WeakMap();
 
-  // --- Core Functions ---
+// Open sockets for the admin console; ones still in the handshake have no session
+const listConnections = () =>
+  [...wss.clients]
+    .filter((clientWS) => clientWS.readyState === clientWS.OPEN && connectionsBySocket.has(clientWS))
+    .map((clientWS) => {
+      const connection = connectionsBySocket.get(clientWS);
+      return {
+        ...(connection.session?.snapshot() ?? { id: null }),
+        remoteAddress: connection.remoteAddress,
+        userAgent: connection.userAgent,
+        connectedAt: connection.connectedAt
+      };
+    });
 
-  const resetIdleTimer = () => {
-    clearTimeout(sessionState.idleTimer);
-    sessionState.idleTimer = setTimeout(() => {
-      safeSend(clientWS, { 
-        type: "session_timeout", 
-        message: "Session ended due to inactivity." 
-      });
-      cleanupSession();
-    }, SESSION_IDLE_MS);
-  };
+// Client Connection Manager
+wss.on("connection", async (clientWS, req) => {
+  const remoteAddress = req.socket.remoteAddress;
+  // Entries gain the session ID once the handshake has picked the session
+  let log = logger.child({ remoteAddress });
+  log.info("New connection");
+  const requestUrl = new URL(req.url, "http://localhost");
+  const redeemTicket = () =>
+    tickets.redeem(requestUrl.searchParams.get("ticket"), { ip: remoteAddress });
 
-  const cleanupSession = () => {
-    if (!sessionState.isActive) return;
-    sessionState.isActive = false;
-    
-    clearTimeout(sessionState.idleTimer);
-    
-    if (sessionState.geminiSession) {
-      try {
-        sessionState.geminiSession.close();
-      } catch (e) {
-        console.warn("Gemini session close error:", e);
-      }
-      sessionState.geminiSession = null;
-    }
+  // Agents listening in on a session speak their own small protocol
+  if (requestUrl.pathname === SUPERVISOR_PATH) {
+    handleSupervisorConnection({ clientWS, redeemTicket, sessions, log });
+    return;
+  }
 
-    try {
-      if (clientWS.readyState === clientWS.OPEN) {
-        clientWS.close(1000, "Session cleanup");
+  // Phone calls arrive through a carrier's media stream instead
+  if (requestUrl.pathname === TELEPHONY_PATH) {
+    const connection = {
+      remoteAddress,
+      userAgent: req.headers["user-agent"] ?? null,
+      connectedAt: new Date().toISOString(),
+      session: null
+    };
+    connectionsBySocket.set(clientWS, connection);
+    handleTelephonyConnection({
+      clientWS,
+      requestUrl,
+      token: TELEPHONY_TOKEN,
+      metrics,
+      log,
+      startSession: (options) => {
+        connection.session = startSession({
+          ...options,
+          limitKey: null,
+          metadata: { remoteAddress, userAgent: connection.userAgent, ...options.metadata }
+        });
+        return connection.session;
       }
-    } catch (e) {
-      console.warn("Client WS close error:", e);
-    }
-  };
+    });
+    return;
+  }
 
-  const safeSend = (ws, data, isBinary = false) => {
-    if (ws.readyState === ws.OPEN) {
-      try {
-        ws.send(isBinary ? data : JSON.stringify(data));
-      } catch (e) {
-        console.warn("Send error:", e);
-      }
-    }
+  // Connection State (the conversation itself lives in `session`)
+  const connection = {
+    remoteAddress,
+    userAgent: req.headers["user-agent"] ?? null,
+    connectedAt: new Date().toISOString(),
+    session: null,
+    handshakeTimer: null,
+    nextAudioSeq: 0,
+    rateMonitor: null
   };
+  connectionsBySocket.set(clientWS, connection);
 
-  const handleGeminiAudio = (audioData) => {
+  // Protocol violations end the connection; the client gets the reason first
+  const rejectClient = (error) => {
+    const closeCode = CLOSE_CODES_BY_ERROR[error.code] ?? CloseCode.PROTOCOL_ERROR;
+    log.warn("Protocol error", { code: error.code, message: error.message });
+    if (!connection.session) {
+      metrics.connectionsRejected.inc({ code: error.code });
+    }
+    safeSend(clientWS, createError(error.code, error.message, { fatal: true }), false, log);
     try {
-      const pcmBytes = Buffer.from(audioData, "base64");
-      if (!pcmBytes.length) {
-        console.warn("Empty audio chunk received");
-        return;
-      }
-      
-      const framed = Buffer.concat([Buffer.from([0x01]), pcmBytes]);
-      safeSend(clientWS, framed, true);
+      clientWS.close(closeCode, error.code);
     } catch (e) {
-      console.error("Audio processing error:", e);
+      log.warn("Client WS close error", e);
     }
+    connection.session?.end(closeCode, error.code);
   };
 
-  const openGeminiSession = async () => {
-    if (sessionState.geminiSession?.readyState === WebSocket.OPEN) {
-      return sessionState.geminiSession;
+  // The first message must be a hello; anything else (including the raw
+  // PCM older clients stream straight away) is a version mismatch.
+  const handleHandshake = (data, isBinary) => {
+    if (isBinary) {
+      throw new ProtocolError(
+        ErrorCode.VERSION_MISMATCH,
+        "This client is out of date. Please refresh the page."
+      );
     }
 
-    try {
-      // Cleanup previous session if exists
-      if (sessionState.geminiSession) {
-        try {
-          sessionState.geminiSession.close();
-        } catch (e) {
-          console.warn("Previous session cleanup error:", e);
-        }
-      }
+    const msg = decodeClientMessage(data.toString());
+    if (msg.type !== MessageType.HELLO) {
+      throw new ProtocolError(ErrorCode.HANDSHAKE_REQUIRED, "Expected hello message");
+    }
+    assertCompatibleVersion(msg.version);
+    clearTimeout(connection.handshakeTimer);
+    const inputFormat = resolveInputFormat(msg.audio?.input);
 
-      sessionState.geminiSession = await sessionState.ai.live.connect({
-        model: MODEL,
-        config: {
-          responseModalities: [Modality.AUDIO],
-          systemInstruction: "You are a helpful assistant. Reply in speech only.",
-        },
-        callbacks: {
-          onopen: () => {
-            console.log("🔌 Gemini session established");
-            sessionState.isAISpeaking = false;
-            safeSend(clientWS, { type: "status", message: "AI session ready" });
-            resetIdleTimer();
-          },
-          onmessage: (msg) => {
-            resetIdleTimer();
-            if (msg?.data) {
-              sessionState.isAISpeaking = true;
-              handleGeminiAudio(msg.data);
-            } else if (msg?.serverContent?.turnComplete) {
-              sessionState.isAISpeaking = false;
-              safeSend(clientWS, Buffer.from([0x02]), true);
-            }
-          },
-          onerror: (err) => {
-            console.error("Gemini error:", err);
-            safeSend(clientWS, { 
-              type: "error", 
-              message: "AI service error" 
-            });
-            attemptReconnect();
-          },
-          onclose: () => {
-            console.log("Gemini session closed");
-            sessionState.isAISpeaking = false;
-            attemptReconnect();
-          }
+    let session = sessions.resume(msg.resumeToken);
+    const resumed = Boolean(session);
+    if (session && session.inputFormat.sampleRate !== inputFormat.sampleRate) {
+      // The AI session was opened for the old rate
+      throw new ProtocolError(
+        ErrorCode.UNSUPPORTED_AUDIO_FORMAT,
+        `Resumed session expects ${session.inputFormat.sampleRate} Hz input audio`
+      );
+    }
+    if (!session) {
+      // A resumed session keeps its persona; new ones pick via hello or ?persona=
+      session = startSession({
+        personaId: msg.persona ?? requestUrl.searchParams.get("persona"),
+        interpreter: parseInterpreter(msg.interpreter),
+        inputFormat,
+        recordingConsent: msg.recordingConsent,
+        limitKey: remoteAddress,
+        metadata: {
+          remoteAddress,
+          userAgent: connection.userAgent
         }
       });
-      
-      return sessionState.geminiSession;
-    } catch (error) {
-      console.error("Session creation failed:", error);
-      throw error;
     }
+    connection.session = session;
+    log = session.log.child({ remoteAddress });
+    log.info(resumed ? "Session resumed" : "Session started", {
+      persona: session.persona.id,
+      interpreter: session.interpreter?.languages,
+      inputSampleRate: inputFormat.sampleRate,
+      recording: session.isRecording
+    });
+
+    let rateWarned = false;
+    connection.rateMonitor = createRateMonitor({
+      sampleRate: inputFormat.sampleRate,
+      onMismatch: (measured) => {
+        if (rateWarned) return;
+        rateWarned = true;
+        log.warn("Input audio rate does not match the declared rate", {
+          declaredSampleRate: inputFormat.sampleRate,
+          measuredSampleRate: measured
+        });
+      }
+    });
+
+    safeSend(clientWS, createWelcome({
+      sessionId: session.id,
+      resumeToken: session.resumeToken,
+      resumeGraceMs: SESSION_RESUME_GRACE_MS,
+      resumed,
+      persona: { id: session.persona.id, name: session.persona.name },
+      audio: { input: session.inputFormat, output: AUDIO_FORMATS.output },
+      recording: session.isRecording,
+      interpreter: session.interpreter ?? undefined,
+      images: images ? { maxBytes: images.maxBytes, frameIntervalMs: IMAGE_FRAME_INTERVAL_MS } : null
+    }), false, log);
+    session.attach(clientWS);
   };
 
-  const attemptReconnect = () => {
-    if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-      console.log("Max reconnection attempts reached");
-      safeSend(clientWS, { 
-        type: "error", 
-        message: "Connection lost. Please refresh." 
-      });
+  const handleFrame = async (data) => {
+    const frame = decodeClientFrame(data);
+    if (frame.type === FrameType.CLIENT_IMAGE) {
+      await connection.session.processImageInput(
+        Buffer.from(frame.image.buffer, frame.image.byteOffset, frame.image.byteLength),
+        { source: frame.source }
+      );
       return;
     }
 
-    reconnectAttempts++;
-    console.log(`Reconnecting attempt ${reconnectAttempts}...`);
-    
-    setTimeout(async () => {
-      if (sessionState.isActive) {
-        try {
-          await openGeminiSession();
-          reconnectAttempts = 0; // Reset on success
-        } catch (e) {
-          console.warn("Reconnect failed:", e);
-          attemptReconnect();
-        }
-      }
-    }, RECONNECT_DELAY_MS);
-  };
-
-  const processAudioInput = async (audioBuffer) => {
-    try {
-      if (!sessionState.geminiSession) {
-        await openGeminiSession();
-      }
+    if (frame.seq < connection.nextAudioSeq) {
+      log.warn("Dropping stale audio frame", { seq: frame.seq });
+      return;
+    }
+    if (frame.seq > connection.nextAudioSeq) {
+      log.warn("Audio frames lost", { count: frame.seq - connection.nextAudioSeq });
+    }
+    connection.nextAudioSeq = frame.seq + 1;
 
-      if (sessionState.isAISpeaking) {
-        safeSend(clientWS, Buffer.from([0x03]), true);
-        await sessionState.geminiSession.sendRealtimeInput({ 
-          event: { type: "stop" } 
-        });
-        sessionState.isAISpeaking = false;
-      }
+    const endOfSpeech = Boolean(frame.flags & ClientAudioFlag.END_OF_SPEECH);
+    connection.rateMonitor.observe({
+      timestamp: frame.timestamp,
+      samples: frame.pcm.byteLength / 2,
+      endOfSpeech
+    });
+    await connection.session.processAudioInput(
+      Buffer.from(frame.pcm.buffer, frame.pcm.byteOffset, frame.pcm.byteLength),
+      { endOfSpeech }
+    );
+  };
 
-      await sessionState.geminiSession.sendRealtimeInput({
-        audio: {
-          data: audioBuffer.toString("base64"),
-          mimeType: "audio/pcm;rate=16000"
-        }
-      });
-    } catch (error) {
-      console.error("Audio processing error:", error);
-      safeSend(clientWS, { 
-        type: "error", 
-        message: "Error processing audio" 
-      });
+  const handleControlMessage = async (data) => {
+    const msg = decodeClientMessage(data.toString());
+    switch (msg.type) {
+      case MessageType.INTERRUPTION:
+        await connection.session.processInterruption();
+        break;
+      case MessageType.TEXT:
+        await connection.session.processTextInput(msg.text);
+        break;
+      case MessageType.END:
+        // Unlike closing the socket, this leaves room for the summary
+        connection.session.end(CloseCode.NORMAL, "Client ended session");
+        break;
+      default:
+        throw new ProtocolError(
+          ErrorCode.UNKNOWN_MESSAGE,
+          `Unexpected "${msg.type}" message after handshake`
+        );
     }
   };
 
   // --- Event Handlers ---
 
   clientWS.on("message", async (data, isBinary) => {
-    if (!sessionState.isActive) return;
-    
-    resetIdleTimer();
-    
+    if (clientWS.readyState !== clientWS.OPEN) return; // rejected, closing
     try {
+      if (!connection.session) {
+        handleHandshake(data, isBinary);
+        return;
+      }
+
+      if (!connection.session.isActive) return;
       if (isBinary) {
-        await processAudioInput(data);
+        await handleFrame(data);
       } else {
-        const msg = JSON.parse(data.toString());
-        if (msg.type === "interruption" && sessionState.geminiSession) {
-          safeSend(clientWS, Buffer.from([0x03]), true);
-          await sessionState.geminiSession.sendRealtimeInput({ 
-            event: { type: "stop" } 
-          });
-          sessionState.isAISpeaking = false;
-        }
+        await handleControlMessage(data);
       }
     } catch (error) {
-      console.error("Message processing error:", error);
+      if (error instanceof ProtocolError) {
+        rejectClient(error);
+      } else {
+        log.error("Message processing error", error);
+      }
     }
   });
 
-  clientWS.on("close", () => {
-    console.log("Client disconnected");
-    cleanupSession();
+  clientWS.on("close", (code) => {
+    log.info("Client disconnected", { code });
+    clearTimeout(connection.handshakeTimer);
+    if (!connection.session) return;
+
+    // Only a deliberate close ends the conversation; anything else may be
+    // a network blip, so hold the session for the client to resume.
+    if (code === CloseCode.NORMAL) {
+      connection.session.end(CloseCode.NORMAL, "Client ended session");
+    } else {
+      connection.session.detach(clientWS);
+    }
   });
 
   clientWS.on("error", (error) => {
-    console.error("Client error:", error);
-    cleanupSession();
+    log.error("Client error", error);
   });
 
-  // Initialize
-  resetIdleTimer();
+  // Initialize: the ticket is checked before anything else happens
+  try {
+    if (redeemTicket().role) {
+      throw new ProtocolError(ErrorCode.UNAUTHORIZED, "This ticket cannot start a session.");
+    }
+  } catch (error) {
+    rejectClient(error);
+    return;
+  }
+  connection.handshakeTimer = setTimeout(() => {
+    rejectClient(new ProtocolError(ErrorCode.HANDSHAKE_TIMEOUT, "No hello received"));
+  }, HANDSHAKE_TIMEOUT_MS);
 });
 
 // Server Startup
 server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`Serving frontend from: ${FRONTEND_DIR}`);
+  logger.info("Server running", {
+    port: PORT,
+    frontendDir: FRONTEND_DIR,
+    provider: provider.name,
+    analyzer: analysis ? ANALYZER : null,
+    webhooks: webhooks.subscriptions().length,
+    telephony: Boolean(TELEPHONY_TOKEN),
+    images: Boolean(images),
+    usageLimits
+  });
 });
 
+purgeHistory();
+setInterval(purgeHistory, HISTORY_PURGE_INTERVAL_MS).unref();
+
 // Graceful Shutdown
 process.on("SIGTERM", () => {
-  console.log("SIGTERM received - shutting down");
-  wss.clients.forEach(client => client.close(1001, "Server shutdown"));
-  server.close(() => process.exit(0));
-});
\ No newline at end of file
+  logger.info("SIGTERM received - shutting down");
+  shuttingDown = true;
+  for (const session of sessions.values()) {
+    session.end(CloseCode.GOING_AWAY, "Server shutdown");
+  }
+  wss.clients.forEach(client => client.close(CloseCode.GOING_AWAY, "Server shutdown"));
+  // session.ended events go out with the saves; retries are not waited for
+  Promise.allSettled(pendingSaves)
+    .then(() => Promise.all([webhooks.close(), usage.flush()]))
+    .then(() => {
+      server.close(() => process.exit(0));
+    });
+});
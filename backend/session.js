@@ -0,0 +1,1111 @@
+// session.js - One conversation with the AI provider
+//
+// A session outlives the WebSocket that created it: when the client drops,
+// the session is detached and kept alive for a grace period so the client
+// can reattach with its resume token and carry on the same conversation.
+import crypto from "crypto";
+import {
+  AUDIO_FORMATS,
+  FrameType,
+  ImageSource,
+  UsageLimit,
+  MessageType,
+  ErrorCode,
+  CloseCode,
+  CLOSE_CODES_BY_ERROR,
+  ProtocolError,
+  createError,
+  encodeServerFrame
+} from "../shared/protocol.js";
+import { safeSend } from "./ws-utils.js";
+import { logger } from "./logger.js";
+import { addUsage, emptyUsage, tokensFromMetadata } from "./usage.js";
+import {
+  SESSION_IDLE_MS,
+  SESSION_RESUME_GRACE_MS,
+  MAX_RECONNECT_ATTEMPTS,
+  RECONNECT_DELAY_MS,
+  MAX_TEXT_INPUT_LENGTH,
+  IMAGE_FRAME_INTERVAL_MS,
+  LIMIT_WARNING_MS,
+  LIMIT_WARNING_FRACTION
+} from "./config.js";
+
+const MAX_OUTBOX_MESSAGES = 50;
+
+// Sent to the model (as a user turn it answers) when an agent hands back
+const handbackPrompt = (summary) =>
+  "[A Revolt customer-care agent talked with the customer while you were paused." +
+  (summary ? ` Their summary: ${summary}` : "") +
+  "] Pick the conversation up from here with a short acknowledgement.";
+
+// What the caller is told as a usage limit nears
+const LIMIT_WARNINGS = {
+  [UsageLimit.DAILY_MINUTES]: "You're close to today's conversation limit, so this conversation will end in about a minute.",
+  [UsageLimit.SESSION_LENGTH]: "This conversation has nearly reached its time limit and will end in about a minute.",
+  [UsageLimit.SESSION_TOKENS]: "This conversation has nearly reached its length limit and will end soon.",
+  [UsageLimit.DAILY_BUDGET]: "Rev is close to today's usage limit, so this conversation may end soon."
+};
+
+// Sent to the model (as a user turn it answers) so the warning is spoken too
+const limitPrompt = (warning) =>
+  `[Note from the Revolt system, not the customer: ${warning}]` +
+  " Tell the customer in one short sentence and offer to help them wrap up.";
+
+export const createVoiceSession = ({
+  provider,
+  persona,
+  tools,
+  interpreter = null, // { languages } when the bot translates instead of answering
+  inputFormat = AUDIO_FORMATS.input,
+  recordings = null, // a recording store when the session is to be recorded
+  images = null, // checks and shrinks shared images (images.js); null refuses them
+  maxDurationMs = Infinity, // e.g. what is left of the caller's daily quota
+  maxSessionMs = Infinity,
+  maxSessionTokens = Infinity,
+  usage = null, // the day's usage ledger (usage.js), for totals and the daily budget
+  metrics = null,
+  analysis = null, // post-call analysis (analyzers/index.js) run as the session ends
+  events = null, // gets session events ({ emit(type, data) }), e.g. for webhooks
+  metadata = {},
+  onEnd
+}) => {
+  const id = crypto.randomUUID();
+  const log = logger.child({ sessionId: id });
+  const resumeToken = crypto.randomBytes(24).toString("base64url");
+  const startedAt = Date.now();
+  let reconnectAttempts = 0;
+  let attachCount = 0;
+
+  // What gets persisted to history; times are ms from session start
+  const record = {
+    id,
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: null,
+    durationMs: null,
+    endReason: null,
+    provider: provider.name,
+    persona: persona.id,
+    interpreter,
+    audio: { input: inputFormat, output: AUDIO_FORMATS.output },
+    recording: null,
+    analysis: null, // { analyzer, generatedAt, durationMs, summary, lead } or { error }
+    metadata,
+    resumes: 0,
+    turns: [],
+    interruptions: [],
+    toolCalls: [],
+    images: [], // { atMs, source, width, height } per image passed to the model
+    usage: emptyUsage(), // tokens and audio seconds spent with the provider
+    handoffs: [], // { agent, startMs, endMs, summary } per human takeover
+    errors: []
+  };
+
+  const elapsedMs = () => Date.now() - startedAt;
+
+  const recorder = recordings?.start({
+    sessionId: id,
+    inputSampleRate: inputFormat.sampleRate,
+    outputSampleRate: AUDIO_FORMATS.output.sampleRate
+  }) ?? null;
+  // Settles once everything about the session (e.g. its recording and
+  // analysis) is complete
+  let finished = Promise.resolve();
+  // When the caller last finished speaking, until the reply's first audio
+  let awaitingReplySince = null;
+
+  // Supervisors listening in ({ agent, send, sendFrame, close }); while one
+  // of them has taken over, the bot is paused and `agent` is set
+  const supervisors = new Set();
+  let agent = null;
+
+  // Session State
+  const sessionState = {
+    client: null,
+    aiSession: null,
+    connecting: null, // in-flight openAISession() promise
+    hasGreeted: false,
+    pendingToolCalls: new Map(), // id -> name, for calls the model has not cancelled
+    answerSources: [], // knowledge passages looked up for the next bot answer
+    resumptionHandle: null, // provider-side handle for reopening the AI session
+    isAISpeaking: false,
+    isUserSpeaking: false, // audio arrived and the client has not ended the utterance
+    lastActivityAt: startedAt,
+    lastFrameAt: 0, // when the last camera or screen frame was accepted
+    warnedLimits: new Set(), // usage limits the caller has been warned about
+    limitPrompt: null, // a spoken limit warning waiting for the bot to finish
+    limitTimers: [],
+    bytesIn: 0,
+    bytesOut: 0,
+    idleTimer: null,
+    graceTimer: null,
+    reconnectTimer: null, // a pending attemptReconnect() retry
+    isActive: true,
+    outbox: [], // final transcripts produced while detached
+    turnCounter: 0,
+    lastUserTurn: null, // what an interpreter's next translation is of
+    transcripts: { user: null, assistant: null } // in-progress { turn, text } per speaker
+  };
+
+  // --- Core Functions ---
+
+  const send = (data) => {
+    if (data.type === MessageType.TRANSCRIPT || data.type === MessageType.HANDOFF) {
+      supervisors.forEach((s) => s.send(data));
+    }
+    if (!sessionState.client) {
+      // Keep what the client needs to rebuild its chat log after a resume
+      if (data.type === MessageType.TRANSCRIPT && data.final) {
+        sessionState.outbox.push(data);
+        sessionState.outbox.splice(0, sessionState.outbox.length - MAX_OUTBOX_MESSAGES);
+      }
+      return;
+    }
+    safeSend(sessionState.client, data, false, log);
+  };
+
+  const sendFrame = (type, payload) => {
+    safeSend(sessionState.client, encodeServerFrame(type, payload), true, log);
+  };
+
+  const emit = (type, data) => {
+    events?.emit(type, { sessionId: id, ...data });
+  };
+
+  const recordError = (code, message, fatal) => {
+    record.errors.push({ atMs: elapsedMs(), code, message });
+    emit("error", { code, message, fatal });
+  };
+
+  const sendError = (code, message, options) => {
+    recordError(code, message, Boolean(options?.fatal));
+    send(createError(code, message, options));
+  };
+
+  const addTurn = (turn) => {
+    record.turns.push(turn);
+    emit("turn.completed", { persona: persona.id, turn });
+  };
+
+  // Counts what the provider bills for, here and in the day's ledger
+  const spend = (delta) => {
+    addUsage(record.usage, delta);
+    usage?.add(delta);
+  };
+
+  const recordInterruption = (turn, source) => {
+    record.interruptions.push({ atMs: elapsedMs(), turn: turn ?? null });
+    recorder?.interrupt();
+    metrics?.interruptions.inc({ source });
+  };
+
+  const resetIdleTimer = () => {
+    sessionState.lastActivityAt = Date.now();
+    clearTimeout(sessionState.idleTimer);
+    if (!sessionState.client) return; // the grace timer owns a detached session
+
+    sessionState.idleTimer = setTimeout(() => {
+      send({ 
+        type: MessageType.SESSION_TIMEOUT, 
+        message: "Session ended due to inactivity." 
+      });
+      cleanupSession(CloseCode.NORMAL, "Idle timeout");
+    }, SESSION_IDLE_MS);
+  };
+
+  const cleanupSession = (closeCode = CloseCode.NORMAL, reason = "Session cleanup") => {
+    if (!sessionState.isActive) return;
+    sessionState.isActive = false;
+
+    finalizeTranscript("user");
+    finalizeTranscript("assistant");
+    record.endedAt = new Date().toISOString();
+    record.durationMs = elapsedMs();
+    record.endReason = reason;
+    
+    clearTimeout(sessionState.idleTimer);
+    clearTimeout(sessionState.graceTimer);
+    clearTimeout(sessionState.reconnectTimer);
+    sessionState.limitTimers.forEach(clearTimeout);
+    if (agent) endHandoff(null);
+    supervisors.forEach((s) => s.close(CloseCode.NORMAL, "Session ended"));
+    supervisors.clear();
+
+    if (sessionState.aiSession) {
+      try {
+        sessionState.aiSession.close();
+      } catch (e) {
+        log.warn("AI session close error", e);
+      }
+      sessionState.aiSession = null;
+    }
+
+    // Only conversations the customer took part in are worth analysing, and
+    // only while the day's budget lasts: the summary is billed like the rest
+    let analyzing = Promise.resolve();
+    if (analysis && record.turns.some((turn) => turn.speaker === "user")) {
+      if ((usage?.remainingTokens() ?? Infinity) <= 0) {
+        record.analysis = { error: "Skipped: today's token budget is spent" };
+        log.info("Post-call analysis skipped", { reason: "daily token budget spent" });
+      } else {
+        analyzing = analysis.analyze(record.turns, { onTokens: recordAnalysisTokens })
+          .then((result) => {
+            record.analysis = result;
+            log.info("Post-call analysis done", { analyzer: result.analyzer, durationMs: result.durationMs });
+          })
+          .catch((e) => {
+            record.analysis = { error: e.message };
+            log.error("Post-call analysis failed", e);
+          });
+      }
+    }
+
+    // A connected client gets the summary before the socket closes
+    const clientWS = sessionState.client;
+    sessionState.client = null;
+    analyzing.then(() => {
+      try {
+        if (clientWS && clientWS.readyState === clientWS.OPEN) {
+          if (record.analysis?.summary !== undefined) {
+            safeSend(clientWS, {
+              type: MessageType.SUMMARY,
+              summary: record.analysis.summary,
+              lead: record.analysis.lead
+            }, false, log);
+          }
+          clientWS.close(closeCode, reason);
+        }
+      } catch (e) {
+        log.warn("Client WS close error", e);
+      }
+    });
+
+    const recorded = recorder
+      ? recorder.finish()
+          .then(({ files }) => {
+            record.recording = { files };
+          })
+          .catch((e) => log.error("Failed to finish recording", e))
+      : Promise.resolve();
+    finished = Promise.all([analyzing, recorded]).then(() => emit("session.ended", {
+      persona: persona.id,
+      startedAt: record.startedAt,
+      endedAt: record.endedAt,
+      durationMs: record.durationMs,
+      endReason: record.endReason,
+      usage: record.usage,
+      analysis: record.analysis,
+      summary: {
+        turns: record.turns.length,
+        userTurns: record.turns.filter((t) => t.speaker === "user").length,
+        botTurns: record.turns.filter((t) => t.speaker === "assistant").length,
+        interruptions: record.interruptions.length,
+        toolCalls: record.toolCalls.length,
+        images: record.images.length,
+        handoffs: record.handoffs.length,
+        errors: record.errors.length,
+        resumes: record.resumes
+      },
+      recording: record.recording
+    }));
+    metrics?.sessionDuration.observe(record.durationMs / 1000);
+    log.info("Session ended", {
+      reason,
+      closeCode,
+      durationMs: record.durationMs,
+      turns: record.turns.length,
+      tokens: record.usage.totalTokens,
+      errors: record.errors.length
+    });
+    onEnd?.(session);
+  };
+
+  const handleAIAudio = (audioData) => {
+    try {
+      const pcmBytes = Buffer.from(audioData, "base64");
+      if (!pcmBytes.length) {
+        log.warn("Empty audio chunk received");
+        return;
+      }
+
+      if (awaitingReplySince !== null) {
+        metrics?.responseLatency.observe((Date.now() - awaitingReplySince) / 1000);
+        awaitingReplySince = null;
+      }
+      sessionState.bytesOut += pcmBytes.length;
+      spend({ outputAudioSeconds: pcmBytes.length / 2 / AUDIO_FORMATS.output.sampleRate });
+      metrics?.audioBytes.inc({ direction: "out" }, pcmBytes.length);
+      recorder?.writeBot(pcmBytes);
+      sendFrame(FrameType.AUDIO, pcmBytes);
+      supervisors.forEach((s) => s.sendFrame(FrameType.AUDIO, pcmBytes));
+    } catch (e) {
+      log.error("Audio processing error", e);
+    }
+  };
+
+  // Concurrent callers (e.g. a burst of audio frames) share one connect
+  const openAISession = () => {
+    if (!sessionState.connecting) {
+      sessionState.connecting = connectAISession().finally(() => {
+        sessionState.connecting = null;
+      });
+    }
+    return sessionState.connecting;
+  };
+
+  const connectAISession = async () => {
+    if (sessionState.aiSession?.isOpen) {
+      return sessionState.aiSession;
+    }
+
+    try {
+      // Cleanup previous session if exists; unset first so its close is not
+      // taken for a failure of the new one
+      if (sessionState.aiSession) {
+        const previous = sessionState.aiSession;
+        sessionState.aiSession = null;
+        try {
+          previous.close();
+        } catch (e) {
+          log.warn("Previous session cleanup error", e);
+        }
+      }
+
+      // Only greet once; a reconnect continues the same conversation
+      const greeting = sessionState.hasGreeted ? null : persona.greeting;
+      sessionState.hasGreeted = true;
+
+      // Callbacks of a session that has since been replaced are ignored
+      let aiSession = null;
+      const isCurrent = () => sessionState.aiSession === aiSession;
+
+      aiSession = await provider.connect({
+        model: persona.model,
+        greeting,
+        inputSampleRate: inputFormat.sampleRate,
+        config: {
+          systemInstruction: persona.systemInstruction,
+          voice: persona.voice,
+          languageCode: persona.language,
+          // An interpreter only translates, so it gets no tools
+          tools: interpreter ? [] : tools.declarations(),
+          inputAudioTranscription: {},
+          outputAudioTranscription: {},
+          // Ask for resumption handles; reuse the last one to keep context
+          sessionResumption: sessionState.resumptionHandle
+            ? { handle: sessionState.resumptionHandle }
+            : {},
+        },
+        callbacks: {
+          onopen: () => {
+            log.info("AI session established", { provider: provider.name });
+            sessionState.isAISpeaking = false;
+            send({ type: MessageType.STATUS, message: "AI session ready" });
+            resetIdleTimer();
+          },
+          onmessage: (msg) => {
+            resetIdleTimer();
+            const content = msg?.serverContent;
+
+            if (msg?.sessionResumptionUpdate?.resumable && msg.sessionResumptionUpdate.newHandle) {
+              sessionState.resumptionHandle = msg.sessionResumptionUpdate.newHandle;
+            }
+            if (msg?.goAway) {
+              log.info("AI session closing soon", { timeLeft: msg.goAway.timeLeft });
+            }
+            if (msg?.usageMetadata) {
+              recordTokens(msg.usageMetadata);
+            }
+            if (agent) return; // paused: the bot has no say until handback
+            if (msg?.toolCall?.functionCalls?.length) {
+              handleToolCalls(msg.toolCall.functionCalls);
+            }
+            if (msg?.toolCallCancellation?.ids) {
+              cancelToolCalls(msg.toolCallCancellation.ids);
+            }
+
+            if (content?.inputTranscription) {
+              appendTranscript("user", content.inputTranscription.text);
+              if (content.inputTranscription.finished) {
+                finalizeTranscript("user");
+              }
+            }
+            if (content?.outputTranscription) {
+              // The bot answering means the user's turn is over
+              finalizeTranscript("user");
+              appendTranscript("assistant", content.outputTranscription.text);
+            }
+            if (content?.interrupted) {
+              // The model detected barge-in on its own
+              recordInterruption(sessionState.transcripts.assistant?.turn, "model");
+              sessionState.isAISpeaking = false;
+              sendFrame(FrameType.INTERRUPTION);
+              finalizeTranscript("assistant", { interrupted: true });
+            }
+
+            if (msg?.data) {
+              sessionState.isAISpeaking = true;
+              handleAIAudio(msg.data);
+            } else if (content?.turnComplete) {
+              sessionState.isAISpeaking = false;
+              sendFrame(FrameType.TURN_COMPLETE);
+              finalizeTranscript("user");
+              finalizeTranscript("assistant");
+              speakLimitWarning();
+            }
+          },
+          onerror: (err) => {
+            // Not fatal while a reconnect may still help; the client only
+            // hears about it if the retries run out
+            if (!isCurrent()) return;
+            log.error("AI provider error", err);
+            recordError(ErrorCode.AI_SERVICE_ERROR, "AI service error", false);
+            attemptReconnect();
+          },
+          onclose: () => {
+            if (!isCurrent()) return;
+            log.info("AI session closed");
+            sessionState.isAISpeaking = false;
+            attemptReconnect();
+          }
+        }
+      });
+      sessionState.aiSession = aiSession;
+      return aiSession;
+    } catch (error) {
+      log.error("AI session creation failed", error);
+      throw error;
+    }
+  };
+
+  // Streams a partial transcript; each speaker's turn gets its own number
+  // so the client can tell a new caption from an update to the current one.
+  const appendTranscript = (speaker, text) => {
+    if (!text) return;
+
+    let current = sessionState.transcripts[speaker];
+    if (!current) {
+      current = { turn: ++sessionState.turnCounter, text: "", startMs: elapsedMs() };
+      if (interpreter && speaker === "assistant") {
+        current.translationOf = sessionState.lastUserTurn ?? undefined;
+      }
+      sessionState.transcripts[speaker] = current;
+    }
+    current.text += text;
+
+    send({
+      type: MessageType.TRANSCRIPT,
+      speaker,
+      turn: current.turn,
+      text: current.text,
+      final: false,
+      translationOf: current.translationOf
+    });
+  };
+
+  const finalizeTranscript = (speaker, { interrupted = false } = {}) => {
+    const current = sessionState.transcripts[speaker];
+    if (!current) return;
+    sessionState.transcripts[speaker] = null;
+
+    const text = current.text.trim();
+    // Documents looked up before this answer are credited to it
+    const sources = speaker === "assistant" && sessionState.answerSources.length
+      ? sessionState.answerSources.splice(0)
+      : undefined;
+
+    if (text) {
+      if (speaker === "user") sessionState.lastUserTurn = current.turn;
+      addTurn({
+        turn: current.turn,
+        speaker,
+        source: "voice",
+        text,
+        startMs: current.startMs,
+        endMs: elapsedMs(),
+        interrupted,
+        ...(sources ? { sources } : {}),
+        ...(current.translationOf ? { translationOf: current.translationOf } : {})
+      });
+    }
+
+    send({
+      type: MessageType.TRANSCRIPT,
+      speaker,
+      turn: current.turn,
+      text,
+      final: true,
+      interrupted,
+      sources,
+      translationOf: current.translationOf
+    });
+  };
+
+  // --- Tool Calls ---
+
+  const sendToolStatus = (call, status, message) => {
+    send({ type: MessageType.TOOL_CALL, id: call.id, name: call.name, status, message });
+  };
+
+  const handleToolCalls = async (functionCalls) => {
+    const results = await Promise.all(functionCalls.map(async (call) => {
+      sessionState.pendingToolCalls.set(call.id, call.name);
+      sendToolStatus(call, "started", tools.get(call.name)?.statusMessage ?? "Working on it…");
+
+      const startMs = elapsedMs();
+      const result = await tools.execute(call, {
+        sessionId: id,
+        persona: persona.id,
+        addSources: (sources) => {
+          for (const source of sources) {
+            if (!sessionState.answerSources.some((s) => s.passageId === source.passageId)) {
+              sessionState.answerSources.push(source);
+            }
+          }
+        }
+      });
+      const cancelled = !sessionState.pendingToolCalls.delete(call.id);
+
+      const toolCall = {
+        id: call.id,
+        name: call.name,
+        args: call.args ?? {},
+        startMs,
+        durationMs: result.durationMs,
+        status: cancelled ? "cancelled" : result.ok ? "completed" : "failed",
+        response: result.response
+      };
+      record.toolCalls.push(toolCall);
+      emit("tool.called", { call: toolCall });
+      if (cancelled) return null;
+
+      sendToolStatus(call, result.ok ? "completed" : "failed", result.response.error);
+      return result;
+    }));
+
+    const responses = results.filter(Boolean);
+    if (!responses.length || !sessionState.aiSession?.isOpen) return;
+    try {
+      await sessionState.aiSession.sendToolResponse(responses);
+    } catch (e) {
+      log.error("Tool response error", e);
+    }
+  };
+
+  // The model changed its mind (e.g. the user interrupted); results for
+  // these calls are dropped when they finish.
+  const cancelToolCalls = (ids) => {
+    for (const callId of ids) {
+      const name = sessionState.pendingToolCalls.get(callId);
+      if (name !== undefined) {
+        sessionState.pendingToolCalls.delete(callId);
+        send({ type: MessageType.TOOL_CALL, id: callId, name, status: "cancelled" });
+      }
+    }
+  };
+
+  const interruptAI = async () => {
+    recordInterruption(sessionState.transcripts.assistant?.turn, "client");
+    sendFrame(FrameType.INTERRUPTION);
+    await sessionState.aiSession.interrupt();
+    sessionState.isAISpeaking = false;
+    finalizeTranscript("assistant", { interrupted: true });
+  };
+
+  // One retry at a time: a failing provider often reports both an error
+  // and a close for the same failure
+  const attemptReconnect = () => {
+    if (!sessionState.isActive || sessionState.reconnectTimer) return;
+
+    if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      log.warn("Max reconnection attempts reached");
+      sendError(ErrorCode.CONNECTION_LOST, "Connection lost. Please refresh.", { fatal: true });
+      cleanupSession(CLOSE_CODES_BY_ERROR[ErrorCode.CONNECTION_LOST], "AI service unavailable");
+      return;
+    }
+
+    if (reconnectAttempts++ === 0) {
+      send({ type: MessageType.NOTICE, message: "Lost the connection to Rev for a moment. Reconnecting…" });
+    }
+    metrics?.aiReconnects.inc({ provider: provider.name });
+    log.info("Reconnecting to AI provider", { attempt: reconnectAttempts });
+
+    sessionState.reconnectTimer = setTimeout(async () => {
+      sessionState.reconnectTimer = null;
+      if (sessionState.isActive) {
+        try {
+          await openAISession();
+          reconnectAttempts = 0; // Reset on success
+        } catch (e) {
+          log.warn("Reconnect failed", e);
+          attemptReconnect();
+        }
+      }
+    }, RECONNECT_DELAY_MS);
+  };
+
+  // The AI session to send input to, or null while it is down. Input is
+  // dropped then rather than each frame connecting on its own: a failed
+  // connect waits and retries through attemptReconnect like any outage.
+  const readyAISession = async () => {
+    if (sessionState.aiSession?.isOpen) return sessionState.aiSession;
+    if (!sessionState.isActive || sessionState.reconnectTimer) return null;
+    try {
+      return await openAISession();
+    } catch {
+      attemptReconnect();
+      return null;
+    }
+  };
+
+  const sendReconnectingNotice = () =>
+    send({ type: MessageType.NOTICE, message: "Rev is reconnecting. Please send that again in a moment." });
+
+  // Clients only stream while the user is talking and decide barge-in
+  // themselves (sending an interruption), so audio alone never cuts the bot off.
+  const processAudioInput = async (audioBuffer, { endOfSpeech = false } = {}) => {
+    resetIdleTimer();
+    try {
+      const aiSession = await readyAISession();
+      if (!aiSession) return;
+
+      if (audioBuffer.length) {
+        sessionState.isUserSpeaking = true;
+        sessionState.bytesIn += audioBuffer.length;
+        metrics?.audioBytes.inc({ direction: "in" }, audioBuffer.length);
+        recorder?.writeUser(audioBuffer);
+        supervisors.forEach((s) => s.sendFrame(FrameType.CALLER_AUDIO, audioBuffer));
+        if (!agent) {
+          spend({ inputAudioSeconds: audioBuffer.length / 2 / inputFormat.sampleRate });
+          await aiSession.sendAudio(audioBuffer);
+        }
+      }
+      if (endOfSpeech && agent) {
+        sessionState.isUserSpeaking = false;
+      } else if (endOfSpeech) {
+        sessionState.isUserSpeaking = false;
+        awaitingReplySince = Date.now();
+        await aiSession.endAudioStream();
+      }
+    } catch (error) {
+      log.error("Audio processing error", error);
+      sendError(ErrorCode.AUDIO_ERROR, "Error processing audio");
+    }
+  };
+
+  // Typed turns go into the same live session so they share the
+  // conversation context with the spoken ones.
+  const processTextInput = async (text) => {
+    resetIdleTimer();
+    const trimmed = typeof text === "string" ? text.trim() : "";
+    if (!trimmed) return;
+
+    if (trimmed.length > MAX_TEXT_INPUT_LENGTH) {
+      sendError(
+        ErrorCode.MESSAGE_TOO_LONG,
+        `Message too long (max ${MAX_TEXT_INPUT_LENGTH} characters)`
+      );
+      return;
+    }
+
+    try {
+      const aiSession = await readyAISession();
+      if (!aiSession) {
+        sendReconnectingNotice();
+        return;
+      }
+
+      if (sessionState.isAISpeaking && !agent) {
+        await interruptAI();
+      }
+
+      const now = elapsedMs();
+      const turn = ++sessionState.turnCounter;
+      sessionState.lastUserTurn = turn;
+      addTurn({
+        turn,
+        speaker: "user",
+        source: "text",
+        text: trimmed,
+        startMs: now,
+        endMs: now,
+        interrupted: false
+      });
+      if (agent) {
+        // The agent reads it instead of the bot
+        supervisors.forEach((s) => s.send({
+          type: MessageType.TRANSCRIPT,
+          speaker: "user",
+          turn,
+          text: trimmed,
+          final: true
+        }));
+        return;
+      }
+      await aiSession.sendText(trimmed);
+    } catch (error) {
+      log.error("Text processing error", error);
+      sendError(ErrorCode.TEXT_ERROR, "Error processing message");
+    }
+  };
+
+  // Photos and camera or screen frames: context for the conversation, not
+  // turns of their own. Frames arriving faster than IMAGE_FRAME_INTERVAL_MS
+  // are dropped; a bad image is refused without ending the session.
+  const processImageInput = async (bytes, { source }) => {
+    resetIdleTimer();
+    if (!images) {
+      sendError(ErrorCode.INVALID_IMAGE, "Sharing images is not enabled");
+      return;
+    }
+    if (source !== ImageSource.UPLOAD) {
+      const now = Date.now();
+      if (now - sessionState.lastFrameAt < IMAGE_FRAME_INTERVAL_MS) {
+        metrics?.images.inc({ source, outcome: "dropped" });
+        return;
+      }
+      sessionState.lastFrameAt = now;
+    }
+
+    let image;
+    try {
+      image = await images.prepare(bytes);
+    } catch (error) {
+      if (!(error instanceof ProtocolError)) throw error;
+      metrics?.images.inc({ source, outcome: "rejected" });
+      sendError(error.code, error.message);
+      return;
+    }
+
+    try {
+      const aiSession = await readyAISession();
+      if (!aiSession) {
+        metrics?.images.inc({ source, outcome: "dropped" });
+        sendReconnectingNotice();
+        return;
+      }
+      record.images.push({ atMs: elapsedMs(), source, width: image.width, height: image.height });
+      metrics?.images.inc({ source, outcome: "sent" });
+      send({
+        type: MessageType.IMAGE,
+        source,
+        width: image.width,
+        height: image.height,
+        thumbnail: image.thumbnail
+      });
+      if (!agent) await aiSession.sendImage(image.data, image.mimeType);
+    } catch (error) {
+      log.error("Image processing error", error);
+      sendError(ErrorCode.AI_SERVICE_ERROR, "Could not share the image");
+    }
+  };
+
+  const processInterruption = async () => {
+    resetIdleTimer();
+    if (sessionState.aiSession && !agent) {
+      await interruptAI();
+    }
+  };
+
+  // --- Usage Limits ---
+
+  // Reports arrive per model response, not as running totals. Each counts
+  // the context that response read (the conversation so far, which is
+  // billed again every turn) plus what it produced, so they add up.
+  const recordTokens = (usageMetadata) => {
+    const tokens = tokensFromMetadata(usageMetadata);
+    spend(tokens);
+    metrics?.aiTokens.inc({ direction: "input" }, tokens.inputTokens);
+    metrics?.aiTokens.inc({ direction: "output" }, tokens.outputTokens);
+    checkTokenLimits();
+  };
+
+  // The post-call summary's call; the session is over, so no limits apply
+  const recordAnalysisTokens = (tokens) => {
+    spend({ ...tokens, analysisTokens: tokens.totalTokens });
+    metrics?.aiTokens.inc({ direction: "input" }, tokens.inputTokens);
+    metrics?.aiTokens.inc({ direction: "output" }, tokens.outputTokens);
+  };
+
+  // Tells the caller once per limit; the bot says it too when it has the
+  // conversation (an interpreter would only translate the note)
+  const warnLimit = (limit) => {
+    if (!sessionState.isActive || sessionState.warnedLimits.has(limit)) return;
+    sessionState.warnedLimits.add(limit);
+    log.info("Usage limit near", { limit, usage: record.usage });
+    metrics?.usageLimits.inc({ limit, outcome: "warned" });
+    send({ type: MessageType.NOTICE, message: LIMIT_WARNINGS[limit], limit });
+
+    if (interpreter || agent || !sessionState.client) return;
+    sessionState.limitPrompt = limitPrompt(LIMIT_WARNINGS[limit]);
+    if (!sessionState.isAISpeaking) speakLimitWarning();
+  };
+
+  // Waits for the bot's current reply so the warning does not cut it off
+  const speakLimitWarning = () => {
+    const prompt = sessionState.limitPrompt;
+    if (!prompt || agent || !sessionState.aiSession?.isOpen) return;
+    sessionState.limitPrompt = null;
+    sessionState.aiSession.sendText(prompt).catch((e) => log.warn("Limit warning not spoken", e));
+  };
+
+  // Ends the session the usual way, so the caller still gets the summary
+  const endForLimit = (limit, message, reason) => {
+    if (!sessionState.isActive) return;
+    log.info("Usage limit reached", { limit, usage: record.usage });
+    metrics?.usageLimits.inc({ limit, outcome: "ended" });
+    send({ type: MessageType.NOTICE, message, limit });
+    cleanupSession(CloseCode.NORMAL, reason);
+  };
+
+  const checkTokenLimits = () => {
+    const used = record.usage.totalTokens;
+    const remainingToday = usage?.remainingTokens() ?? Infinity;
+
+    if (used >= maxSessionTokens) {
+      endForLimit(
+        UsageLimit.SESSION_TOKENS,
+        "This conversation has reached its length limit. Please start a new one to carry on.",
+        "Session token limit reached"
+      );
+    } else if (remainingToday <= 0) {
+      endForLimit(
+        UsageLimit.DAILY_BUDGET,
+        "Rev has reached today's usage limit. Please come back tomorrow.",
+        "Daily token budget exhausted"
+      );
+    } else {
+      if (used >= maxSessionTokens * LIMIT_WARNING_FRACTION) {
+        warnLimit(UsageLimit.SESSION_TOKENS);
+      }
+      if (usage?.dailyTokenBudget && remainingToday <= usage.dailyTokenBudget * (1 - LIMIT_WARNING_FRACTION)) {
+        warnLimit(UsageLimit.DAILY_BUDGET);
+      }
+    }
+  };
+
+  // Warns LIMIT_WARNING_MS ahead, then calls `onLimit` after `ms`
+  const scheduleTimeLimit = (limit, ms, onLimit) => {
+    if (!Number.isFinite(ms)) return;
+    if (ms > LIMIT_WARNING_MS) {
+      sessionState.limitTimers.push(setTimeout(() => warnLimit(limit), ms - LIMIT_WARNING_MS));
+    }
+    sessionState.limitTimers.push(setTimeout(onLimit, ms));
+  };
+
+  // --- Client Attachment ---
+
+  const attach = (clientWS) => {
+    if (!sessionState.isActive) return;
+
+    const previous = sessionState.client;
+    if (previous && previous !== clientWS) {
+      // A half-open socket from before the reconnect; the new one wins
+      try {
+        previous.close(CloseCode.SESSION_REPLACED, "Session resumed elsewhere");
+      } catch (e) {
+        log.warn("Client WS close error", e);
+      }
+    }
+
+    clearTimeout(sessionState.graceTimer);
+    if (attachCount++ > 0) {
+      record.resumes++;
+    }
+    sessionState.client = clientWS;
+
+    const missed = sessionState.outbox.splice(0);
+    missed.forEach((msg) => send(msg));
+    if (sessionState.aiSession?.isOpen) {
+      send({ type: MessageType.STATUS, message: "AI session ready" });
+    } else if (!sessionState.aiSession) {
+      // Connect right away so a persona greeting can play before any input
+      openAISession().catch((e) => {
+        log.warn("AI session connect failed", e);
+        attemptReconnect();
+      });
+    }
+    resetIdleTimer();
+  };
+
+  const detach = (clientWS) => {
+    if (!sessionState.isActive || sessionState.client !== clientWS) return;
+
+    sessionState.client = null;
+    clearTimeout(sessionState.idleTimer);
+    log.info("Session detached", { graceMs: SESSION_RESUME_GRACE_MS });
+
+    sessionState.graceTimer = setTimeout(() => {
+      log.info("Session expired without resuming");
+      cleanupSession(CloseCode.NORMAL, "Client did not reconnect");
+    }, SESSION_RESUME_GRACE_MS);
+  };
+
+  // --- Operator Actions ---
+
+  // A message from the operators, e.g. "Restarting in 5 minutes"
+  const notify = (message) => {
+    send({ type: MessageType.NOTICE, message });
+  };
+
+  const terminate = (message = "This conversation was ended by Revolt support.") => {
+    log.info("Session terminated by an operator");
+    sendError(ErrorCode.SESSION_TERMINATED, message, { fatal: true });
+    cleanupSession(CloseCode.SESSION_TERMINATED, "Terminated by operator");
+  };
+
+  // --- Supervision ---
+
+  // Returns a function that stops listening (and hands back if in control)
+  const watch = (supervisor) => {
+    supervisors.add(supervisor);
+    log.info("Supervisor listening", { agent: supervisor.agent, supervisors: supervisors.size });
+    return () => {
+      if (!supervisors.delete(supervisor)) return;
+      log.info("Supervisor left", { agent: supervisor.agent });
+      if (agent === supervisor) handBack(supervisor);
+    };
+  };
+
+  const endHandoff = (summary) => {
+    const handoff = record.handoffs.at(-1);
+    handoff.endMs = elapsedMs();
+    handoff.summary = summary || null;
+    agent = null;
+  };
+
+  // Pauses the bot and lets `supervisor` talk to the caller; false if
+  // another agent already has the conversation
+  const takeOver = async (supervisor) => {
+    if (agent) return agent === supervisor;
+    agent = supervisor;
+    record.handoffs.push({ agent: supervisor.agent, startMs: elapsedMs(), endMs: null, summary: null });
+    awaitingReplySince = null;
+    log.info("Agent took over", { agent: supervisor.agent });
+
+    if (sessionState.isAISpeaking && sessionState.aiSession) {
+      await interruptAI();
+    }
+    finalizeTranscript("user");
+    send({ type: MessageType.HANDOFF, controller: "agent", agent: supervisor.agent ?? undefined });
+    return true;
+  };
+
+  const handBack = async (supervisor, { summary } = {}) => {
+    if (agent !== supervisor || !sessionState.isActive) return false;
+    summary = summary?.trim().slice(0, MAX_TEXT_INPUT_LENGTH);
+    endHandoff(summary);
+    log.info("Agent handed back to the bot", { agent: supervisor.agent });
+    send({ type: MessageType.HANDOFF, controller: "bot" });
+
+    try {
+      if (!sessionState.aiSession?.isOpen) {
+        await openAISession();
+      }
+      await sessionState.aiSession.sendText(handbackPrompt(summary));
+    } catch (error) {
+      log.error("Handback to the bot failed", error);
+      attemptReconnect();
+    }
+    return true;
+  };
+
+  // The agent's microphone, PCM16 at the output rate, played to the caller
+  const processAgentAudio = (supervisor, pcm, { endOfSpeech = false } = {}) => {
+    if (agent !== supervisor || !sessionState.isActive) return;
+    resetIdleTimer();
+    if (pcm.length) {
+      sessionState.bytesOut += pcm.length;
+      recorder?.writeBot(pcm);
+      sendFrame(FrameType.AUDIO, pcm);
+      supervisors.forEach((s) => s !== supervisor && s.sendFrame(FrameType.AUDIO, pcm));
+    }
+    if (endOfSpeech) {
+      sendFrame(FrameType.TURN_COMPLETE);
+    }
+  };
+
+  // What the admin console shows about a live session
+  const snapshot = () => ({
+    id,
+    persona: persona.id,
+    startedAt: record.startedAt,
+    connected: Boolean(sessionState.client),
+    idleMs: Date.now() - sessionState.lastActivityAt,
+    bytesIn: sessionState.bytesIn,
+    bytesOut: sessionState.bytesOut,
+    speaking: sessionState.isAISpeaking ? "bot" : sessionState.isUserSpeaking ? "user" : null,
+    controller: agent ? "agent" : "bot",
+    supervisors: supervisors.size,
+    recording: Boolean(recorder),
+    resumes: record.resumes,
+    usage: record.usage
+  });
+
+  // Sessions are cut off once the caller's allowance runs out
+  scheduleTimeLimit(UsageLimit.DAILY_MINUTES, maxDurationMs, () => {
+    log.info("Session reached the caller's daily limit");
+    metrics?.usageLimits.inc({ limit: UsageLimit.DAILY_MINUTES, outcome: "ended" });
+    sendError(
+      ErrorCode.QUOTA_EXCEEDED,
+      "You have reached today's conversation limit. Please come back tomorrow.",
+      { fatal: true }
+    );
+    cleanupSession(CloseCode.QUOTA_EXCEEDED, "Daily limit reached");
+  });
+  scheduleTimeLimit(UsageLimit.SESSION_LENGTH, maxSessionMs, () => {
+    endForLimit(
+      UsageLimit.SESSION_LENGTH,
+      "This conversation has reached its time limit. Please start a new one to carry on.",
+      "Session time limit reached"
+    );
+  });
+  usage?.sessionStarted();
+
+  emit("session.started", {
+    persona: persona.id,
+    provider: provider.name,
+    startedAt: record.startedAt,
+    audio: record.audio,
+    recording: Boolean(recorder),
+    metadata
+  });
+
+  const session = {
+    id,
+    resumeToken,
+    persona,
+    interpreter,
+    inputFormat,
+    isRecording: Boolean(recorder),
+    log,
+    get isActive() {
+      return sessionState.isActive;
+    },
+    get record() {
+      return record;
+    },
+    get finished() {
+      return finished;
+    },
+    attach,
+    detach,
+    processAudioInput,
+    processTextInput,
+    processImageInput,
+    processInterruption,
+    notify,
+    terminate,
+    snapshot,
+    watch,
+    takeOver,
+    handBack,
+    processAgentAudio,
+    get controller() {
+      return agent ? "agent" : "bot";
+    },
+    end: cleanupSession
+  };
+
+  return session;
+};
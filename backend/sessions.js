@@ -0,0 +1,39 @@
+// sessions.js - Registry of live sessions, keyed by resume token
+
+export const createSessionRegistry = () => {
+  const byToken = new Map();
+
+  return {
+    add(session) {
+      byToken.set(session.resumeToken, session);
+      return session;
+    },
+
+    // Returns the session a reconnecting client asks for, if it is still alive
+    resume(token) {
+      if (typeof token !== "string") return null;
+      const session = byToken.get(token);
+      return session?.isActive ? session : null;
+    },
+
+    // Live sessions by their public ID, e.g. for the admin console
+    get(id) {
+      for (const session of byToken.values()) {
+        if (session.id === id) return session;
+      }
+      return null;
+    },
+
+    remove(session) {
+      byToken.delete(session.resumeToken);
+    },
+
+    get size() {
+      return byToken.size;
+    },
+
+    values() {
+      return byToken.values();
+    }
+  };
+};
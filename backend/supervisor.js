@@ -0,0 +1,167 @@
+// supervisor.js - A customer-care agent listening in on, or taking over, a
+// live session
+//
+// Agents connect to /supervise with a supervisor ticket naming the session
+// (POST /admin/sessions/:id/supervise). After hello/welcome they receive
+// the caller's audio (CALLER_AUDIO frames at the caller's rate), the bot's
+// audio (AUDIO frames) and the live transcript. `takeover` pauses the bot
+// and relays the agent's CLIENT_AUDIO frames, which must be at the output
+// rate, to the caller; `handback` returns the conversation to the bot.
+import {
+  AUDIO_FORMATS,
+  MessageType,
+  ErrorCode,
+  CloseCode,
+  CLOSE_CODES_BY_ERROR,
+  ProtocolError,
+  ClientAudioFlag,
+  assertCompatibleVersion,
+  createWelcome,
+  createError,
+  encodeServerFrame,
+  decodeClientAudio,
+  decodeClientMessage
+} from "../shared/protocol.js";
+import { resolveInputFormat } from "./audio-input.js";
+import { safeSend } from "./ws-utils.js";
+import { HANDSHAKE_TIMEOUT_MS } from "./config.js";
+
+export const SUPERVISOR_PATH = "/supervise";
+
+// `redeemTicket` checks the connection's ticket and returns its claims;
+// `sessions` is the live session registry
+export const handleSupervisorConnection = ({ clientWS, redeemTicket, sessions, log }) => {
+  let stopWatching = null;
+  let handshakeTimer = null;
+
+  const reject = (error) => {
+    log.warn("Supervisor protocol error", { code: error.code, message: error.message });
+    safeSend(clientWS, createError(error.code, error.message, { fatal: true }), false, log);
+    try {
+      clientWS.close(CLOSE_CODES_BY_ERROR[error.code] ?? CloseCode.PROTOCOL_ERROR, error.code);
+    } catch (e) {
+      log.warn("Supervisor WS close error", e);
+    }
+  };
+
+  let claims;
+  try {
+    claims = redeemTicket();
+  } catch (error) {
+    reject(error);
+    return;
+  }
+  if (claims.role !== "supervisor") {
+    reject(new ProtocolError(ErrorCode.UNAUTHORIZED, "A supervisor ticket is required"));
+    return;
+  }
+  const session = sessions.get(claims.sessionId);
+  if (!session) {
+    reject(new ProtocolError(ErrorCode.SESSION_NOT_FOUND, "The session has already ended"));
+    return;
+  }
+  log = session.log.child({ agent: claims.agent ?? null, role: "supervisor" });
+
+  const supervisor = {
+    agent: claims.agent ?? null,
+    send: (data) => safeSend(clientWS, data, false, log),
+    sendFrame: (type, payload) => safeSend(clientWS, encodeServerFrame(type, payload), true, log),
+    close: (code, reason) => {
+      try {
+        clientWS.close(code, reason);
+      } catch (e) {
+        log.warn("Supervisor WS close error", e);
+      }
+    }
+  };
+
+  const handleHello = (data, isBinary) => {
+    const msg = isBinary ? null : decodeClientMessage(data.toString());
+    if (msg?.type !== MessageType.HELLO) {
+      throw new ProtocolError(ErrorCode.HANDSHAKE_REQUIRED, "Expected hello message");
+    }
+    assertCompatibleVersion(msg.version);
+    clearTimeout(handshakeTimer);
+
+    // Agent audio goes to the caller as is, so it must match the bot's format
+    const input = msg.audio?.input ? resolveInputFormat(msg.audio.input) : AUDIO_FORMATS.output;
+    if (input.sampleRate !== AUDIO_FORMATS.output.sampleRate) {
+      throw new ProtocolError(
+        ErrorCode.UNSUPPORTED_AUDIO_FORMAT,
+        `Agent audio must be ${AUDIO_FORMATS.output.sampleRate} Hz`
+      );
+    }
+
+    safeSend(clientWS, createWelcome({
+      sessionId: session.id,
+      persona: { id: session.persona.id, name: session.persona.name },
+      audio: { input, output: AUDIO_FORMATS.output, caller: session.inputFormat },
+      controller: session.controller,
+      turns: session.record.turns
+    }), false, log);
+    stopWatching = session.watch(supervisor);
+  };
+
+  const handleMessage = async (data, isBinary) => {
+    if (isBinary) {
+      const frame = decodeClientAudio(data);
+      session.processAgentAudio(
+        supervisor,
+        Buffer.from(frame.pcm.buffer, frame.pcm.byteOffset, frame.pcm.byteLength),
+        { endOfSpeech: Boolean(frame.flags & ClientAudioFlag.END_OF_SPEECH) }
+      );
+      return;
+    }
+
+    const msg = decodeClientMessage(data.toString());
+    switch (msg.type) {
+      case MessageType.TAKEOVER:
+        if (!(await session.takeOver(supervisor))) {
+          supervisor.send(createError(
+            ErrorCode.TAKEOVER_CONFLICT,
+            "Another agent is already talking to this caller"
+          ));
+        }
+        break;
+      case MessageType.HANDBACK:
+        await session.handBack(supervisor, { summary: msg.summary });
+        break;
+      default:
+        throw new ProtocolError(
+          ErrorCode.UNKNOWN_MESSAGE,
+          `Unexpected "${msg.type}" message on a supervisor connection`
+        );
+    }
+  };
+
+  clientWS.on("message", async (data, isBinary) => {
+    if (clientWS.readyState !== clientWS.OPEN) return;
+    try {
+      if (!stopWatching) {
+        handleHello(data, isBinary);
+      } else if (session.isActive) {
+        await handleMessage(data, isBinary);
+      }
+    } catch (error) {
+      if (error instanceof ProtocolError) {
+        reject(error);
+      } else {
+        log.error("Supervisor message error", error);
+      }
+    }
+  });
+
+  clientWS.on("close", (code) => {
+    log.info("Supervisor disconnected", { code });
+    clearTimeout(handshakeTimer);
+    stopWatching?.();
+  });
+
+  clientWS.on("error", (error) => {
+    log.error("Supervisor client error", error);
+  });
+
+  handshakeTimer = setTimeout(() => {
+    reject(new ProtocolError(ErrorCode.HANDSHAKE_TIMEOUT, "No hello received"));
+  }, HANDSHAKE_TIMEOUT_MS);
+};
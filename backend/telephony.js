@@ -0,0 +1,299 @@
+// telephony.js - Phone calls through a carrier's media-stream WebSocket
+//
+// Carriers (e.g. Twilio's <Connect><Stream>) fork a call's audio to a
+// WebSocket at /telephony as JSON events: `connected`, `start` (stream and
+// call IDs, media format, custom parameters), `media` (base64 8 kHz μ-law),
+// `mark` (a label we sent has been played), `dtmf` and `stop`. We answer
+// with `media` of our own, a `mark` after each bot turn and `clear`, which
+// empties the caller's playback buffer, on barge-in.
+//
+// The call is an ordinary voice session. A phone line streams without
+// pause, so the caller's audio is upsampled to 16 kHz and cut into
+// utterances here by the same speech detector the browser runs;
+// replies are downsampled from 24 kHz and encoded back to μ-law. The
+// carrier must pass TELEPHONY_TOKEN as the `token` custom parameter (or
+// ?token= where query strings survive); `persona`, `from` and
+// `recordingConsent` ("true") are read from the custom parameters too.
+import {
+  AUDIO_FORMATS,
+  FrameType,
+  MessageType,
+  ErrorCode,
+  CloseCode,
+  CLOSE_CODES_BY_ERROR,
+  ProtocolError,
+  decodeServerFrame
+} from "../shared/protocol.js";
+import { tokensMatch } from "./admin-auth.js";
+import { decodeMulaw, encodeMulaw } from "./mulaw.js";
+import { createResampler } from "../shared/resampler.js";
+import { createSpeechDetector } from "../shared/speech-detector.js";
+import { HANDSHAKE_TIMEOUT_MS } from "./config.js";
+
+export const TELEPHONY_PATH = "/telephony";
+
+// What the carrier streams both ways
+export const PHONE_AUDIO = { encoding: "audio/x-mulaw", sampleRate: 8000, channels: 1 };
+
+const INPUT_FORMAT = { ...AUDIO_FORMATS.input };
+const FRAME_MS = 20;
+const FRAME_SAMPLES = (INPUT_FORMAT.sampleRate * FRAME_MS) / 1000;
+
+// --- Audio ---
+
+const toFloat = (pcm16) => Float32Array.from(pcm16, (s) => s / 32768);
+
+const toInt16 = (samples) =>
+  Int16Array.from(samples, (s) => Math.round(Math.max(-1, Math.min(1, s)) * 32767));
+
+const toPcm16 = (samples) => {
+  const pcm = Buffer.alloc(samples.length * 2);
+  toInt16(samples).forEach((s, i) => pcm.writeInt16LE(s, i * 2));
+  return pcm;
+};
+
+// Session audio frames are PCM16 LE bytes, not necessarily 2-byte aligned
+const pcmBytesToFloat = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return Float32Array.from({ length: bytes.byteLength / 2 }, (_, i) => view.getInt16(i * 2, true) / 32768);
+};
+
+// --- Connection ---
+
+// `token` is TELEPHONY_TOKEN (unset turns phone calls away); `startSession`
+// admits and creates a session from { personaId, inputFormat,
+// recordingConsent, metadata } or throws a ProtocolError
+export const handleTelephonyConnection = ({ clientWS, requestUrl, token, startSession, metrics, log }) => {
+  let session = null;
+  let streamSid = null;
+  let handshakeTimer = null;
+
+  // Caller -> session
+  const upsampler = createResampler(PHONE_AUDIO.sampleRate, INPUT_FORMAT.sampleRate);
+  const detector = createSpeechDetector({ frameMs: FRAME_MS });
+  let pending = new Float32Array(0);
+  let inbound = Promise.resolve(); // session calls, kept in arrival order
+
+  // Session -> caller
+  let downsampler = createResampler(AUDIO_FORMATS.output.sampleRate, PHONE_AUDIO.sampleRate);
+  let markCounter = 0;
+  let lastMark = null;
+  let unplayed = false; // audio sent that the carrier has not finished playing
+
+  const sendEvent = (event) => {
+    if (clientWS.readyState !== clientWS.OPEN) return;
+    try {
+      clientWS.send(JSON.stringify({ ...event, streamSid }));
+    } catch (e) {
+      log.warn("Send error", e);
+    }
+  };
+
+  const hangUp = (code, reason) => {
+    try {
+      if (clientWS.readyState === clientWS.OPEN) clientWS.close(code, reason);
+    } catch (e) {
+      log.warn("Telephony WS close error", e);
+    }
+  };
+
+  // Carriers do not read error messages; the log and close code tell the story
+  const reject = (error) => {
+    log.warn("Telephony protocol error", { code: error.code, message: error.message });
+    if (!session) metrics?.connectionsRejected.inc({ code: error.code });
+    clearTimeout(handshakeTimer);
+    hangUp(CLOSE_CODES_BY_ERROR[error.code] ?? CloseCode.PROTOCOL_ERROR, error.code);
+    session?.end(CloseCode.PROTOCOL_ERROR, error.code);
+  };
+
+  // --- Session side ---
+
+  const playAudio = (pcmBytes) => {
+    const encoded = encodeMulaw(toInt16(downsampler.process(pcmBytesToFloat(pcmBytes))));
+    if (!encoded.length) return;
+    unplayed = true;
+    sendEvent({ event: "media", media: { payload: encoded.toString("base64") } });
+  };
+
+  const clearPlayback = () => {
+    sendEvent({ event: "clear" });
+    unplayed = false;
+    lastMark = null;
+    // Drop the filter history of the audio that was cut off
+    downsampler = createResampler(AUDIO_FORMATS.output.sampleRate, PHONE_AUDIO.sampleRate);
+  };
+
+  const handleSessionFrame = (data) => {
+    const frame = decodeServerFrame(data);
+    if (frame.type === FrameType.AUDIO) {
+      playAudio(frame.payload);
+    } else if (frame.type === FrameType.TURN_COMPLETE) {
+      // Echoed back by the carrier once the turn has been played out
+      lastMark = `turn-${++markCounter}`;
+      sendEvent({ event: "mark", mark: { name: lastMark } });
+    } else if (frame.type === FrameType.INTERRUPTION) {
+      clearPlayback();
+    }
+  };
+
+  const handleSessionMessage = (text) => {
+    const message = JSON.parse(text);
+    if (message.type === MessageType.ERROR) {
+      log.warn("Session error on call", { code: message.code, message: message.message });
+    } else if (message.type === MessageType.TRANSCRIPT && message.final) {
+      log.debug("Call transcript", { speaker: message.speaker, text: message.text });
+    }
+  };
+
+  // What the session takes for its client socket. Control messages are
+  // meant for a screen, so only the binary frames reach the caller.
+  const line = {
+    OPEN: clientWS.OPEN,
+    get readyState() {
+      return clientWS.readyState;
+    },
+    send: (data) => {
+      try {
+        if (typeof data === "string") {
+          handleSessionMessage(data);
+        } else {
+          handleSessionFrame(data);
+        }
+      } catch (e) {
+        log.warn("Telephony relay error", e);
+      }
+    },
+    close: hangUp
+  };
+
+  // --- Carrier side ---
+
+  const handleStart = ({ start = {} }) => {
+    if (session) return;
+    clearTimeout(handshakeTimer);
+    const params = start.customParameters ?? {};
+
+    // Custom parameters are whatever JSON the carrier was handed
+    const given = params.token ?? requestUrl.searchParams.get("token") ?? "";
+    if (typeof given !== "string" || !given || !tokensMatch(given, token)) {
+      throw new ProtocolError(ErrorCode.UNAUTHORIZED, "Missing or wrong telephony token");
+    }
+    const format = start.mediaFormat ?? {};
+    if (
+      format.encoding !== PHONE_AUDIO.encoding ||
+      Number(format.sampleRate) !== PHONE_AUDIO.sampleRate ||
+      Number(format.channels ?? 1) !== PHONE_AUDIO.channels
+    ) {
+      throw new ProtocolError(
+        ErrorCode.UNSUPPORTED_AUDIO_FORMAT,
+        `Unsupported call audio ${JSON.stringify(format)} (expected mono ${PHONE_AUDIO.encoding}, ${PHONE_AUDIO.sampleRate} Hz)`
+      );
+    }
+
+    streamSid = start.streamSid ?? null;
+    session = startSession({
+      personaId: params.persona ?? requestUrl.searchParams.get("persona"),
+      inputFormat: INPUT_FORMAT,
+      recordingConsent: params.recordingConsent === "true",
+      metadata: {
+        channel: "phone",
+        callSid: start.callSid ?? null,
+        streamSid,
+        from: params.from ?? null
+      }
+    });
+    log = session.log.child({ callSid: start.callSid ?? null });
+    log.info("Call started", { persona: session.persona.id, recording: session.isRecording });
+    session.attach(line);
+  };
+
+  const handleMedia = ({ media = {} }) => {
+    if (media.track && media.track !== "inbound") return;
+    const samples = upsampler.process(toFloat(decodeMulaw(Buffer.from(media.payload ?? "", "base64"))));
+
+    const joined = new Float32Array(pending.length + samples.length);
+    joined.set(pending);
+    joined.set(samples, pending.length);
+    let offset = 0;
+    for (; offset + FRAME_SAMPLES <= joined.length; offset += FRAME_SAMPLES) {
+      const frame = joined.subarray(offset, offset + FRAME_SAMPLES);
+      const { started, frames } = detector.push(frame, toPcm16(frame));
+      // Barge-in: the caller talks over audio they can still hear
+      if (started && unplayed) {
+        inbound = inbound.then(() => session.isActive && session.processInterruption());
+      }
+      frames.forEach(({ payload: pcm, endOfSpeech }) => {
+        inbound = inbound.then(() => session.isActive && session.processAudioInput(pcm, { endOfSpeech }));
+      });
+    }
+    pending = joined.slice(offset);
+    inbound = inbound.catch((e) => log.error("Call audio error", e));
+  };
+
+  const handleMark = ({ mark = {} }) => {
+    if (mark.name && mark.name === lastMark) unplayed = false;
+  };
+
+  clientWS.on("message", (data, isBinary) => {
+    if (clientWS.readyState !== clientWS.OPEN) return;
+    try {
+      let msg;
+      try {
+        msg = isBinary ? null : JSON.parse(data.toString());
+      } catch {
+        msg = null;
+      }
+      if (!msg || typeof msg.event !== "string") {
+        throw new ProtocolError(ErrorCode.INVALID_MESSAGE, "Expected a JSON media-stream event");
+      }
+
+      switch (msg.event) {
+        case "connected":
+          break;
+        case "start":
+          handleStart(msg);
+          break;
+        case "media":
+          if (session?.isActive) handleMedia(msg);
+          break;
+        case "mark":
+          handleMark(msg);
+          break;
+        case "dtmf":
+          log.info("Caller pressed a key", { digit: msg.dtmf?.digit ?? null });
+          break;
+        case "stop":
+          log.info("Call stopped by the carrier");
+          session?.end(CloseCode.NORMAL, "Caller hung up");
+          break;
+        default:
+          log.debug("Ignoring media-stream event", { event: msg.event });
+      }
+    } catch (error) {
+      if (error instanceof ProtocolError) {
+        reject(error);
+      } else {
+        log.error("Telephony message error", error);
+      }
+    }
+  });
+
+  clientWS.on("close", (code) => {
+    log.info("Call disconnected", { code });
+    clearTimeout(handshakeTimer);
+    // A phone call cannot come back, so there is no grace period
+    session?.end(CloseCode.NORMAL, "Caller hung up");
+  });
+
+  clientWS.on("error", (error) => {
+    log.error("Telephony WS error", error);
+  });
+
+  if (!token) {
+    reject(new ProtocolError(ErrorCode.UNAUTHORIZED, "Phone calls are disabled (set TELEPHONY_TOKEN)"));
+    return;
+  }
+  handshakeTimer = setTimeout(() => {
+    reject(new ProtocolError(ErrorCode.HANDSHAKE_TIMEOUT, "No start event received"));
+  }, HANDSHAKE_TIMEOUT_MS);
+};
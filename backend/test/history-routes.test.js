@@ -0,0 +1,87 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// Runs the real server (mock provider) so the routes are tested as mounted
+const PORT = 3987;
+const ADMIN_TOKEN = "test-admin-token";
+const base = `http://localhost:${PORT}`;
+const sessionId = "3f0c1a9e-5b7d-4c2e-9a61-0d8e4b2f7c15";
+
+let server;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "revolt-history-test-"));
+  const historyDir = path.join(dataDir, "sessions");
+  await fs.mkdir(historyDir);
+  const now = new Date().toISOString(); // older records would be purged at startup
+  await fs.writeFile(path.join(historyDir, `${sessionId}.json`), JSON.stringify({
+    id: sessionId,
+    startedAt: now,
+    endedAt: now,
+    metadata: { remoteAddress: "203.0.113.7", userAgent: "test" },
+    analysis: { summary: "Wants a test ride.", lead: { name: "Asha", phone: "9800000000" } },
+    turns: [{ turn: 1, speaker: "user", text: "Hello", startMs: 0, endMs: 900 }]
+  }));
+
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: new URL("..", import.meta.url).pathname,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      ADMIN_TOKEN,
+      AI_PROVIDER: "mock",
+      LOG_LEVEL: "info",
+      HISTORY_DIR: historyDir,
+      RECORDINGS_DIR: path.join(dataDir, "recordings"),
+      WEBHOOKS_FILE: path.join(dataDir, "webhooks.yaml"),
+      WEBHOOK_LOG_FILE: path.join(dataDir, "deliveries.jsonl"),
+      USAGE_FILE: path.join(dataDir, "usage.json")
+    },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("Server running")) resolve();
+    });
+    server.on("exit", (code) => reject(new Error(`Server exited (${code})`)));
+  });
+});
+
+after(async () => {
+  server?.kill();
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const get = (route, { token } = {}) =>
+  fetch(`${base}${route}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+test("session history needs the admin token", async () => {
+  for (const route of ["/admin/history", `/admin/history/${sessionId}`, `/admin/history/${sessionId}/export?format=md`]) {
+    assert.equal((await get(route)).status, 401, route);
+    assert.equal((await get(route, { token: "wrong" })).status, 401, route);
+  }
+
+  const list = await get("/admin/history", { token: ADMIN_TOKEN });
+  assert.equal(list.status, 200);
+  assert.equal((await list.json()).sessions[0].id, sessionId);
+});
+
+test("the post-call summary and lead fields need the admin token", async () => {
+  const route = `/admin/history/${sessionId}/analysis`;
+  assert.equal((await get(route)).status, 401);
+
+  const response = await get(route, { token: ADMIN_TOKEN });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).lead.phone, "9800000000");
+  assert.equal((await get(`/api/sessions/${sessionId}/analysis`)).status, 404);
+});
+
+test("history is not served under /api", async () => {
+  assert.equal((await get("/api/sessions")).status, 404);
+  assert.equal((await get(`/api/sessions/${sessionId}`)).status, 404);
+});
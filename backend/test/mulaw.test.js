@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MULAW_SILENCE, decodeMulaw, decodeSample, encodeMulaw, encodeSample } from "../mulaw.js";
+
+test("silence encodes to the idle line byte", () => {
+  assert.equal(encodeSample(0), MULAW_SILENCE);
+  assert.equal(decodeSample(MULAW_SILENCE), 0);
+});
+
+test("every code decodes and re-encodes to itself", () => {
+  for (let byte = 0; byte < 256; byte++) {
+    // 0x7f is negative zero, which encodes as positive zero
+    if (byte === 0x7f) continue;
+    assert.equal(encodeSample(decodeSample(byte)), byte, `byte 0x${byte.toString(16)}`);
+  }
+});
+
+test("samples survive a round trip within the codec's step size", () => {
+  const samples = Int16Array.from([0, 1, -1, 100, -100, 1000, -1000, 12345, -12345, 32767, -32768]);
+  const decoded = decodeMulaw(encodeMulaw(samples));
+  samples.forEach((sample, i) => {
+    const clipped = Math.max(-32635, Math.min(32635, sample));
+    // Steps double per segment; the largest is 1024 wide
+    const tolerance = Math.max(8, Math.abs(clipped) / 16);
+    assert.ok(Math.abs(decoded[i] - clipped) <= tolerance, `${sample} decoded as ${decoded[i]}`);
+  });
+});
+
+test("the sign is preserved", () => {
+  assert.ok(decodeSample(encodeSample(5000)) > 0);
+  assert.ok(decodeSample(encodeSample(-5000)) < 0);
+});
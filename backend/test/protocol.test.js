@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CLOSE_CODES_BY_ERROR,
+  ClientAudioFlag,
+  CloseCode,
+  ErrorCode,
+  FrameType,
+  ImageSource,
+  MessageType,
+  ProtocolError,
+  createError,
+  createHello,
+  decodeClientAudio,
+  decodeClientFrame,
+  decodeClientMessage,
+  decodeServerFrame,
+  decodeServerMessage,
+  encodeClientAudio,
+  encodeClientImage,
+  encodeServerFrame
+} from "../../shared/protocol.js";
+
+const protocolError = (code) => (error) => error instanceof ProtocolError && error.code === code;
+
+test("client audio frames round-trip", () => {
+  const pcm = new Uint8Array([1, 2, 3, 4, 5, 6]);
+  const frame = encodeClientAudio(7, 1234.6, pcm, ClientAudioFlag.END_OF_SPEECH);
+  const decoded = decodeClientAudio(frame);
+
+  assert.equal(decoded.seq, 7);
+  assert.equal(decoded.timestamp, 1235);
+  assert.equal(decoded.flags, ClientAudioFlag.END_OF_SPEECH);
+  assert.deepEqual([...decoded.pcm], [...pcm]);
+});
+
+test("client audio frames reject truncated and misaligned payloads", () => {
+  assert.throws(() => decodeClientAudio(new Uint8Array([FrameType.CLIENT_AUDIO, 0, 0])), protocolError(ErrorCode.MALFORMED_FRAME));
+  const frame = encodeClientAudio(1, 0, new Uint8Array(4));
+  assert.throws(() => decodeClientAudio(frame.subarray(0, frame.length - 1)), protocolError(ErrorCode.MALFORMED_FRAME));
+});
+
+test("client frames dispatch on their type byte", () => {
+  const image = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+  const decoded = decodeClientFrame(encodeClientImage(ImageSource.CAMERA, image));
+  assert.equal(decoded.type, FrameType.CLIENT_IMAGE);
+  assert.equal(decoded.source, ImageSource.CAMERA);
+  assert.deepEqual([...decoded.image], [...image]);
+
+  assert.equal(decodeClientFrame(encodeClientAudio(3, 0, new Uint8Array(2))).type, FrameType.CLIENT_AUDIO);
+  assert.throws(() => decodeClientFrame(new Uint8Array([0x7f])), protocolError(ErrorCode.UNKNOWN_FRAME));
+  assert.throws(() => decodeClientFrame(new Uint8Array(0)), protocolError(ErrorCode.MALFORMED_FRAME));
+});
+
+test("server frames round-trip", () => {
+  const pcm = new Uint8Array([9, 8, 7, 6]);
+  const audio = decodeServerFrame(encodeServerFrame(FrameType.AUDIO, pcm));
+  assert.equal(audio.type, FrameType.AUDIO);
+  assert.deepEqual([...audio.payload], [...pcm]);
+
+  assert.deepEqual(decodeServerFrame(encodeServerFrame(FrameType.TURN_COMPLETE)), { type: FrameType.TURN_COMPLETE });
+  assert.throws(() => decodeServerFrame(encodeServerFrame(FrameType.AUDIO, new Uint8Array(3))), protocolError(ErrorCode.MALFORMED_FRAME));
+});
+
+test("control messages are checked against their schema", () => {
+  const hello = decodeClientMessage(JSON.stringify(createHello({ persona: "rev" })));
+  assert.equal(hello.type, MessageType.HELLO);
+  assert.equal(hello.persona, "rev");
+
+  const error = decodeServerMessage(JSON.stringify(createError(ErrorCode.TEXT_ERROR, "Oops")));
+  assert.equal(error.fatal, false);
+
+  assert.throws(() => decodeClientMessage("{"), protocolError(ErrorCode.MALFORMED_FRAME));
+  assert.throws(() => decodeClientMessage('{"type":"nope"}'), protocolError(ErrorCode.UNKNOWN_MESSAGE));
+  assert.throws(() => decodeClientMessage('{"type":"text","text":5}'), protocolError(ErrorCode.INVALID_MESSAGE));
+});
+
+test("every error that ends a connection maps to a known close code", () => {
+  const errorCodes = Object.values(ErrorCode);
+  const closeCodes = Object.values(CloseCode);
+  for (const [error, close] of Object.entries(CLOSE_CODES_BY_ERROR)) {
+    assert.ok(errorCodes.includes(error), error);
+    assert.ok(closeCodes.includes(close), `${error} -> ${close}`);
+  }
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createResampler } from "../../shared/resampler.js";
+
+const RATE = 16000;
+
+const tone = (count, hz, amplitude, rate = RATE) =>
+  Float32Array.from({ length: count }, (_, i) => amplitude * Math.sin((2 * Math.PI * hz * i) / rate));
+
+const rms = (samples) => Math.sqrt(samples.reduce((sum, s) => sum + s * s, 0) / samples.length);
+
+test("resampling keeps the length ratio and the level of a speech-band tone", () => {
+  const resampler = createResampler(48000, RATE);
+  const input = tone(48000, 440, 0.5, 48000);
+  // Fed in uneven chunks, as a capture callback would
+  const chunks = [];
+  for (let offset = 0; offset < input.length; offset += 333) {
+    chunks.push(resampler.process(input.subarray(offset, offset + 333)));
+  }
+  const output = Float32Array.from(chunks.flatMap((chunk) => [...chunk]));
+  assert.ok(Math.abs(output.length - RATE) < 100, `${output.length} samples`);
+  assert.ok(Math.abs(rms(output.subarray(1000)) - rms(input)) < 0.01);
+});
+
+test("resampling filters out what would alias when downsampling", () => {
+  const output = createResampler(48000, RATE).process(tone(48000, 12000, 0.5, 48000));
+  assert.ok(rms(output.subarray(1000)) < 0.01);
+});
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CloseCode, ErrorCode, MessageType } from "../../shared/protocol.js";
+
+process.env.LOG_LEVEL ??= "error";
+const { createVoiceSession } = await import("../session.js");
+const { MAX_RECONNECT_ATTEMPTS, RECONNECT_DELAY_MS } = await import("../config.js");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A provider whose connections the test drives by hand
+const createFakeProvider = () => {
+  const connections = [];
+  return {
+    name: "fake",
+    connections,
+    async connect({ config, callbacks }) {
+      const connection = {
+        config,
+        callbacks,
+        isOpen: true,
+        texts: [],
+        sendAudio: async () => {},
+        endAudioStream: async () => {},
+        sendText: async (text) => connection.texts.push(text),
+        sendImage: async () => {},
+        sendToolResponse: async () => {},
+        interrupt: async () => {},
+        close: () => {
+          if (!connection.isOpen) return;
+          connection.isOpen = false;
+          callbacks.onclose?.({ code: 1000 });
+        }
+      };
+      connections.push(connection);
+      callbacks.onopen?.();
+      return connection;
+    }
+  };
+};
+
+// Stands in for the client's WebSocket
+const createFakeClient = () => ({
+  OPEN: 1,
+  readyState: 1,
+  messages: [],
+  closeCode: null,
+  send(data) {
+    if (typeof data === "string") this.messages.push(JSON.parse(data));
+  },
+  close(code) {
+    this.readyState = 3;
+    this.closeCode = code;
+  }
+});
+
+const startSession = (provider) => createVoiceSession({
+  provider,
+  persona: { id: "test", greeting: null, systemInstruction: "Test" },
+  tools: { declarations: () => [] }
+});
+
+test("a provider error mid-session is retried while the client stays connected", async () => {
+  const provider = createFakeProvider();
+  const session = startSession(provider);
+  const client = createFakeClient();
+  session.attach(client);
+  await wait(0);
+  assert.equal(provider.connections.length, 1);
+
+  // The provider hands out a resumption handle, then fails the way the
+  // Live API does: an error followed by a close
+  const [first] = provider.connections;
+  first.callbacks.onmessage({ sessionResumptionUpdate: { resumable: true, newHandle: "handle-1" } });
+  first.callbacks.onerror(new Error("upstream reset"));
+  first.isOpen = false;
+  first.callbacks.onclose({ code: 1011 });
+
+  await wait(RECONNECT_DELAY_MS + 200);
+
+  assert.equal(provider.connections.length, 2, "reconnected exactly once");
+  assert.deepEqual(provider.connections[1].config.sessionResumption, { handle: "handle-1" });
+  assert.equal(client.closeCode, null, "the client socket stays open");
+  assert.ok(!client.messages.some((m) => m.type === MessageType.ERROR && m.fatal), "no fatal error");
+  assert.ok(client.messages.some((m) => m.type === MessageType.NOTICE));
+  assert.deepEqual(session.record.errors.map((e) => e.code), [ErrorCode.AI_SERVICE_ERROR]);
+
+  // The conversation carries on over the new connection
+  await session.processTextInput("Still there?");
+  assert.deepEqual(provider.connections[1].texts, ["Still there?"]);
+
+  session.end(CloseCode.NORMAL, "Test over");
+  assert.equal(session.isActive, false);
+});
+
+test("a provider that stays down is retried on a schedule, then the session ends", async () => {
+  let connects = 0;
+  const provider = {
+    name: "down",
+    async connect() {
+      connects++;
+      throw new Error("unavailable");
+    }
+  };
+  const session = startSession(provider);
+  const client = createFakeClient();
+  session.attach(client);
+
+  // A burst of audio while the provider is down connects at most once
+  for (let i = 0; i < 50; i++) {
+    await session.processAudioInput(Buffer.alloc(640));
+  }
+  assert.equal(connects, 1);
+  assert.ok(!client.messages.some((m) => m.type === MessageType.ERROR), "dropped audio is not an error");
+  assert.deepEqual(session.record.errors, []);
+
+  await session.processTextInput("Hello?");
+  assert.equal(connects, 1);
+  assert.ok(client.messages.filter((m) => m.type === MessageType.NOTICE).length >= 2);
+
+  await wait(RECONNECT_DELAY_MS * (MAX_RECONNECT_ATTEMPTS + 1) + 300);
+
+  assert.equal(connects, 1 + MAX_RECONNECT_ATTEMPTS);
+  const errors = client.messages.filter((m) => m.type === MessageType.ERROR);
+  assert.deepEqual(errors.map((m) => [m.code, m.fatal]), [[ErrorCode.CONNECTION_LOST, true]]);
+  assert.equal(session.isActive, false);
+  assert.equal(client.closeCode, CloseCode.SERVER_BUSY, "the socket is closed");
+});
+
+test("a client that drops is resumed and gets the captions it missed", async () => {
+  const provider = createFakeProvider();
+  const session = startSession(provider);
+  const first = createFakeClient();
+  session.attach(first);
+  await wait(0);
+
+  session.detach(first);
+  const { callbacks } = provider.connections[0];
+  callbacks.onmessage({ serverContent: { outputTranscription: { text: "Welcome back." } } });
+  callbacks.onmessage({ serverContent: { turnComplete: true } });
+
+  const second = createFakeClient();
+  session.attach(second);
+  const replayed = second.messages.filter((m) => m.type === MessageType.TRANSCRIPT);
+  assert.equal(replayed.length, 1);
+  assert.equal(replayed[0].text, "Welcome back.");
+  assert.equal(replayed[0].final, true);
+  assert.equal(session.record.resumes, 1);
+  assert.equal(provider.connections.length, 1, "the AI session was kept");
+
+  session.end(CloseCode.NORMAL, "Test over");
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { VAD_DEFAULTS, createSpeechDetector } from "../../shared/speech-detector.js";
+
+const RATE = 16000;
+const FRAME_MS = 20;
+const FRAME_SAMPLES = (RATE * FRAME_MS) / 1000;
+
+const tone = (count, hz, amplitude, rate = RATE) =>
+  Float32Array.from({ length: count }, (_, i) => amplitude * Math.sin((2 * Math.PI * hz * i) / rate));
+
+test("an utterance starts after the onset with its pre-roll and ends after the hangover", () => {
+  const detector = createSpeechDetector({ frameMs: FRAME_MS });
+  const silence = new Float32Array(FRAME_SAMPLES);
+  const speech = tone(FRAME_SAMPLES, 300, 0.3);
+  const push = (samples, label) => detector.push(samples, label);
+
+  for (let i = 0; i < 20; i++) assert.deepEqual(push(silence, "quiet").frames, []);
+
+  const onsetFrames = VAD_DEFAULTS.onsetMs / FRAME_MS;
+  let result;
+  for (let i = 0; i < onsetFrames; i++) result = push(speech, `speech-${i}`);
+  assert.equal(result.started, true);
+  assert.equal(detector.isSpeaking, true);
+  // Pre-roll: the onset frames plus the silence just before them
+  const payloads = result.frames.map((f) => f.payload);
+  assert.equal(payloads.length, (VAD_DEFAULTS.preRollMs + FRAME_MS) / FRAME_MS);
+  assert.deepEqual(payloads.slice(-onsetFrames), ["speech-0", "speech-1", "speech-2"]);
+
+  const hangoverFrames = VAD_DEFAULTS.hangoverMs / FRAME_MS;
+  for (let i = 1; i < hangoverFrames; i++) {
+    assert.deepEqual(push(silence, "gap").frames, [{ payload: "gap", endOfSpeech: false }]);
+  }
+  assert.deepEqual(push(silence, "last").frames, [{ payload: "last", endOfSpeech: true }]);
+  assert.equal(detector.isSpeaking, false);
+});
+
+test("hiss is not speech", () => {
+  const detector = createSpeechDetector({ frameMs: FRAME_MS });
+  const hiss = Float32Array.from({ length: FRAME_SAMPLES }, (_, i) => (i % 2 ? 0.3 : -0.3));
+  for (let i = 0; i < 20; i++) assert.equal(detector.push(hiss, i).started, false);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { CloseCode } from "../../shared/protocol.js";
+import { handleTelephonyConnection, PHONE_AUDIO, TELEPHONY_PATH } from "../telephony.js";
+
+const silentLog = { child: () => silentLog, debug() {}, info() {}, warn() {}, error() {} };
+
+// Stands in for the carrier's side of the media stream
+const createCarrierSocket = () => {
+  const socket = new EventEmitter();
+  Object.assign(socket, {
+    OPEN: 1,
+    readyState: 1,
+    sent: [],
+    closeCode: null,
+    send(data) {
+      socket.sent.push(JSON.parse(data));
+    },
+    close(code) {
+      socket.readyState = 3;
+      socket.closeCode = code;
+    },
+    event(event) {
+      socket.emit("message", Buffer.from(JSON.stringify(event)), false);
+    }
+  });
+  return socket;
+};
+
+const call = (customParameters) => {
+  const socket = createCarrierSocket();
+  const started = [];
+  handleTelephonyConnection({
+    clientWS: socket,
+    requestUrl: new URL(`http://localhost${TELEPHONY_PATH}`),
+    token: "line-secret",
+    startSession: (options) => {
+      started.push(options);
+      return { isActive: true, log: silentLog, attach() {}, end() {} };
+    },
+    log: silentLog
+  });
+  socket.event({ event: "connected" });
+  socket.event({
+    event: "start",
+    start: { streamSid: "MZ1", callSid: "CA1", mediaFormat: { ...PHONE_AUDIO }, customParameters }
+  });
+  return { socket, started };
+};
+
+test("a call with the right token starts a session", (t) => {
+  const { socket, started } = call({ token: "line-secret", from: "+15550100" });
+  t.after(() => socket.emit("close", CloseCode.NORMAL));
+  assert.equal(started.length, 1);
+  assert.equal(started[0].metadata.channel, "phone");
+  assert.equal(socket.closeCode, null);
+});
+
+test("a missing, wrong or non-string token hangs up as unauthorized", () => {
+  for (const token of [undefined, "wrong", { secret: "line-secret" }, 42, ["line-secret"]]) {
+    const { socket, started } = call({ token });
+    assert.equal(started.length, 0, `token ${JSON.stringify(token)}`);
+    assert.equal(socket.closeCode, CloseCode.UNAUTHORIZED, `token ${JSON.stringify(token)}`);
+  }
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTicketIssuer } from "../tickets.js";
+import { ErrorCode, ProtocolError } from "../../shared/protocol.js";
+
+const unauthorized = (error) => error instanceof ProtocolError && error.code === ErrorCode.UNAUTHORIZED;
+const ip = "203.0.113.7";
+
+test("a ticket is redeemed once, from the address it was issued to", () => {
+  const issuer = createTicketIssuer({ secret: "test-secret", ttlMs: 60_000 });
+  const { ticket } = issuer.issue({ ip, role: "supervisor", sessionId: "abc" });
+
+  assert.throws(() => issuer.redeem(ticket, { ip: "198.51.100.1" }), unauthorized);
+  const claims = issuer.redeem(ticket, { ip });
+  assert.equal(claims.role, "supervisor");
+  assert.equal(claims.sessionId, "abc");
+  assert.throws(() => issuer.redeem(ticket, { ip }), unauthorized);
+});
+
+test("tickets with a bad signature or from another secret are refused", () => {
+  const issuer = createTicketIssuer({ secret: "test-secret", ttlMs: 60_000 });
+  const other = createTicketIssuer({ secret: "other-secret", ttlMs: 60_000 });
+  const { ticket } = issuer.issue({ ip });
+  const [payload, signature] = ticket.split(".");
+  const forged = Buffer.from(JSON.stringify({ ip, exp: Date.now() + 60_000, nonce: "x" })).toString("base64url");
+
+  assert.throws(() => other.redeem(ticket, { ip }), unauthorized);
+  assert.throws(() => issuer.redeem(`${forged}.${signature}`, { ip }), unauthorized);
+  assert.throws(() => issuer.redeem(`${payload}.`, { ip }), unauthorized);
+  assert.throws(() => issuer.redeem(undefined, { ip }), unauthorized);
+});
+
+test("expired tickets are refused", () => {
+  const issuer = createTicketIssuer({ secret: "test-secret", ttlMs: -1 });
+  const { ticket } = issuer.issue({ ip });
+  assert.throws(() => issuer.redeem(ticket, { ip }), /expired/);
+});
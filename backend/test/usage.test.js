@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { ErrorCode } from "../../shared/protocol.js";
+
+process.env.LOG_LEVEL ??= "error";
+const { addUsage, createUsageLedger, emptyUsage, tokensFromMetadata } = await import("../usage.js");
+const { createCallAnalysis } = await import("../analyzers/index.js");
+const { createHistoryStore } = await import("../history.js");
+
+const protocolError = (code) => (error) => error.code === code;
+
+test("token reports from the Live API and from generateContent read the same", () => {
+  assert.deepEqual(
+    tokensFromMetadata({ promptTokenCount: 100, responseTokenCount: 20, totalTokenCount: 130 }),
+    { inputTokens: 100, outputTokens: 20, totalTokens: 130 }
+  );
+  assert.deepEqual(
+    tokensFromMetadata({ promptTokenCount: 100, candidatesTokenCount: 20 }),
+    { inputTokens: 100, outputTokens: 20, totalTokens: 120 }
+  );
+});
+
+test("audio seconds are added to the millisecond", () => {
+  const usage = emptyUsage();
+  for (let i = 0; i < 1000; i++) addUsage(usage, { inputAudioSeconds: 0.04 });
+  assert.equal(usage.inputAudioSeconds, 40);
+  addUsage(usage, { unknownField: 5 });
+  assert.equal("unknownField" in usage, false);
+});
+
+test("new sessions are refused once today's budget is spent", () => {
+  const ledger = createUsageLedger({ dailyTokenBudget: 1000 });
+  ledger.admit();
+  ledger.add({ totalTokens: 999 });
+  assert.equal(ledger.remainingTokens(), 1);
+  ledger.add({ totalTokens: 1 });
+  assert.throws(() => ledger.admit(), protocolError(ErrorCode.BUDGET_EXHAUSTED));
+  assert.equal(ledger.summary().today.remainingTokens, 0);
+
+  const unlimited = createUsageLedger();
+  unlimited.add({ totalTokens: 1e9 });
+  assert.doesNotThrow(() => unlimited.admit());
+});
+
+test("the ledger is rebuilt from stored sessions on the day each ended", () => {
+  const today = new Date().toISOString();
+  const ledger = createUsageLedger({ dailyTokenBudget: 1000 });
+  ledger.seed([
+    { endedAt: today, usage: { ...emptyUsage(), totalTokens: 600, analysisTokens: 50 } },
+    { endedAt: "2020-01-01T12:00:00.000Z", usage: { ...emptyUsage(), totalTokens: 900 } },
+    { endedAt: today } // no usage recorded
+  ]);
+  const { today: totals, days } = ledger.summary();
+  assert.equal(totals.sessions, 1);
+  assert.equal(totals.totalTokens, 600);
+  assert.equal(totals.analysisTokens, 50);
+  assert.equal(totals.remainingTokens, 400);
+  assert.deepEqual(days.map((d) => d.day), [today.slice(0, 10), "2020-01-01"]);
+});
+
+test("saved totals are read back by the next run", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "revolt-usage-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "usage.json");
+
+  const first = createUsageLedger({ dailyTokenBudget: 1000, file });
+  assert.equal(await first.load(), false, "nothing saved yet");
+  first.sessionStarted();
+  first.add({ inputTokens: 300, outputTokens: 100, totalTokens: 400, inputAudioSeconds: 1.5 });
+  await first.flush();
+
+  const second = createUsageLedger({ dailyTokenBudget: 1000, file });
+  assert.equal(await second.load(), true);
+  const { today } = second.summary();
+  assert.equal(today.sessions, 1);
+  assert.equal(today.totalTokens, 400);
+  assert.equal(today.inputAudioSeconds, 1.5);
+  assert.equal(today.remainingTokens, 600);
+});
+
+test("only records saved since a time are read back from history", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "revolt-usage-history-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const history = createHistoryStore({ dir });
+  const endedAt = new Date().toISOString();
+  const ids = ["00000000-0000-4000-8000-000000000001", "00000000-0000-4000-8000-000000000002"];
+  for (const id of ids) {
+    await history.save({ id, startedAt: endedAt, endedAt, usage: { ...emptyUsage(), totalTokens: 10 } });
+  }
+  // Yesterday's file is not even parsed
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  await fs.writeFile(path.join(dir, `${ids[1]}.json`), "not json");
+  await fs.utimes(path.join(dir, `${ids[1]}.json`), yesterday, yesterday);
+
+  const records = await history.savedSince(new Date().setUTCHours(0, 0, 0, 0));
+  assert.deepEqual(records.map((r) => r.id), [ids[0]]);
+});
+
+const SCHEMA = { type: "object", properties: { name: { type: "string" } } };
+const TURNS = [{ speaker: "user", text: "Hi" }];
+
+test("the analyzer's tokens are reported, even when it answers after the timeout", async () => {
+  const reported = [];
+  const onTokens = (tokens) => reported.push(tokens);
+  const answer = { summary: "Said hi.", fields: {}, usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 10 } };
+
+  const quick = createCallAnalysis({ analyzer: { name: "test", analyze: async () => answer }, schema: SCHEMA });
+  const result = await quick.analyze(TURNS, { onTokens });
+  assert.equal(result.summary, "Said hi.");
+  assert.deepEqual(reported, [{ inputTokens: 40, outputTokens: 10, totalTokens: 50 }]);
+
+  const slow = createCallAnalysis({
+    analyzer: { name: "test", analyze: () => new Promise((resolve) => setTimeout(() => resolve(answer), 50)) },
+    schema: SCHEMA,
+    timeoutMs: 10
+  });
+  await assert.rejects(slow.analyze(TURNS, { onTokens }), /timed out/);
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(reported.length, 2);
+});
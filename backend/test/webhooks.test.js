@@ -0,0 +1,203 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+process.env.LOG_LEVEL ??= "error";
+const { createDeliveryLog, createWebhookDispatcher, signPayload, verifySignature } = await import("../webhooks.js");
+
+const secret = "whsec-test";
+const body = JSON.stringify({ event: "session.started", data: { sessionId: "abc" } });
+const now = Date.UTC(2026, 0, 1);
+const timestamp = Math.floor(now / 1000);
+const header = `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+
+test("a signature made with the shared secret verifies", () => {
+  assert.equal(verifySignature(secret, header, body, { now }), true);
+  assert.equal(verifySignature(secret, header.replace(",", ", "), body, { now }), true);
+});
+
+test("a changed body, another secret or a malformed header fails", () => {
+  assert.equal(verifySignature(secret, header, body.replace("abc", "abd"), { now }), false);
+  assert.equal(verifySignature("other", header, body, { now }), false);
+  assert.equal(verifySignature(secret, `t=${timestamp}`, body, { now }), false);
+  assert.equal(verifySignature(secret, undefined, body, { now }), false);
+  assert.equal(verifySignature(secret, `t=${timestamp},v1=abcd`, body, { now }), false);
+});
+
+test("stale timestamps are refused so requests cannot be replayed", () => {
+  assert.equal(verifySignature(secret, header, body, { now: now + 6 * 60 * 1000 }), false);
+  assert.equal(verifySignature(secret, header, body, { now: now + 4 * 60 * 1000 }), true);
+});
+
+// --- Dispatch ---
+
+// A local receiver; each path answers with the statuses queued for it, then 200
+let receiver;
+let receiverUrl;
+let logDir;
+const received = [];
+const replies = new Map(); // path -> [status | "hang"]
+
+before(async () => {
+  logDir = await fs.mkdtemp(path.join(os.tmpdir(), "revolt-webhooks-test-"));
+  receiver = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      received.push({ path: req.url, headers: req.headers, body: raw });
+      const reply = replies.get(req.url)?.shift() ?? 200;
+      if (reply === "hang") return; // never answers
+      res.writeHead(reply).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(async () => {
+  receiver.closeAllConnections();
+  await new Promise((resolve) => receiver.close(resolve));
+  await fs.rm(logDir, { recursive: true, force: true });
+});
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const createDispatcher = (name, subscriptions, options = {}) => {
+  const deliveryLog = createDeliveryLog({ file: path.join(logDir, `${name}.jsonl`) });
+  const dispatcher = createWebhookDispatcher({
+    subscriptions: subscriptions.map((s) => ({ url: `${receiverUrl}/${s.id}`, secret, ...s })),
+    deliveryLog,
+    retryBaseMs: 20,
+    timeoutMs: 300,
+    ...options
+  });
+  return { dispatcher, deliveryLog };
+};
+
+const requestsTo = (id) => received.filter((r) => r.path === `/${id}`);
+
+test("each event goes only to the subscriptions that want it", async () => {
+  const { dispatcher } = createDispatcher("filter", [
+    { id: "ended-only", events: ["session.ended"] },
+    { id: "everything", events: ["session.started", "turn.completed", "session.ended"] }
+  ]);
+  dispatcher.emit("turn.completed", { turn: 1 });
+  dispatcher.emit("session.ended", { durationMs: 1000 });
+  dispatcher.emit("tool.called", { name: "lookup" });
+  await dispatcher.close();
+
+  assert.deepEqual(requestsTo("ended-only").map((r) => r.headers["x-revolt-event"]), ["session.ended"]);
+  assert.deepEqual(
+    requestsTo("everything").map((r) => r.headers["x-revolt-event"]).sort(),
+    ["session.ended", "turn.completed"]
+  );
+});
+
+test("deliveries are signed with the subscription's secret", async () => {
+  const { dispatcher } = createDispatcher("signed", [{ id: "signed", events: ["session.started"] }]);
+  dispatcher.emit("session.started", { persona: "rev" });
+  await dispatcher.close();
+
+  const [request] = requestsTo("signed");
+  const event = JSON.parse(request.body);
+  assert.equal(event.type, "session.started");
+  assert.deepEqual(event.data, { persona: "rev" });
+  assert.equal(request.headers["x-revolt-delivery"], event.id);
+  assert.equal(request.headers["content-type"], "application/json");
+  assert.equal(verifySignature(secret, request.headers["x-revolt-signature"], request.body), true);
+  assert.equal(verifySignature("other", request.headers["x-revolt-signature"], request.body), false);
+});
+
+test("5xx answers are retried with backoff until delivered, and every attempt is logged", async () => {
+  replies.set("/flaky", [503, 500]);
+  const { dispatcher, deliveryLog } = createDispatcher("flaky", [{ id: "flaky", events: ["error"] }]);
+  dispatcher.emit("error", { code: "audio_error" });
+  await waitFor(async () => (await deliveryLog.recent()).some((e) => e.outcome === "delivered"));
+
+  const entries = (await deliveryLog.recent()).reverse();
+  assert.deepEqual(entries.map((e) => [e.attempt, e.outcome, e.status]), [
+    [1, "retrying", 503],
+    [2, "retrying", 500],
+    [3, "delivered", 200]
+  ]);
+  assert.equal(new Set(entries.map((e) => e.deliveryId)).size, 1);
+  assert.ok(entries.every((e) => e.subscription === "flaky" && e.event === "error"));
+  assert.ok(Date.parse(entries[1].time) >= Date.parse(entries[0].nextAttemptAt) - 5, "waited before retrying");
+
+  // Every attempt carries a valid signature of the same event
+  const attempts = requestsTo("flaky");
+  assert.equal(attempts.length, 3);
+  assert.ok(attempts.every((r) => verifySignature(secret, r.headers["x-revolt-signature"], r.body)));
+  assert.equal(new Set(attempts.map((r) => JSON.parse(r.body).id)).size, 1);
+  await dispatcher.close();
+});
+
+test("a receiver that times out is retried, then given up on after maxAttempts", async () => {
+  replies.set("/slow", ["hang", "hang"]);
+  const { dispatcher, deliveryLog } = createDispatcher("slow", [{ id: "slow", events: ["error"] }], {
+    maxAttempts: 2,
+    timeoutMs: 100
+  });
+  dispatcher.emit("error", { code: "text_error" });
+  await waitFor(async () => (await deliveryLog.recent()).some((e) => e.outcome === "failed"));
+
+  const entries = (await deliveryLog.recent()).reverse();
+  assert.deepEqual(entries.map((e) => [e.attempt, e.outcome, e.status]), [
+    [1, "retrying", null],
+    [2, "failed", null]
+  ]);
+  assert.match(entries[0].error, /Timed out after 100ms/);
+  await dispatcher.close();
+});
+
+test("a 4xx answer fails at once and is not retried", async () => {
+  replies.set("/refusing", [400]);
+  const { dispatcher, deliveryLog } = createDispatcher("refusing", [{ id: "refusing", events: ["error"] }]);
+  dispatcher.emit("error", {});
+  await dispatcher.close();
+
+  const entries = await deliveryLog.recent();
+  assert.deepEqual(entries.map((e) => [e.attempt, e.outcome, e.error]), [[1, "failed", "HTTP 400"]]);
+  assert.equal(requestsTo("refusing").length, 1);
+});
+
+test("retries still scheduled at shutdown are logged as abandoned", async () => {
+  replies.set("/down", [503]);
+  const { dispatcher, deliveryLog } = createDispatcher("down", [{ id: "down", events: ["error"] }], {
+    retryBaseMs: 60_000
+  });
+  dispatcher.emit("error", {});
+  await waitFor(async () => (await deliveryLog.recent()).length === 1);
+  await dispatcher.close();
+
+  const entries = (await deliveryLog.recent()).reverse();
+  assert.deepEqual(entries.map((e) => [e.attempt, e.outcome]), [[1, "retrying"], [2, "abandoned"]]);
+  dispatcher.emit("error", {});
+  assert.equal(requestsTo("down").length, 1, "nothing is sent after close");
+});
+
+test("the delivery log filters entries and drops them after the retention period", async () => {
+  const deliveryLog = createDeliveryLog({ file: path.join(logDir, "retention.jsonl"), retentionDays: 7 });
+  const day = 24 * 60 * 60 * 1000;
+  const old = new Date(Date.now() - 8 * day).toISOString();
+  const recent = new Date().toISOString();
+  deliveryLog.append({ time: old, deliveryId: "evt_1", event: "error", subscription: "a", outcome: "failed" });
+  deliveryLog.append({ time: recent, deliveryId: "evt_2", event: "error", subscription: "a", outcome: "delivered" });
+  deliveryLog.append({ time: recent, deliveryId: "evt_3", event: "session.ended", subscription: "b", outcome: "delivered" });
+
+  assert.deepEqual((await deliveryLog.recent()).map((e) => e.deliveryId), ["evt_3", "evt_2", "evt_1"]);
+  assert.deepEqual((await deliveryLog.recent({ event: "error", outcome: "delivered" })).map((e) => e.deliveryId), ["evt_2"]);
+  assert.deepEqual((await deliveryLog.recent({ limit: 1 })).map((e) => e.deliveryId), ["evt_3"]);
+
+  assert.equal(await deliveryLog.purgeExpired(), 1);
+  assert.deepEqual((await deliveryLog.recent()).map((e) => e.deliveryId), ["evt_3", "evt_2"]);
+});
@@ -0,0 +1,84 @@
+// tickets.js - Signed, short-lived, single-use tickets for opening a session
+//
+// A ticket is `<payload>.<signature>`: base64url JSON { ip, exp, nonce }
+// signed with HMAC-SHA256. Clients get one from POST /api/tickets and pass
+// it as ?ticket= on the WebSocket URL (browsers cannot set headers there).
+// Supervisor tickets also carry { role: "supervisor", sessionId, agent }.
+import crypto from "crypto";
+import { ErrorCode, ProtocolError } from "../shared/protocol.js";
+import { logger } from "./logger.js";
+
+const sign = (secret, payload) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+
+const unauthorized = (message) => new ProtocolError(ErrorCode.UNAUTHORIZED, message);
+
+export const createTicketIssuer = ({ secret, ttlMs }) => {
+  if (!secret) {
+    // Tickets still work, but do not survive a restart or span instances
+    logger.warn("TICKET_SECRET is not set; using a random secret for this process");
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+
+  // Nonces already used, until their ticket would have expired anyway
+  const spent = new Map();
+
+  const pruneSpent = (now) => {
+    for (const [nonce, exp] of spent) {
+      if (exp <= now) spent.delete(nonce);
+    }
+  };
+
+  return {
+    ttlMs,
+
+    issue({ ip, ...claims }) {
+      const exp = Date.now() + ttlMs;
+      const payload = Buffer.from(JSON.stringify({
+        ...claims,
+        ip,
+        exp,
+        nonce: crypto.randomBytes(12).toString("base64url")
+      })).toString("base64url");
+      return { ticket: `${payload}.${sign(secret, payload)}`, expiresAt: new Date(exp).toISOString() };
+    },
+
+    // Throws an `unauthorized` ProtocolError unless the ticket is genuine,
+    // unexpired, unused and was issued to the same address
+    redeem(ticket, { ip }) {
+      if (typeof ticket !== "string" || !ticket) {
+        throw unauthorized("A session ticket is required. Please refresh the page.");
+      }
+
+      const [payload, signature = ""] = ticket.split(".");
+      const expected = sign(secret, payload);
+      if (
+        signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+      ) {
+        throw unauthorized("Invalid session ticket.");
+      }
+
+      let claims;
+      try {
+        claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      } catch {
+        throw unauthorized("Invalid session ticket.");
+      }
+
+      const now = Date.now();
+      pruneSpent(now);
+      if (claims.exp <= now) {
+        throw unauthorized("Session ticket expired. Please try again.");
+      }
+      if (claims.ip !== ip) {
+        throw unauthorized("Session ticket was issued to a different address.");
+      }
+      if (spent.has(claims.nonce)) {
+        throw unauthorized("Session ticket has already been used.");
+      }
+      spent.set(claims.nonce, claims.exp);
+      return claims;
+    }
+  };
+};
@@ -0,0 +1,88 @@
+// tools/builtin.js - Tools available to every session
+//
+// The showroom list is sample data and test-ride booking is a stub: both are
+// meant to be swapped for the dealer and CRM systems.
+import crypto from "crypto";
+import fs from "fs";
+import { ToolError } from "./index.js";
+import { logger } from "../logger.js";
+
+const SHOWROOMS = JSON.parse(
+  fs.readFileSync(new URL("./showrooms.json", import.meta.url), "utf8")
+);
+
+const BIKE_MODELS = ["RV400", "RV400 BRZ", "RV1", "RV1+"];
+
+export const getCurrentTime = {
+  name: "get_current_time",
+  description: "Returns the current date and time, by default in India Standard Time.",
+  statusMessage: "Checking the time…",
+  parameters: {
+    type: "object",
+    properties: {
+      timezone: {
+        type: "string",
+        description: "IANA time zone, e.g. Asia/Kolkata"
+      }
+    }
+  },
+  handler: ({ timezone = "Asia/Kolkata" }) => {
+    const now = new Date();
+    let local;
+    try {
+      local = now.toLocaleString("en-IN", { timeZone: timezone, dateStyle: "full", timeStyle: "short" });
+    } catch {
+      throw new ToolError(`Unknown time zone "${timezone}"`);
+    }
+    return { iso: now.toISOString(), local, timezone };
+  }
+};
+
+export const findShowroom = {
+  name: "find_showroom",
+  description: "Finds Revolt showrooms and service points in a city.",
+  statusMessage: "Looking up showrooms…",
+  parameters: {
+    type: "object",
+    properties: {
+      city: { type: "string", description: "City name, e.g. Mumbai" }
+    },
+    required: ["city"]
+  },
+  handler: ({ city }) => {
+    const query = city.trim().toLowerCase();
+    const showrooms = SHOWROOMS.filter((s) => s.city.toLowerCase().includes(query));
+    return { city, count: showrooms.length, showrooms };
+  }
+};
+
+export const bookTestRide = {
+  name: "book_test_ride",
+  description: "Requests a test ride booking. Confirm name, phone number, city, bike model and date with the customer first.",
+  statusMessage: "Checking availability…",
+  parameters: {
+    type: "object",
+    properties: {
+      name: { type: "string", description: "Customer's name" },
+      phone: { type: "string", description: "10-digit Indian mobile number", pattern: "^(\\+91)?[6-9]\\d{9}$" },
+      city: { type: "string" },
+      model: { type: "string", enum: BIKE_MODELS },
+      date: { type: "string", description: "Preferred date, YYYY-MM-DD", pattern: "^\\d{4}-\\d{2}-\\d{2}$" }
+    },
+    required: ["name", "phone", "city", "model", "date"]
+  },
+  handler: ({ name, city, model, date }, { sessionId } = {}) => {
+    if (Number.isNaN(Date.parse(date)) || Date.parse(date) < Date.now() - 24 * 60 * 60 * 1000) {
+      throw new ToolError("The date must be today or later");
+    }
+    if (!SHOWROOMS.some((s) => s.testRides && s.city.toLowerCase() === city.trim().toLowerCase())) {
+      throw new ToolError(`Test rides are not available in ${city} yet`);
+    }
+
+    const bookingId = `TR-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+    logger.info("Test ride requested", { sessionId, bookingId, model, city, date, name });
+    return { bookingId, status: "pending_confirmation", model, city, date };
+  }
+};
+
+export const BUILTIN_TOOLS = [getCurrentTime, findShowroom, bookTestRide];
@@ -0,0 +1,123 @@
+// tools/index.js - Functions the model may call during a live session
+//
+// A tool is { name, description, parameters, statusMessage, timeoutMs,
+// handler }. `parameters` is a JSON schema for the call's arguments, which
+// are validated before the handler runs; `statusMessage` is what the client
+// shows while the tool is working ("Checking availability…").
+import { logger } from "../logger.js";
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean"
+};
+
+export class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ToolError";
+  }
+}
+
+// Covers the subset of JSON schema our tools use: a flat object with typed,
+// optionally enumerated or patterned properties.
+const validateArgs = (schema, args) => {
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    throw new ToolError("Arguments must be an object");
+  }
+  for (const field of schema.required ?? []) {
+    if (args[field] == null) throw new ToolError(`Missing required argument "${field}"`);
+  }
+  for (const [field, value] of Object.entries(args)) {
+    const spec = schema.properties?.[field];
+    if (!spec) throw new ToolError(`Unknown argument "${field}"`);
+    if (spec.type && !TYPE_CHECKS[spec.type]?.(value)) {
+      throw new ToolError(`Argument "${field}" must be of type ${spec.type}`);
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      throw new ToolError(`Argument "${field}" must be one of: ${spec.enum.join(", ")}`);
+    }
+    if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+      throw new ToolError(`Argument "${field}" has an invalid format`);
+    }
+  }
+};
+
+const withTimeout = (promise, ms, name) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ToolError(`Tool "${name}" timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+export const createToolRegistry = ({ timeoutMs = 8000 } = {}) => {
+  const tools = new Map();
+
+  return {
+    register(tool) {
+      if (!tool?.name || typeof tool.handler !== "function") {
+        throw new Error("A tool needs a name and a handler");
+      }
+      if (tools.has(tool.name)) {
+        throw new Error(`Tool "${tool.name}" is already registered`);
+      }
+      tools.set(tool.name, {
+        parameters: { type: "object", properties: {} },
+        ...tool
+      });
+    },
+
+    get(name) {
+      return tools.get(name) ?? null;
+    },
+
+    get size() {
+      return tools.size;
+    },
+
+    // Provider-neutral declarations for the session config
+    declarations() {
+      return [...tools.values()].map(({ name, description, parameters }) => ({
+        name,
+        description,
+        parameters
+      }));
+    },
+
+    // Never throws: failures become { error } results the model can read
+    async execute({ id, name, args = {} }, context = {}) {
+      const tool = tools.get(name);
+      const startedAt = Date.now();
+      const result = (ok, response) => ({
+        id,
+        name,
+        ok,
+        durationMs: Date.now() - startedAt,
+        response
+      });
+
+      if (!tool) {
+        return result(false, { error: `Unknown tool "${name}"` });
+      }
+
+      try {
+        validateArgs(tool.parameters, args);
+        const output = await withTimeout(
+          Promise.resolve(tool.handler(args, context)),
+          tool.timeoutMs ?? timeoutMs,
+          name
+        );
+        return result(true, { output });
+      } catch (e) {
+        if (!(e instanceof ToolError)) {
+          logger.error("Tool failed", { sessionId: context.sessionId, tool: name, err: e });
+        }
+        return result(false, {
+          error: e instanceof ToolError ? e.message : "The tool failed unexpectedly"
+        });
+      }
+    }
+  };
+};
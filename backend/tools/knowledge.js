@@ -0,0 +1,29 @@
+// tools/knowledge.js - Lets the model look facts up in the knowledge base
+
+export const createKnowledgeTool = (knowledge) => ({
+  name: "search_knowledge",
+  description:
+    "Searches the Revolt Motors knowledge base (bike models, prices, range, charging, " +
+    "service and booking). Use it before answering any product question and answer " +
+    "only from the passages returned.",
+  statusMessage: "Looking that up…",
+  parameters: {
+    type: "object",
+    properties: {
+      query: { type: "string", description: "What to look up, in English keywords" }
+    },
+    required: ["query"]
+  },
+  handler: ({ query }, context) => {
+    const passages = knowledge.search(query, { limit: 3 });
+    context.addSources?.(passages.map(({ docId, passageId, title }) => ({ docId, passageId, title })));
+
+    if (!passages.length) {
+      return { found: false, note: "Nothing in the knowledge base matches; say you don't know." };
+    }
+    return {
+      found: true,
+      passages: passages.map(({ passageId, title, text }) => ({ id: passageId, title, text }))
+    };
+  }
+});
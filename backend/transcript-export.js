@@ -0,0 +1,120 @@
+// transcript-export.js - Renders a stored session record for download
+//
+// Cue times are offsets from the start of the session, i.e. the same
+// timeline as the conversation audio.
+
+const MIN_CUE_MS = 1500;
+
+const speakerLabel = (turn) => (turn.speaker === "user" ? "User" : "Rev");
+
+const pad = (value, size = 2) => String(value).padStart(size, "0");
+
+const formatTimestamp = (ms, fractionSeparator) => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3_600_000);
+  const minutes = Math.floor((total % 3_600_000) / 60_000);
+  const seconds = Math.floor((total % 60_000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${fractionSeparator}${pad(total % 1000, 3)}`;
+};
+
+const formatDuration = (ms = 0) => {
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const cues = (record) =>
+  record.turns.map((turn) => ({
+    start: turn.startMs,
+    end: Math.max(turn.endMs, turn.startMs + MIN_CUE_MS),
+    turn
+  }));
+
+export const toMarkdown = (record) => {
+  const lines = [
+    `# Conversation ${record.id}`,
+    "",
+    `- **Started:** ${record.startedAt}`,
+    `- **Ended:** ${record.endedAt ?? "in progress"}`,
+    `- **Duration:** ${formatDuration(record.durationMs)}`,
+    `- **Interruptions:** ${record.interruptions.length}`,
+    ""
+  ];
+
+  if (record.analysis?.summary) {
+    lines.push("## Summary", "", record.analysis.summary, "");
+    for (const [field, value] of Object.entries(record.analysis.lead ?? {})) {
+      lines.push(`- **${field}:** ${value ?? "–"}`);
+    }
+    lines.push("", "## Transcript", "");
+  }
+
+  for (const turn of record.turns) {
+    const via = turn.source === "text" ? " ⌨️" : "";
+    const cutOff = turn.interrupted ? " _(interrupted)_" : "";
+    lines.push(
+      `**[${formatTimestamp(turn.startMs, ".").slice(0, 8)}] ${speakerLabel(turn)}${via}:** ${turn.text}${cutOff}`
+    );
+    if (turn.sources?.length) {
+      lines.push(`> Sources: ${turn.sources.map((s) => `${s.title} (\`${s.passageId}\`)`).join(", ")}`);
+    }
+    lines.push("");
+  }
+
+  if (record.toolCalls?.length) {
+    lines.push("## Tool Calls", "");
+    for (const call of record.toolCalls) {
+      lines.push(
+        `- [${formatTimestamp(call.startMs, ".").slice(0, 8)}] \`${call.name}\` ${call.status} ` +
+          `(${call.durationMs} ms) – args: \`${JSON.stringify(call.args)}\``
+      );
+    }
+    lines.push("");
+  }
+
+  if (record.errors.length) {
+    lines.push("## Errors", "");
+    for (const error of record.errors) {
+      lines.push(`- [${formatTimestamp(error.atMs, ".").slice(0, 8)}] \`${error.code}\` ${error.message}`);
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+};
+
+export const toSRT = (record) =>
+  cues(record)
+    .map(({ start, end, turn }, i) =>
+      [
+        i + 1,
+        `${formatTimestamp(start, ",")} --> ${formatTimestamp(end, ",")}`,
+        `${speakerLabel(turn)}: ${turn.text}`,
+        ""
+      ].join("\n")
+    )
+    .join("\n");
+
+export const toWebVTT = (record) =>
+  ["WEBVTT", ""]
+    .concat(
+      cues(record).map(({ start, end, turn }) =>
+        [
+          `${formatTimestamp(start, ".")} --> ${formatTimestamp(end, ".")}`,
+          `<v ${speakerLabel(turn)}>${turn.text}`,
+          ""
+        ].join("\n")
+      )
+    )
+    .join("\n");
+
+// format -> { contentType, extension, render }
+export const EXPORT_FORMATS = {
+  json: {
+    contentType: "application/json",
+    extension: "json",
+    render: (record) => JSON.stringify(record, null, 2)
+  },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md", render: toMarkdown },
+  srt: { contentType: "application/x-subrip; charset=utf-8", extension: "srt", render: toSRT },
+  vtt: { contentType: "text/vtt; charset=utf-8", extension: "vtt", render: toWebVTT }
+};
@@ -0,0 +1,174 @@
+// usage.js - What conversations spend of the AI quota, per session and per day
+//
+// Providers report tokens as they go (the Live API's usageMetadata, one
+// report per model response) and the post-call analyzer reports its one
+// call; audio seconds are counted from the PCM sent each way. Sessions add
+// to the ledger as they spend, so today's total is current while
+// conversations are still running. Days are UTC; their totals are saved to
+// a file every few seconds and read back at startup.
+import fs from "fs/promises";
+import path from "path";
+import { ErrorCode, ProtocolError } from "../shared/protocol.js";
+import { logger } from "./logger.js";
+
+const KEPT_DAYS = 31;
+const SAVE_DELAY_MS = 5000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export const emptyUsage = () => ({
+  inputTokens: 0,
+  outputTokens: 0,
+  totalTokens: 0,
+  analysisTokens: 0, // the part of totalTokens spent on the post-call summary
+  inputAudioSeconds: 0,
+  outputAudioSeconds: 0
+});
+
+// Adds `delta` (any subset of the usage fields) to `usage` in place; audio
+// is kept to the millisecond so per-frame additions do not drift
+export const addUsage = (usage, delta) => {
+  for (const [field, value] of Object.entries(delta)) {
+    if (!(field in usage) || !value) continue;
+    usage[field] = field.endsWith("AudioSeconds")
+      ? Math.round((usage[field] + value) * 1000) / 1000
+      : usage[field] + value;
+  }
+  return usage;
+};
+
+// Token counts from a usageMetadata report, the Live API's or
+// generateContent's (which calls the output candidatesTokenCount). The total
+// also covers what the two directions leave out, e.g. tool-use prompts and
+// thinking.
+export const tokensFromMetadata = ({
+  promptTokenCount = 0,
+  responseTokenCount,
+  candidatesTokenCount,
+  totalTokenCount
+}) => {
+  const outputTokens = responseTokenCount ?? candidatesTokenCount ?? 0;
+  return {
+    inputTokens: promptTokenCount,
+    outputTokens,
+    totalTokens: totalTokenCount ?? promptTokenCount + outputTokens
+  };
+};
+
+// A daily budget of 0 means no budget; without a `file` the totals only
+// live as long as the process
+export const createUsageLedger = ({ dailyTokenBudget = 0, file = null } = {}) => {
+  const days = new Map(); // day -> { sessions, ...usage }
+  let saveTimer = null;
+  let saving = Promise.resolve();
+
+  // Write-then-rename, one write at a time
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!file) return saving;
+    const text = JSON.stringify({ days: Object.fromEntries(days) }, null, 2);
+    saving = saving
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(`${file}.tmp`, text);
+        await fs.rename(`${file}.tmp`, file);
+      })
+      .catch((e) => logger.error("Could not save usage totals", e));
+    return saving;
+  };
+
+  // Totals change with every audio frame, so writes are batched
+  const changed = () => {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    saveTimer.unref();
+  };
+
+  const totalsFor = (day) => {
+    let totals = days.get(day);
+    if (!totals) {
+      totals = { sessions: 0, ...emptyUsage() };
+      days.set(day, totals);
+      // Forget days nobody will ask about
+      [...days.keys()].sort().slice(0, -KEPT_DAYS).forEach((old) => days.delete(old));
+    }
+    return totals;
+  };
+
+  const remainingTokens = () =>
+    dailyTokenBudget ? dailyTokenBudget - totalsFor(today()).totalTokens : Infinity;
+
+  return {
+    dailyTokenBudget,
+    remainingTokens,
+
+    // Throws a ProtocolError once today's budget is spent
+    admit() {
+      if (remainingTokens() <= 0) {
+        throw new ProtocolError(
+          ErrorCode.BUDGET_EXHAUSTED,
+          "Rev has reached today's usage limit. Please come back tomorrow."
+        );
+      }
+    },
+
+    sessionStarted() {
+      totalsFor(today()).sessions++;
+      changed();
+    },
+
+    add(delta) {
+      addUsage(totalsFor(today()), delta);
+      changed();
+    },
+
+    // Reads the totals an earlier run saved; false when there are none
+    async load() {
+      if (!file) return false;
+      let saved;
+      try {
+        saved = JSON.parse(await fs.readFile(file, "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return false;
+        throw e;
+      }
+      for (const [day, totals] of Object.entries(saved.days ?? {}).sort(([a], [b]) => a.localeCompare(b))) {
+        Object.assign(totalsFor(day), totals);
+      }
+      return true;
+    },
+
+    // Counts finished sessions from history, each on the day it ended, for
+    // when there are no saved totals
+    seed(records) {
+      for (const record of records) {
+        if (!record.usage || !record.endedAt) continue;
+        const totals = totalsFor(record.endedAt.slice(0, 10));
+        totals.sessions++;
+        addUsage(totals, record.usage);
+      }
+      changed();
+    },
+
+    // Settles once the totals so far are on disk
+    flush: save,
+
+    // Today against the budget, then every kept day, newest first
+    summary() {
+      const day = today();
+      const totals = totalsFor(day);
+      return {
+        today: {
+          day,
+          ...totals,
+          budget: dailyTokenBudget || null,
+          remainingTokens: dailyTokenBudget ? Math.max(0, remainingTokens()) : null
+        },
+        days: [...days.entries()]
+          .sort(([a], [b]) => b.localeCompare(a))
+          .map(([d, t]) => ({ day: d, ...t }))
+      };
+    }
+  };
+};
@@ -0,0 +1,77 @@
+// wav.js - Reading and writing PCM WAV files
+import { decodeSample } from "./mulaw.js";
+
+export const WAV_HEADER_BYTES = 44;
+
+export const wavHeader = ({ sampleRate, channels, dataBytes }) => {
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16);           // fmt chunk size
+  header.writeUInt16LE(1, 20);            // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32); // block align
+  header.writeUInt16LE(16, 34);           // bits per sample
+  header.write("data", 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+};
+
+// Decodes 8/16/24/32-bit integer, 32-bit float or μ-law audio to mono
+// Float32 samples in [-1, 1], averaging the channels. Chunks other than fmt and
+// data (LIST, fact, …) are skipped.
+export const decodeWav = (buffer) => {
+  if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Not a WAV file");
+  }
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = buffer.subarray(offset + 8, Math.min(offset + 8 + size, buffer.length));
+    if (id === "fmt ") {
+      const tag = body.readUInt16LE(0);
+      format = {
+        // WAVE_FORMAT_EXTENSIBLE keeps the real tag in its sub-format GUID
+        tag: tag === 0xfffe ? body.readUInt16LE(24) : tag,
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14)
+      };
+    } else if (id === "data") {
+      data = body;
+    }
+    offset += 8 + size + (size % 2); // chunks are word-aligned
+  }
+  if (!format || !data) throw new Error("WAV file has no fmt or data chunk");
+
+  const { tag, channels, sampleRate, bitsPerSample } = format;
+  const bytes = bitsPerSample / 8;
+  const readers = {
+    "1:8": (at) => (data.readUInt8(at) - 128) / 128,
+    "1:16": (at) => data.readInt16LE(at) / 32768,
+    "1:24": (at) => data.readIntLE(at, 3) / 8388608,
+    "1:32": (at) => data.readInt32LE(at) / 2147483648,
+    "3:32": (at) => data.readFloatLE(at),
+    "7:8": (at) => decodeSample(data[at]) / 32768
+  };
+  const read = readers[`${tag}:${bitsPerSample}`];
+  if (!read) throw new Error(`Unsupported WAV encoding (format ${tag}, ${bitsPerSample}-bit)`);
+
+  const frames = Math.floor(data.length / (bytes * channels));
+  const samples = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) {
+      sum += read((i * channels + c) * bytes);
+    }
+    samples[i] = sum / channels;
+  }
+  return { sampleRate, samples };
+};
@@ -0,0 +1,353 @@
+// webhooks.js - Signed HTTP callbacks for session events (CRM, analytics)
+//
+// Subscriptions are read from a YAML/JSON file (see webhooks.example.yaml).
+// Every event is POSTed to each subscription that wants it as
+//
+//   { "id": "evt_…", "type": "turn.completed", "createdAt": "…", "data": { … } }
+//
+// with `X-Revolt-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`
+// keyed with the subscription's secret. Failed deliveries are retried with
+// exponential backoff; every attempt is appended to a JSON-lines log.
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { logger } from "./logger.js";
+
+export const WEBHOOK_EVENTS = [
+  "session.started",
+  "turn.completed",
+  "tool.called",
+  "session.ended",
+  "error"
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+const USER_AGENT = "revolt-voicebot-webhooks/1";
+
+// --- Signatures ---
+
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// For receivers: checks an X-Revolt-Signature header against the raw body,
+// rejecting stale timestamps so a captured request cannot be replayed later
+export const verifySignature = (secret, header, body, { now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(
+    String(header ?? "").split(",").map((part) => part.trim().split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || typeof parts.v1 !== "string") return false;
+  if (Math.abs(now - timestamp * 1000) > SIGNATURE_TOLERANCE_MS) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// --- Subscriptions ---
+
+const validateSubscription = (raw, index) => {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("expected an object");
+  }
+  let url;
+  try {
+    url = new URL(raw.url);
+  } catch {
+    throw new Error('"url" must be an absolute URL');
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new Error('"url" must be http(s)');
+  }
+
+  // The secret may live in the environment instead of the file
+  const secret = raw.secretEnv ? process.env[raw.secretEnv] : raw.secret;
+  if (typeof secret !== "string" || !secret) {
+    throw new Error(raw.secretEnv ? `environment variable ${raw.secretEnv} is not set` : '"secret" is required');
+  }
+
+  const events = raw.events ?? ["*"];
+  if (!Array.isArray(events) || !events.length) {
+    throw new Error('"events" must be a non-empty list');
+  }
+  for (const event of events) {
+    if (event !== "*" && !WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(`unknown event "${event}" (expected one of: ${WEBHOOK_EVENTS.join(", ")})`);
+    }
+  }
+
+  return {
+    id: raw.id != null ? String(raw.id) : String(index + 1),
+    url: url.href,
+    secret,
+    events: events.includes("*") ? [...WEBHOOK_EVENTS] : [...new Set(events)]
+  };
+};
+
+// A missing file means no webhooks; invalid entries are reported and skipped
+export const loadSubscriptions = (file) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+
+  let raw;
+  try {
+    raw = path.extname(file).toLowerCase() === ".json" ? JSON.parse(text) : YAML.parse(text);
+  } catch (e) {
+    logger.error("Could not parse webhook subscriptions", { file, reason: e.message });
+    return [];
+  }
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) {
+    logger.error("Webhook subscriptions must be a list", { file });
+    return [];
+  }
+
+  const subscriptions = [];
+  raw.forEach((entry, index) => {
+    try {
+      const subscription = validateSubscription(entry, index);
+      if (subscriptions.some((s) => s.id === subscription.id)) {
+        throw new Error(`duplicate id "${subscription.id}"`);
+      }
+      subscriptions.push(subscription);
+    } catch (e) {
+      logger.error("Skipping invalid webhook subscription", { file, index, reason: e.message });
+    }
+  });
+  return subscriptions;
+};
+
+// --- Delivery Log ---
+
+// One JSON line per attempt; kept for `retentionDays`
+export const createDeliveryLog = ({ file, retentionDays = 0 }) => {
+  // Appends are chained so lines never interleave
+  let writing = Promise.resolve();
+
+  const readEntries = async () => {
+    let text;
+    try {
+      text = await fsp.readFile(file, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+    const entries = [];
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // a line cut short by a crash
+      }
+    }
+    return entries;
+  };
+
+  return {
+    append(entry) {
+      writing = writing
+        .then(async () => {
+          await fsp.mkdir(path.dirname(file), { recursive: true });
+          await fsp.appendFile(file, JSON.stringify(entry) + "\n");
+        })
+        .catch((e) => logger.error("Could not write webhook delivery log", e));
+      return writing;
+    },
+
+    // Newest first; filters match entry fields exactly
+    async recent({ limit = 100, event, subscription, outcome, deliveryId } = {}) {
+      await writing;
+      const filters = { event, subscription, outcome, deliveryId };
+      const matches = (await readEntries()).filter((entry) =>
+        Object.entries(filters).every(([key, value]) => value === undefined || entry[key] === value)
+      );
+      return matches.reverse().slice(0, limit);
+    },
+
+    // Settles once every entry appended so far is on disk
+    flush() {
+      return writing;
+    },
+
+    async purgeExpired(now = Date.now()) {
+      if (!retentionDays) return 0;
+      const cutoff = now - retentionDays * DAY_MS;
+      let purged = 0;
+
+      // Part of the append chain so no entry lands between read and rewrite
+      const purging = writing.then(async () => {
+        const entries = await readEntries();
+        const kept = entries.filter((entry) => Date.parse(entry.time) >= cutoff);
+        purged = entries.length - kept.length;
+        if (!purged) return;
+        const tmp = `${file}.tmp`;
+        await fsp.writeFile(tmp, kept.map((entry) => JSON.stringify(entry) + "\n").join(""));
+        await fsp.rename(tmp, file);
+      });
+      writing = purging.catch(() => {});
+      await purging;
+      return purged;
+    }
+  };
+};
+
+// --- Dispatcher ---
+
+// Timeouts, network errors, 408, 429 and 5xx are worth another try
+const isRetryable = (status) => status === null || status === 408 || status === 429 || status >= 500;
+
+const retryDelay = (attempt, baseMs, retryAfter) => {
+  const backoff = Math.min(baseMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  const jittered = backoff * (0.8 + Math.random() * 0.4);
+  // Honour a receiver asking us to slow down, within reason
+  const requested = Number(retryAfter) * 1000;
+  return Math.round(Number.isFinite(requested) && requested > 0
+    ? Math.min(Math.max(requested, jittered), MAX_RETRY_DELAY_MS)
+    : jittered);
+};
+
+export const createWebhookDispatcher = ({
+  subscriptions,
+  deliveryLog,
+  maxAttempts = 6,
+  retryBaseMs = 5000,
+  timeoutMs = 10_000,
+  metrics = null
+}) => {
+  const retryTimers = new Map(); // timer -> { subscription, event, attempt }
+  const inFlight = new Set();
+  let closed = false;
+
+  const logAttempt = (subscription, event, attempt, fields) => {
+    const entry = {
+      time: new Date().toISOString(),
+      deliveryId: event.id,
+      event: event.type,
+      subscription: subscription.id,
+      url: subscription.url,
+      attempt,
+      ...fields
+    };
+    metrics?.webhookDeliveries.inc({ event: event.type, outcome: entry.outcome });
+    if (entry.outcome === "failed" || entry.outcome === "abandoned") {
+      logger.warn("Webhook delivery failed", entry);
+    } else {
+      logger.debug("Webhook delivery attempt", entry);
+    }
+    return deliveryLog.append(entry);
+  };
+
+  // The body is signed afresh per attempt so retries carry a current timestamp
+  const post = async (subscription, event, body) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": USER_AGENT,
+        "X-Revolt-Event": event.type,
+        "X-Revolt-Delivery": event.id,
+        "X-Revolt-Signature": `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    // Drain so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    return response;
+  };
+
+  const attemptDelivery = async (subscription, event, body, attempt) => {
+    const startedAt = Date.now();
+    let status = null;
+    let error;
+    let retryAfter;
+    try {
+      const response = await post(subscription, event, body);
+      status = response.status;
+      retryAfter = response.headers.get("retry-after");
+    } catch (e) {
+      error = e.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : e.cause?.message ?? e.message;
+    }
+    const durationMs = Date.now() - startedAt;
+
+    if (status !== null && status >= 200 && status < 300) {
+      return logAttempt(subscription, event, attempt, { outcome: "delivered", status, durationMs });
+    }
+    error ??= `HTTP ${status}`;
+    if (!isRetryable(status) || attempt >= maxAttempts) {
+      return logAttempt(subscription, event, attempt, { outcome: "failed", status, durationMs, error });
+    }
+    if (closed) {
+      return logAttempt(subscription, event, attempt, { outcome: "abandoned", status, durationMs, error });
+    }
+
+    const delayMs = retryDelay(attempt, retryBaseMs, retryAfter);
+    const timer = setTimeout(() => {
+      retryTimers.delete(timer);
+      deliver(subscription, event, body, attempt + 1);
+    }, delayMs);
+    retryTimers.set(timer, { subscription, event, attempt: attempt + 1 });
+    return logAttempt(subscription, event, attempt, {
+      outcome: "retrying",
+      status,
+      durationMs,
+      error,
+      nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+    });
+  };
+
+  const deliver = (subscription, event, body, attempt = 1) => {
+    const delivery = attemptDelivery(subscription, event, body, attempt)
+      .catch((e) => logger.error("Webhook delivery error", e))
+      .finally(() => inFlight.delete(delivery));
+    inFlight.add(delivery);
+  };
+
+  return {
+    // Subscriptions without their secrets, e.g. for the admin API
+    subscriptions() {
+      return subscriptions.map(({ id, url, events }) => ({ id, url, events }));
+    },
+
+    // Never throws and never waits: deliveries happen in the background
+    emit(type, data) {
+      if (closed) return;
+      const targets = subscriptions.filter((s) => s.events.includes(type));
+      if (!targets.length) return;
+
+      const event = {
+        id: `evt_${crypto.randomUUID().replaceAll("-", "")}`,
+        type,
+        createdAt: new Date().toISOString(),
+        data
+      };
+      const body = JSON.stringify(event);
+      targets.forEach((subscription) => deliver(subscription, event, body));
+    },
+
+    // Lets attempts already under way finish; scheduled retries are dropped
+    // and logged as abandoned
+    async close() {
+      closed = true;
+      for (const [timer, { subscription, event, attempt }] of retryTimers) {
+        clearTimeout(timer);
+        logAttempt(subscription, event, attempt, { outcome: "abandoned", status: null, error: "Server shut down" });
+      }
+      retryTimers.clear();
+      await Promise.allSettled([...inFlight]);
+      await deliveryLog.flush();
+    }
+  };
+};
@@ -0,0 +1,12 @@
+// ws-utils.js
+import { logger } from "./logger.js";
+
+export const safeSend = (ws, data, isBinary = false, log = logger) => {
+  if (ws && ws.readyState === ws.OPEN) {
+    try {
+      ws.send(isBinary ? data : JSON.stringify(data));
+    } catch (e) {
+      log.warn("Send error", e);
+    }
+  }
+};
@@ -0,0 +1,225 @@
+// admin.js - Operator console: live sessions, broadcast, maintenance mode
+//
+// Talks to the /admin JSON API with the ADMIN_TOKEN, which is kept in
+// sessionStorage for this tab only.
+import { SupervisorPanel } from "./supervisor.js";
+
+const REFRESH_INTERVAL_MS = 2000;
+
+const formatDuration = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const formatBytes = (bytes) =>
+  bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(0)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const cell = (text, className) => {
+  const td = document.createElement("td");
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+};
+
+class AdminConsole {
+  constructor() {
+    this.token = sessionStorage.getItem("adminToken") ?? "";
+    this.refreshTimer = null;
+
+    this.tokenForm = document.getElementById("token-form");
+    this.tokenInput = document.getElementById("token-input");
+    this.agentName = document.getElementById("agent-name");
+    this.status = document.getElementById("admin-status");
+    this.main = document.getElementById("admin-main");
+    this.sessionsBody = document.getElementById("sessions-body");
+    this.sessionCount = document.getElementById("session-count");
+    this.maintenanceForm = document.getElementById("maintenance-form");
+    this.maintenanceEnabled = document.getElementById("maintenance-enabled");
+    this.maintenanceMessage = document.getElementById("maintenance-message");
+    this.maintenanceSince = document.getElementById("maintenance-since");
+    this.broadcastForm = document.getElementById("broadcast-form");
+    this.broadcastMessage = document.getElementById("broadcast-message");
+
+    this.supervisor = new SupervisorPanel({
+      requestTicket: (id) => this.api(`/sessions/${id}/supervise`, {
+        method: "POST",
+        body: { agent: this.agentName.value.trim() }
+      }),
+      onStatus: (message, options) => this.setStatus(message, options)
+    });
+
+    this.bindEvents();
+    if (this.token) this.start();
+  }
+
+  async api(path, { method = "GET", body } = {}) {
+    const response = await fetch(`/admin${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        ...(body ? { "Content-Type": "application/json" } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw Object.assign(new Error(data.error ?? `Request failed (${response.status})`), {
+        status: response.status
+      });
+    }
+    return data;
+  }
+
+  setStatus(message, { error = false } = {}) {
+    this.status.textContent = message;
+    this.status.classList.toggle("error", error);
+  }
+
+  async start() {
+    clearTimeout(this.refreshTimer);
+    try {
+      const { maintenance } = await this.refresh();
+      this.showMaintenance(maintenance);
+      this.main.classList.remove("hidden");
+      this.setStatus("");
+    } catch (error) {
+      this.main.classList.add("hidden");
+      this.setStatus(error.status === 401 ? "Wrong admin token." : error.message, { error: true });
+    }
+  }
+
+  async refresh() {
+    clearTimeout(this.refreshTimer);
+    try {
+      const data = await this.api("/sessions");
+      this.renderSessions(data.sessions);
+      return data;
+    } finally {
+      this.refreshTimer = setTimeout(() => this.refresh().catch((e) => this.onRefreshError(e)), REFRESH_INTERVAL_MS);
+    }
+  }
+
+  onRefreshError(error) {
+    this.setStatus(`Could not refresh: ${error.message}`, { error: true });
+    if (error.status === 401) {
+      clearTimeout(this.refreshTimer);
+      this.main.classList.add("hidden");
+    }
+  }
+
+  renderSessions(sessions) {
+    this.sessionCount.textContent = `(${sessions.length})`;
+    const rows = sessions.map((s) => {
+      const tr = document.createElement("tr");
+      if (!s.id) {
+        tr.append(
+          cell("handshaking…", "muted"),
+          cell(s.remoteAddress),
+          cell(""),
+          cell(new Date(s.connectedAt).toLocaleTimeString()),
+          cell(""),
+          cell(""),
+          cell(""),
+          cell(""),
+          cell("")
+        );
+        return tr;
+      }
+
+      const listen = document.createElement("button");
+      listen.textContent = "Listen";
+      listen.disabled = this.supervisor.sessionId === s.id;
+      listen.addEventListener("click", () => this.supervisor.listen(s.id));
+      const terminate = document.createElement("button");
+      terminate.className = "danger";
+      terminate.textContent = "Terminate";
+      terminate.addEventListener("click", () => this.terminate(s.id));
+      const actions = document.createElement("td");
+      actions.append(listen, " ", terminate);
+
+      tr.append(
+        cell(s.id.slice(0, 8), "session-id"),
+        cell(s.remoteAddress),
+        cell(s.persona),
+        cell(new Date(s.startedAt).toLocaleTimeString()),
+        cell(formatDuration(s.idleMs)),
+        cell(`${formatBytes(s.bytesIn)} / ${formatBytes(s.bytesOut)}`),
+        cell(s.usage.totalTokens.toLocaleString()),
+        cell(
+          s.controller === "agent" ? "agent" : s.speaking ?? "–",
+          s.controller === "agent" ? "speaking-agent" : s.speaking ? `speaking-${s.speaking}` : "muted"
+        ),
+        actions
+      );
+      tr.title = `${s.id}${s.recording ? " (recording)" : ""}\n${s.userAgent ?? ""}`;
+      return tr;
+    });
+    this.sessionsBody.replaceChildren(...rows);
+  }
+
+  showMaintenance(maintenance) {
+    this.maintenanceEnabled.checked = maintenance.enabled;
+    this.maintenanceMessage.value = maintenance.message;
+    this.maintenanceSince.textContent = maintenance.enabled
+      ? `New sessions turned away since ${new Date(maintenance.since).toLocaleString()}`
+      : "";
+  }
+
+  async terminate(id) {
+    if (!confirm(`End session ${id.slice(0, 8)}? The caller is told it was ended by support.`)) return;
+    try {
+      await this.api(`/sessions/${id}/terminate`, { method: "POST" });
+      this.setStatus(`Session ${id.slice(0, 8)} terminated.`);
+      await this.refresh();
+    } catch (error) {
+      this.setStatus(error.message, { error: true });
+    }
+  }
+
+  bindEvents() {
+    this.agentName.value = localStorage.getItem("agentName") ?? "";
+    this.agentName.addEventListener("change", () => {
+      localStorage.setItem("agentName", this.agentName.value.trim());
+    });
+
+    this.tokenForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.token = this.tokenInput.value.trim();
+      this.tokenInput.value = "";
+      sessionStorage.setItem("adminToken", this.token);
+      this.start();
+    });
+
+    this.broadcastForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      try {
+        const { delivered } = await this.api("/broadcast", {
+          method: "POST",
+          body: { message: this.broadcastMessage.value }
+        });
+        this.broadcastMessage.value = "";
+        this.setStatus(`Notice sent to ${delivered} caller(s).`);
+      } catch (error) {
+        this.setStatus(error.message, { error: true });
+      }
+    });
+
+    this.maintenanceForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      try {
+        const maintenance = await this.api("/maintenance", {
+          method: "PUT",
+          body: { enabled: this.maintenanceEnabled.checked, message: this.maintenanceMessage.value }
+        });
+        this.showMaintenance(maintenance);
+        this.setStatus(maintenance.enabled ? "Maintenance mode is on." : "Maintenance mode is off.");
+      } catch (error) {
+        this.setStatus(error.message, { error: true });
+      }
+    });
+  }
+}
+
+new AdminConsole();
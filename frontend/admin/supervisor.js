@@ -0,0 +1,247 @@
+// supervisor.js - Listening in on a live session and taking it over
+//
+// Plays the caller and the bot through two playback worklets (the caller's
+// audio arrives at its own rate), shows the live transcript, and while the
+// agent has taken over streams their microphone to the caller at the bot's
+// output rate.
+import {
+  AUDIO_FORMATS,
+  FrameType,
+  ClientAudioFlag,
+  MessageType,
+  ErrorCode,
+  createHello,
+  encodeClientAudio,
+  decodeServerFrame,
+  decodeServerMessage
+} from "/shared/protocol.js";
+
+const OUTPUT_SAMPLE_RATE = AUDIO_FORMATS.output.sampleRate;
+const AUDIO_FRAME_MS = 40;
+const PLAYBACK_TARGET_LATENCY_MS = 120;
+
+const createPlayer = async (sampleRate) => {
+  const context = new AudioContext({ sampleRate });
+  await context.audioWorklet.addModule("/playback-processor.js");
+  const node = new AudioWorkletNode(context, "playback-processor", {
+    outputChannelCount: [1],
+    processorOptions: { targetLatencyMs: PLAYBACK_TARGET_LATENCY_MS }
+  });
+  node.connect(context.destination);
+  await context.resume();
+  return {
+    play: (pcm) => node.port.postMessage({ type: "audio", pcm }, [pcm]),
+    flush: () => node.port.postMessage({ type: "flush" }),
+    close: () => context.close()
+  };
+};
+
+export class SupervisorPanel {
+  // `requestTicket(sessionId)` resolves to a supervisor ticket from the admin API
+  constructor({ requestTicket, onStatus }) {
+    this.requestTicket = requestTicket;
+    this.onStatus = onStatus;
+    this.ws = null;
+    this.sessionId = null;
+    this.players = { bot: null, caller: null };
+    this.mic = null;
+    this.controller = "bot";
+    this.hasControl = false;
+    this.transcriptItems = new Map(); // turn -> <li>
+
+    this.panel = document.getElementById("supervisor-panel");
+    this.title = document.getElementById("supervisor-title");
+    this.controllerLabel = document.getElementById("supervisor-controller");
+    this.transcript = document.getElementById("supervisor-transcript");
+    this.takeoverButton = document.getElementById("takeover-button");
+    this.handbackForm = document.getElementById("handback-form");
+    this.handbackSummary = document.getElementById("handback-summary");
+    this.stopButton = document.getElementById("stop-listening-button");
+
+    this.takeoverButton.addEventListener("click", () => this.takeOver());
+    this.handbackForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.handBack();
+    });
+    this.stopButton.addEventListener("click", () => this.stop());
+  }
+
+  async listen(sessionId) {
+    await this.stop();
+    this.sessionId = sessionId;
+    try {
+      const { ticket } = await this.requestTicket(sessionId);
+      this.players.bot = await createPlayer(OUTPUT_SAMPLE_RATE);
+
+      const protocol = location.protocol === "https:" ? "wss" : "ws";
+      const ws = new WebSocket(`${protocol}://${location.host}/supervise?ticket=${encodeURIComponent(ticket)}`);
+      ws.binaryType = "arraybuffer";
+      this.ws = ws;
+
+      ws.onopen = () => {
+        // Agent audio is played to the caller as is, so it is sent at the output rate
+        ws.send(JSON.stringify(createHello({ audio: { input: AUDIO_FORMATS.output } })));
+      };
+      ws.onmessage = (event) => {
+        if (ws !== this.ws) return;
+        if (event.data instanceof ArrayBuffer) {
+          this.handleFrame(event.data);
+        } else {
+          this.handleMessage(decodeServerMessage(event.data));
+        }
+      };
+      ws.onclose = (event) => {
+        if (ws !== this.ws) return;
+        this.onStatus(`Stopped listening (${event.reason || event.code}).`);
+        this.stop();
+      };
+
+      this.transcript.replaceChildren();
+      this.transcriptItems.clear();
+      this.title.textContent = `Listening to ${sessionId.slice(0, 8)}`;
+      this.panel.classList.remove("hidden");
+    } catch (error) {
+      this.onStatus(`Could not listen in: ${error.message}`, { error: true });
+      await this.stop();
+    }
+  }
+
+  async stop() {
+    const ws = this.ws;
+    this.ws = null;
+    if (ws && ws.readyState <= WebSocket.OPEN) ws.close(1000);
+    this.stopMicrophone();
+    Object.values(this.players).forEach((player) => player?.close());
+    this.players = { bot: null, caller: null };
+    this.sessionId = null;
+    this.setController("bot");
+    this.panel.classList.add("hidden");
+  }
+
+  handleFrame(data) {
+    const frame = decodeServerFrame(data);
+    const pcm = data.slice(1);
+    if (frame.type === FrameType.AUDIO) {
+      this.players.bot?.play(pcm);
+    } else if (frame.type === FrameType.CALLER_AUDIO) {
+      this.players.caller?.play(pcm);
+    }
+  }
+
+  async handleMessage(message) {
+    switch (message.type) {
+      case MessageType.WELCOME:
+        this.players.caller = await createPlayer(message.audio.caller.sampleRate);
+        message.turns.forEach((turn) => this.showTranscript({ ...turn, final: true }));
+        this.setController(message.controller);
+        break;
+      case MessageType.TRANSCRIPT:
+        this.showTranscript(message);
+        break;
+      case MessageType.HANDOFF:
+        this.setController(message.controller, message.agent);
+        break;
+      case MessageType.ERROR:
+        this.onStatus(message.message, { error: true });
+        if (message.code === ErrorCode.TAKEOVER_CONFLICT) {
+          this.hasControl = false;
+          this.stopMicrophone();
+        }
+        break;
+    }
+  }
+
+  showTranscript({ turn, speaker, text, final }) {
+    let item = this.transcriptItems.get(turn);
+    if (!item) {
+      item = document.createElement("li");
+      item.className = `transcript-${speaker}`;
+      this.transcriptItems.set(turn, item);
+      this.transcript.append(item);
+    }
+    item.textContent = `${speaker === "user" ? "Caller" : "Bot"}: ${text}`;
+    item.classList.toggle("muted", !final);
+    this.transcript.scrollTop = this.transcript.scrollHeight;
+  }
+
+  setController(controller, agent) {
+    this.controller = controller;
+    if (controller === "agent") {
+      this.players.bot?.flush();
+      this.controllerLabel.textContent = this.hasControl
+        ? "You are talking to the caller. The bot is paused."
+        : `${agent ?? "Another agent"} is talking to the caller.`;
+    } else {
+      this.hasControl = false;
+      this.stopMicrophone();
+      this.controllerLabel.textContent = "The bot is talking to the caller.";
+    }
+    this.takeoverButton.disabled = controller === "agent";
+    this.handbackForm.classList.toggle("hidden", !this.hasControl);
+  }
+
+  async takeOver() {
+    try {
+      await this.startMicrophone();
+    } catch (error) {
+      this.onStatus(`Microphone unavailable: ${error.message}`, { error: true });
+      return;
+    }
+    this.hasControl = true;
+    this.ws?.send(JSON.stringify({ type: MessageType.TAKEOVER }));
+  }
+
+  handBack() {
+    this.ws?.send(JSON.stringify({
+      type: MessageType.HANDBACK,
+      summary: this.handbackSummary.value.trim() || undefined
+    }));
+    this.handbackSummary.value = "";
+    this.stopMicrophone();
+  }
+
+  // The same capture worklet as the caller's page, resampling to 24 kHz
+  async startMicrophone() {
+    if (this.mic) return;
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true, noiseSuppression: true },
+      video: false
+    });
+    const context = new AudioContext();
+    await context.audioWorklet.addModule("/input-processor.js");
+    const node = new AudioWorkletNode(context, "input-processor", {
+      processorOptions: {
+        inputSampleRate: context.sampleRate,
+        outputSampleRate: OUTPUT_SAMPLE_RATE,
+        frameMs: AUDIO_FRAME_MS,
+        mode: "vad"
+      }
+    });
+    const mute = context.createGain();
+    mute.gain.value = 0;
+    context.createMediaStreamSource(stream).connect(node);
+    node.connect(mute);
+    mute.connect(context.destination);
+
+    let seq = 0;
+    const startedAt = performance.now();
+    node.port.onmessage = ({ data }) => {
+      if (data.type !== "audio" || this.ws?.readyState !== WebSocket.OPEN) return;
+      this.ws.send(encodeClientAudio(
+        seq++,
+        performance.now() - startedAt,
+        data.pcm,
+        data.endOfSpeech ? ClientAudioFlag.END_OF_SPEECH : 0
+      ));
+    };
+    await context.resume();
+    this.mic = { stream, context };
+  }
+
+  stopMicrophone() {
+    if (!this.mic) return;
+    this.mic.stream.getTracks().forEach((track) => track.stop());
+    this.mic.context.close();
+    this.mic = null;
+  }
+}
@@ -1,19 +1,141 @@
+// input-processor.js - Microphone capture worklet
+//
+// Resamples the microphone from the capture context's rate to the wire rate
+// (16 kHz mono), batches it into fixed-size frames, converts them to PCM16
+// and decides which frames are worth sending:
+//   "vad"           open mic; an energy / zero-crossing detector forwards
+//                   only speech (plus a little pre-roll) and drops silence
+//   "push-to-talk"  audio flows only while the main thread says the talk
+//                   key or button is held
+//
+// Messages to the main thread:
+//   { type: "audio", pcm: ArrayBuffer, endOfSpeech: boolean }
+//   { type: "speech_start" } / { type: "speech_end" }
+//   { type: "level", rms: number }   microphone level, once per frame
+// Messages from the main thread:
+//   { type: "mode", mode: "vad" | "push-to-talk" }
+//   { type: "talk", active: boolean }
+
+import { createResampler } from "./shared/resampler.js";
+import { analyseFrame, createSpeechDetector } from "./shared/speech-detector.js";
+
+const MIN_FRAME_MS = 20;
+const MAX_FRAME_MS = 100;
+
 class InputProcessor extends AudioWorkletProcessor {
   constructor(options) {
     super();
-    this.inputSampleRate = options.processorOptions.inputSampleRate || 48000;
+    const opts = options.processorOptions || {};
+    this.inputSampleRate = opts.inputSampleRate || sampleRate;
+    this.outputSampleRate = opts.outputSampleRate || 16000;
+    this.mode = opts.mode || "vad";
+
+    // Outgoing frames of frameMs at the output rate
+    this.frameMs = Math.min(MAX_FRAME_MS, Math.max(MIN_FRAME_MS, opts.frameMs || 40));
+    this.frame = new Float32Array(Math.round((this.outputSampleRate * this.frameMs) / 1000));
+    this.frameFill = 0;
+    this.resampler = createResampler(this.inputSampleRate, this.outputSampleRate);
+    this.detector = createSpeechDetector({ frameMs: this.frameMs, ...opts.vad });
+
+    this.isSpeaking = false;
+    this.talkActive = false;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    if (message.type === "mode") {
+      if (this.isSpeaking) this.endSpeech(null);
+      this.detector.reset();
+      this.mode = message.mode;
+      this.talkActive = false;
+    } else if (message.type === "talk") {
+      this.talkActive = Boolean(message.active);
+    }
+  }
+
+  // --- Helpers ---
+
+  toPCM16(samples) {
+    const int16Array = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      int16Array[i] = Math.max(-1, Math.min(1, samples[i])) * 0x7fff;
+    }
+    return int16Array;
+  }
+
+  sendAudio(pcm, endOfSpeech = false) {
+    this.port.postMessage({ type: "audio", pcm: pcm.buffer, endOfSpeech }, [pcm.buffer]);
+  }
+
+  startSpeech() {
+    this.isSpeaking = true;
+    this.port.postMessage({ type: "speech_start" });
+  }
+
+  // `pcm` is the frame that closes the utterance; null when there is none
+  endSpeech(pcm) {
+    this.isSpeaking = false;
+    this.sendAudio(pcm || new Int16Array(0), true);
+    this.port.postMessage({ type: "speech_end" });
+  }
+
+  // --- Modes ---
+
+  processPushToTalk(pcm) {
+    if (this.talkActive && !this.isSpeaking) {
+      this.startSpeech();
+    }
+    if (!this.isSpeaking) return;
+
+    if (this.talkActive) {
+      this.sendAudio(pcm);
+    } else {
+      this.endSpeech(pcm);
+    }
+  }
+
+  // The detector hands back the pre-roll when speech starts, then each frame
+  // until the one that ends the utterance
+  processVAD(samples) {
+    const { rms, started, frames } = this.detector.push(samples, this.toPCM16(samples));
+    this.port.postMessage({ type: "level", rms });
+    if (started) this.startSpeech();
+    frames.forEach(({ payload, endOfSpeech }) => {
+      if (endOfSpeech) {
+        this.endSpeech(payload);
+      } else {
+        this.sendAudio(payload);
+      }
+    });
+  }
+
+  processFrame(samples) {
+    if (this.mode === "push-to-talk") {
+      this.port.postMessage({ type: "level", rms: analyseFrame(samples).rms });
+      this.processPushToTalk(this.toPCM16(samples));
+    } else {
+      this.processVAD(samples);
+    }
   }
 
   process(inputs) {
     const input = inputs[0];
     if (input && input[0]) {
-      // Convert Float32 samples to Int16 PCM
-      const float32Array = input[0];
-      const int16Array = new Int16Array(float32Array.length);
-      for (let i = 0; i < float32Array.length; i++) {
-        int16Array[i] = Math.max(-1, Math.min(1, float32Array[i])) * 0x7fff;
+      const resampled = this.resampler.process(input[0]);
+
+      let offset = 0;
+      while (offset < resampled.length) {
+        const count = Math.min(this.frame.length - this.frameFill, resampled.length - offset);
+        this.frame.set(resampled.subarray(offset, offset + count), this.frameFill);
+        this.frameFill += count;
+        offset += count;
+
+        if (this.frameFill === this.frame.length) {
+          this.processFrame(this.frame);
+          this.frameFill = 0;
+        }
       }
-      this.port.postMessage(int16Array.buffer);
     }
     return true;
   }
@@ -0,0 +1,179 @@
+// playback-processor.js - Bot audio playback worklet
+//
+// Reply audio arrives in bursts over the network; this worklet plays it from
+// a ring buffer instead of scheduling one buffer source per chunk. Playback
+// starts once targetLatencyMs of audio is buffered (or the turn is complete),
+// underruns fade out and rebuffer rather than clicking, and a flush silences
+// the output within one render quantum.
+//
+// Messages from the main thread:
+//   { type: "audio", pcm: ArrayBuffer }   PCM16 at the context's rate
+//   { type: "end" }                       the bot finished its turn
+//   { type: "flush" }                     drop everything (interruption)
+// Messages to the main thread:
+//   { type: "state", active: boolean }    audio is buffered or playing
+//   { type: "level", rms: number }        output level, every LEVEL_INTERVAL_MS
+//   { type: "underrun" }
+
+const LEVEL_INTERVAL_MS = 50;
+const FADE_MS = 5;
+
+class PlaybackProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = options.processorOptions || {};
+    this.targetSamples = Math.round((sampleRate * (opts.targetLatencyMs ?? 120)) / 1000);
+    this.fadeSamples = Math.max(1, Math.round((sampleRate * FADE_MS) / 1000));
+
+    // Ring buffer; grows if the server sends far ahead of playback
+    this.ring = new Float32Array(sampleRate * 10);
+    this.readIndex = 0;
+    this.available = 0;
+
+    this.isPlaying = false;  // false while (re)buffering
+    this.turnEnded = false;  // play out whatever is left, however short
+    this.flushing = false;
+    this.isActive = false;
+    this.gain = 0;           // ramps for fade in/out
+
+    this.levelSum = 0;
+    this.levelCount = 0;
+    this.levelEvery = Math.round((sampleRate * LEVEL_INTERVAL_MS) / 1000);
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case "audio":
+        this.enqueue(new Int16Array(message.pcm));
+        this.turnEnded = false;
+        break;
+      case "end":
+        this.turnEnded = true;
+        if (this.available === 0) this.setActive(false);
+        break;
+      case "flush":
+        this.flushing = true;
+        break;
+    }
+  }
+
+  // --- Ring buffer ---
+
+  enqueue(int16Array) {
+    if (this.available + int16Array.length > this.ring.length) {
+      this.grow(this.available + int16Array.length);
+    }
+    let writeIndex = (this.readIndex + this.available) % this.ring.length;
+    for (let i = 0; i < int16Array.length; i++) {
+      this.ring[writeIndex] = int16Array[i] / 32768;
+      writeIndex = writeIndex + 1 === this.ring.length ? 0 : writeIndex + 1;
+    }
+    this.available += int16Array.length;
+    this.setActive(true);
+  }
+
+  grow(minLength) {
+    const grown = new Float32Array(Math.max(minLength, this.ring.length * 2));
+    for (let i = 0; i < this.available; i++) {
+      grown[i] = this.ring[(this.readIndex + i) % this.ring.length];
+    }
+    this.ring = grown;
+    this.readIndex = 0;
+  }
+
+  read() {
+    const sample = this.ring[this.readIndex];
+    this.readIndex = this.readIndex + 1 === this.ring.length ? 0 : this.readIndex + 1;
+    this.available--;
+    return sample;
+  }
+
+  clear() {
+    this.readIndex = 0;
+    this.available = 0;
+    this.isPlaying = false;
+    this.gain = 0;
+  }
+
+  // --- State reporting ---
+
+  setActive(active) {
+    if (active === this.isActive) return;
+    this.isActive = active;
+    this.port.postMessage({ type: "state", active });
+  }
+
+  meter(output) {
+    for (let i = 0; i < output.length; i++) {
+      this.levelSum += output[i] * output[i];
+    }
+    this.levelCount += output.length;
+    if (this.levelCount >= this.levelEvery) {
+      this.port.postMessage({ type: "level", rms: Math.sqrt(this.levelSum / this.levelCount) });
+      this.levelSum = 0;
+      this.levelCount = 0;
+    }
+  }
+
+  // --- Rendering ---
+
+  process(_, outputs) {
+    const output = outputs[0][0];
+    const step = 1 / this.fadeSamples;
+
+    if (this.flushing) {
+      // Fade what is already playing to silence within this quantum
+      for (let i = 0; i < output.length; i++) {
+        this.gain = Math.max(0, this.gain - step);
+        output[i] = this.available > 0 ? this.read() * this.gain : 0;
+      }
+      this.flushing = false;
+      this.turnEnded = false;
+      this.clear();
+      this.setActive(false);
+      this.meter(output);
+      return true;
+    }
+
+    if (!this.isPlaying && this.available > 0 &&
+        (this.available >= this.targetSamples || this.turnEnded)) {
+      this.isPlaying = true;
+    }
+
+    if (this.isPlaying) {
+      // Start fading out early enough to reach zero as the buffer empties
+      for (let i = 0; i < output.length; i++) {
+        if (this.available === 0) {
+          output[i] = 0;
+          continue;
+        }
+        const target = this.available > this.fadeSamples || this.turnEnded ? 1 : 0;
+        this.gain = target > this.gain
+          ? Math.min(1, this.gain + step)
+          : Math.max(target, this.gain - step);
+        output[i] = this.read() * this.gain;
+      }
+
+      if (this.available === 0) {
+        if (!this.turnEnded) {
+          this.port.postMessage({ type: "underrun" });
+        }
+        this.isPlaying = false;
+        this.gain = 0;
+        if (this.turnEnded) this.setActive(false);
+      }
+    } else {
+      output.fill(0);
+    }
+
+    for (let channel = 1; channel < outputs[0].length; channel++) {
+      outputs[0][channel].set(output);
+    }
+    this.meter(output);
+    return true;
+  }
+}
+
+registerProcessor("playback-processor", PlaybackProcessor);
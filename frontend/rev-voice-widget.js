@@ -0,0 +1,422 @@
+// rev-voice-widget.js - <rev-voice-widget>: Rev as a drop-in element for
+// any site
+//
+//   <script type="module" src="https://rev.example.com/rev-voice-widget.js"></script>
+//   <rev-voice-widget server="wss://rev.example.com" persona="sales"></rev-voice-widget>
+//
+// A launcher button that opens a small conversation panel, all inside a
+// shadow root so the host page's CSS neither leaks in nor out. Attributes:
+//   server    the Rev server, ws(s) or http(s) (default: where this script came from)
+//   persona   persona to talk to; without it the caller picks from a list
+//   theme     "auto" (default: follows the system), "light" or "dark"
+//   position  "bottom-right" (default), "bottom-left" or "inline"
+//   label     the panel title (default "Talk to Rev")
+//   open      present while the panel is open
+// Colours follow the --rev-* custom properties in STYLES, which the host
+// page may set on the element.
+//
+// Events are bubbling, composed CustomEvents:
+//   rev-session-start  { sessionId, persona }
+//   rev-session-end    { sessionId }
+//   rev-transcript     { speaker, text, turn, interrupted } or { speaker, text, typed }
+//   rev-summary        { sessionId, summary, lead }
+//   rev-limit          { sessionId, limit, message }
+//   rev-error          { code, message }
+// Methods: open(), close(), start() and end().
+import { VoiceSession } from "./voice-session.js";
+
+const ICONS = {
+  start:
+    '<svg viewBox="0 0 24 24" aria-hidden="true"><path fill="currentColor" d="M12 14a3 3 0 0 0 3-3V5a3 3 0 0 0-6 0v6a3 3 0 0 0 3 3Zm5-3a5 5 0 0 1-10 0H5a7 7 0 0 0 6 6.92V21h2v-3.08A7 7 0 0 0 19 11h-2Z"/></svg>',
+  stop: '<svg viewBox="0 0 24 24" aria-hidden="true"><rect fill="currentColor" x="6" y="6" width="12" height="12" rx="2"/></svg>',
+  loading:
+    '<svg viewBox="0 0 24 24" aria-hidden="true" class="spin"><circle cx="12" cy="12" r="9" fill="none" stroke="currentColor" stroke-width="3" stroke-dasharray="42 15"/></svg>',
+  send: '<svg viewBox="0 0 24 24" aria-hidden="true"><path fill="currentColor" d="M3 20.5 21 12 3 3.5v6.6L15 12 3 13.9z"/></svg>',
+  image:
+    '<svg viewBox="0 0 24 24" aria-hidden="true"><path fill="currentColor" d="M21 19V5a2 2 0 0 0-2-2H5a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2ZM8.5 13.5l2.5 3 3.5-4.5 4.5 6H5l3.5-4.5Z"/></svg>',
+};
+
+const STYLES = `
+  :host {
+    --rev-accent: #007bff;
+    --rev-stop: #dc3545;
+    --rev-bg: #ffffff;
+    --rev-text: #212529;
+    --rev-muted: #ced4da;
+    --rev-bubble: #e9ecef;
+    --rev-dark-accent: #3793ff;
+    --rev-dark-bg: #1e1e1e;
+    --rev-dark-text: #e9ecef;
+    --rev-dark-muted: #495057;
+    --rev-dark-bubble: #343a40;
+    --rev-z-index: 2147483000;
+
+    position: fixed;
+    right: 20px;
+    bottom: 20px;
+    z-index: var(--rev-z-index);
+    font: 15px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+  }
+  :host([position="bottom-left"]) { right: auto; left: 20px; }
+  :host([position="inline"]) { position: static; display: inline-block; }
+
+  * { box-sizing: border-box; }
+  .hidden { display: none !important; }
+  svg { width: 1.2em; height: 1.2em; }
+  .spin { animation: spin 1s linear infinite; }
+  @keyframes spin { to { transform: rotate(360deg); } }
+
+  .widget {
+    --accent: var(--rev-accent);
+    --bg: var(--rev-bg);
+    --text: var(--rev-text);
+    --muted: var(--rev-muted);
+    --bubble: var(--rev-bubble);
+    display: flex;
+    flex-direction: column;
+    align-items: flex-end;
+    gap: 12px;
+    color: var(--text);
+  }
+  :host([position="bottom-left"]) .widget { align-items: flex-start; }
+  .widget.dark-mode {
+    --accent: var(--rev-dark-accent);
+    --bg: var(--rev-dark-bg);
+    --text: var(--rev-dark-text);
+    --muted: var(--rev-dark-muted);
+    --bubble: var(--rev-dark-bubble);
+  }
+
+  .launcher {
+    width: 60px;
+    height: 60px;
+    padding: 0;
+    border: none;
+    border-radius: 50%;
+    overflow: hidden;
+    background: var(--accent);
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+    cursor: pointer;
+  }
+  .launcher img { width: 100%; height: 100%; object-fit: cover; }
+
+  .panel {
+    width: min(360px, calc(100vw - 40px));
+    max-height: min(560px, calc(100vh - 110px));
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 8px;
+    padding: 12px 16px 16px;
+    border-radius: 16px;
+    background: var(--bg);
+    box-shadow: 0 8px 28px rgba(0, 0, 0, 0.25);
+  }
+  .panel[hidden] { display: none; }
+
+  header { width: 100%; display: flex; align-items: center; gap: 8px; }
+  header h2 { flex: 1; margin: 0; font-size: 1.05rem; }
+  .close { border: none; background: none; color: inherit; font-size: 1.4rem; cursor: pointer; }
+
+  .options { width: 100%; display: flex; flex-wrap: wrap; gap: 6px 12px; font-size: 0.85rem; }
+  select {
+    font: inherit;
+    color: inherit;
+    background: transparent;
+    border: 1px solid var(--muted);
+    border-radius: 6px;
+  }
+  select option { color: #212529; }
+
+  #sessionToggleButton {
+    width: 60px;
+    height: 60px;
+    margin: 6px 0;
+    border: none;
+    border-radius: 50%;
+    display: inline-flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 1.3rem;
+    color: #fff;
+    background: var(--accent);
+    cursor: pointer;
+  }
+  #sessionToggleButton.active-session {
+    background: var(--rev-stop);
+    --ring-color: rgba(108, 117, 125, 0.3);
+    box-shadow: 0 0 0 calc(3px + var(--level, 0) * 14px) var(--ring-color);
+  }
+  #sessionToggleButton.active-session.user-speaking { --ring-color: rgba(46, 125, 50, 0.4); }
+  #sessionToggleButton.active-session.bot-speaking { --ring-color: rgba(0, 123, 255, 0.35); }
+  #sessionToggleButton.loading-state { cursor: wait; opacity: 0.9; }
+
+  #talk-button {
+    padding: 0.4rem 1.2rem;
+    border: 2px solid var(--muted);
+    border-radius: 2rem;
+    font: inherit;
+    color: inherit;
+    background: transparent;
+    user-select: none;
+    touch-action: none;
+  }
+  #talk-button.talking { border-color: #2e7d32; background: rgba(46, 125, 50, 0.15); }
+  #talk-button:disabled { opacity: 0.5; }
+
+  #recording-indicator, #agent-indicator, #session-status { margin: 0; font-size: 0.85rem; }
+  #recording-indicator { color: #c62828; }
+  #agent-indicator { color: #2e7d32; }
+  #session-status { min-height: 1.1rem; opacity: 0.75; }
+
+  #captions { width: 100%; text-align: center; }
+  .caption { display: none; margin: 0.2rem 0; }
+  .caption-visible { display: block; }
+  .caption-user { opacity: 0.7; }
+  .caption-interrupted { text-decoration: line-through; opacity: 0.5; }
+  .caption-interrupted::after, .chat-interrupted::after { content: " …"; }
+
+  #chat-panel { width: 100%; min-height: 0; display: flex; flex-direction: column; gap: 8px; }
+  #chat-log {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+    min-height: 60px;
+    max-height: 220px;
+    overflow-y: auto;
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+  }
+  .chat-message { max-width: 85%; padding: 0.4rem 0.75rem; border-radius: 0.9rem; word-wrap: break-word; }
+  .chat-user { align-self: flex-end; background: var(--accent); color: #fff; }
+  .chat-assistant { align-self: flex-start; background: var(--bubble); }
+  .chat-system { align-self: center; max-width: 100%; font-size: 0.8rem; opacity: 0.7; }
+  .chat-sources { display: block; margin-top: 0.3rem; font-size: 0.75rem; opacity: 0.75; }
+  .chat-voice::before { content: "🎤 "; }
+  .chat-interrupted { opacity: 0.7; }
+
+  #chat-form { display: flex; gap: 6px; }
+  #chat-input {
+    flex: 1;
+    min-width: 0;
+    padding: 0.5rem 0.8rem;
+    border: 1px solid var(--muted);
+    border-radius: 1.5rem;
+    font: inherit;
+    color: inherit;
+    background: transparent;
+  }
+  #chat-send {
+    width: 38px;
+    height: 38px;
+    border: none;
+    border-radius: 50%;
+    color: #fff;
+    background: var(--accent);
+    cursor: pointer;
+  }
+  #chat-input:disabled, #chat-send:disabled, .chat-tool:disabled { opacity: 0.5; cursor: not-allowed; }
+  .chat-tool {
+    width: 38px;
+    height: 38px;
+    flex-shrink: 0;
+    border: 1px solid var(--muted);
+    border-radius: 50%;
+    color: inherit;
+    background: transparent;
+    cursor: pointer;
+  }
+  .chat-image { display: flex; flex-direction: column; align-items: flex-end; gap: 4px; font-size: 0.8rem; }
+  .chat-image img { max-width: 120px; max-height: 120px; border-radius: 8px; }
+
+  #error-alert {
+    width: 100%;
+    margin: 0;
+    padding: 8px 10px;
+    display: flex;
+    gap: 8px;
+    align-items: flex-start;
+    border-radius: 8px;
+    color: #fff;
+    background: #d32f2f;
+    font-size: 0.85rem;
+  }
+  #error-message { flex: 1; margin: 0; }
+  #error-alert button { border: none; background: none; color: inherit; cursor: pointer; }
+`;
+
+const TEMPLATE = `
+  <div class="widget">
+    <section class="panel" role="dialog" hidden>
+      <header>
+        <h2></h2>
+        <button type="button" class="close" aria-label="Close">×</button>
+      </header>
+      <div class="options">
+        <label class="persona-picker">
+          Talk to <select id="persona-select" aria-label="Persona" disabled></select>
+        </label>
+        <label>
+          Mic
+          <select id="input-mode-select" aria-label="Microphone mode">
+            <option value="vad">open mic</option>
+            <option value="push-to-talk">push-to-talk</option>
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" id="recording-consent">
+          Allow recording
+        </label>
+      </div>
+      <button id="sessionToggleButton" aria-label="Start session"></button>
+      <button id="talk-button" class="hidden" aria-label="Hold to talk (or hold Space)" disabled>
+        Hold to talk
+      </button>
+      <p id="recording-indicator" class="hidden" role="status">● This conversation is being recorded</p>
+      <p id="agent-indicator" class="hidden" role="status"><span></span></p>
+      <p id="session-status" aria-live="polite"></p>
+      <div id="captions" aria-live="polite">
+        <p id="caption-user" class="caption caption-user"></p>
+        <p id="caption-assistant" class="caption caption-assistant"></p>
+      </div>
+      <section id="chat-panel" aria-label="Conversation">
+        <ol id="chat-log" aria-live="polite"></ol>
+        <form id="chat-form" autocomplete="off">
+          <input type="file" id="image-file" accept="image/jpeg,image/png,image/webp" hidden>
+          <button type="button" id="image-upload" class="chat-tool" aria-label="Share a photo" disabled>${ICONS.image}</button>
+          <input type="text" id="chat-input" placeholder="Type a message…" maxlength="2000" disabled>
+          <button type="submit" id="chat-send" aria-label="Send message" disabled>${ICONS.send}</button>
+        </form>
+      </section>
+      <div id="error-alert" class="hidden" role="alert">
+        <p id="error-message"></p>
+        <button type="button" aria-label="Dismiss">×</button>
+      </div>
+    </section>
+    <button type="button" class="launcher" aria-expanded="false">
+      <img alt="">
+    </button>
+  </div>
+`;
+
+// Shows errors and notices inside the panel instead of alert()
+class WidgetSession extends VoiceSession {
+  constructor(widget, options) {
+    super(options);
+    this.widget = widget;
+  }
+
+  async startSession() {
+    this.widget.hideError();
+    return super.startSession();
+  }
+
+  displayError(message) {
+    this.widget.showError(message);
+  }
+
+  displayNotification(message) {
+    this.appendChatMessage("system", message);
+  }
+}
+
+class RevVoiceWidget extends HTMLElement {
+  static observedAttributes = ["server", "persona", "theme", "label", "open"];
+
+  connectedCallback() {
+    if (this.session) return; // moved within the page; keep the conversation
+
+    const root = this.attachShadow({ mode: "open" });
+    root.innerHTML = `<style>${STYLES}</style>${TEMPLATE}`;
+    this.panel = root.querySelector(".panel");
+    this.launcher = root.querySelector(".launcher");
+    this.errorAlert = root.getElementById("error-alert");
+    this.launcher.querySelector("img").src = new URL("images/Rev.gif", import.meta.url);
+    this.launcher.addEventListener("click", () => (this.hasAttribute("open") ? this.close() : this.open()));
+    root.querySelector(".close").addEventListener("click", () => this.close());
+    this.errorAlert.querySelector("button").addEventListener("click", () => this.hideError());
+
+    this.session = new WidgetSession(this, {
+      root,
+      serverUrl: this.serverUrl,
+      persona: this.getAttribute("persona"),
+      theme: this.theme,
+      themeTarget: root.querySelector(".widget"),
+      storagePrefix: "rev-widget:",
+      icons: ICONS,
+      onEvent: (type, detail) => {
+        this.dispatchEvent(new CustomEvent(`rev-${type}`, { detail, bubbles: true, composed: true }));
+      },
+    });
+    this.render();
+  }
+
+  disconnectedCallback() {
+    // Removed from the page for good, not just moved
+    queueMicrotask(() => {
+      if (!this.isConnected && this.session?.state.isActive) this.session.endSession();
+    });
+  }
+
+  attributeChangedCallback(name) {
+    if (!this.session) return;
+    if (name === "server") this.session.serverUrl = this.serverUrl;
+    if (name === "persona") this.session.persona = this.getAttribute("persona");
+    if (name === "theme") this.session.setTheme(this.theme);
+    this.render();
+  }
+
+  get serverUrl() {
+    return this.getAttribute("server") || new URL(import.meta.url).origin;
+  }
+
+  get theme() {
+    const theme = this.getAttribute("theme");
+    return ["light", "dark"].includes(theme) ? theme : "auto";
+  }
+
+  render() {
+    const open = this.hasAttribute("open");
+    const label = this.getAttribute("label") || "Talk to Rev";
+    this.panel.hidden = !open;
+    this.panel.setAttribute("aria-label", label);
+    this.panel.querySelector("h2").textContent = label;
+    this.launcher.setAttribute("aria-expanded", String(open));
+    this.launcher.setAttribute("aria-label", open ? `Close ${label}` : label);
+    this.shadowRoot.querySelector(".persona-picker").classList.toggle("hidden", this.hasAttribute("persona"));
+  }
+
+  showError(message) {
+    this.errorAlert.querySelector("#error-message").textContent = message;
+    this.errorAlert.classList.remove("hidden");
+    this.open();
+  }
+
+  hideError() {
+    this.errorAlert.classList.add("hidden");
+  }
+
+  // --- Public API ---
+
+  open() {
+    this.setAttribute("open", "");
+  }
+
+  close() {
+    this.removeAttribute("open");
+  }
+
+  start() {
+    this.open();
+    return this.session.startSession();
+  }
+
+  end() {
+    this.session.endSession();
+  }
+}
+
+if (!customElements.get("rev-voice-widget")) {
+  customElements.define("rev-voice-widget", RevVoiceWidget);
+}
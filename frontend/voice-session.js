@@ -0,0 +1,1348 @@
+// voice-session.js - The voice conversation client: microphone capture,
+// playback, the WebSocket session, captions and the chat log
+//
+// Drives the elements of `root` by ID: the standalone page (app.js) passes
+// `document`, the <rev-voice-widget> element its shadow root. The theme
+// toggle, interpreter and image sharing controls are optional. Options:
+//   serverUrl      the Rev server, http(s) or ws(s) (default: this page's origin)
+//   persona        persona to talk to instead of the picker's choice
+//   theme          "auto" (saved choice, else the system's), "light" or "dark"
+//   themeTarget    element that gets the dark-mode class (default: body)
+//   storagePrefix  prefix for the settings kept in localStorage
+//   icons          HTML for the session button: start, stop and loading
+//   onEvent        called with (type, detail) on session-start, session-end,
+//                  transcript, summary and error
+import {
+  FrameType,
+  ClientAudioFlag,
+  ImageSource,
+  MessageType,
+  CloseCode,
+  ProtocolError,
+  createHello,
+  encodeClientAudio,
+  encodeClientImage,
+  decodeServerFrame,
+  decodeServerMessage,
+} from "./shared/protocol.js";
+
+// Session button icons on the standalone page (Font Awesome)
+const FONT_AWESOME_ICONS = {
+  start: '<i class="fas fa-microphone"></i>',
+  stop: '<i class="fas fa-stop"></i>',
+  loading: '<i class="fas fa-spinner fa-spin"></i>',
+};
+
+// Languages offered for interpreter mode (BCP-47 codes)
+const INTERPRETER_LANGUAGES = [
+  "en-IN", "hi-IN", "bn-IN", "gu-IN", "kn-IN", "ml-IN", "mr-IN", "pa-IN", "ta-IN", "te-IN",
+  "ur-IN", "en-US", "ar-AE", "de-DE", "es-ES", "fr-FR", "ja-JP", "zh-CN",
+];
+const DEFAULT_INTERPRETER_LANGUAGES = ["en-IN", "hi-IN"];
+
+// Photos the server accepts (it checks again, by content)
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+export class VoiceSession {
+  constructor({
+    root = document,
+    serverUrl = window.location.origin,
+    persona = null,
+    theme = "auto",
+    themeTarget = document.body,
+    storagePrefix = "",
+    icons = FONT_AWESOME_ICONS,
+    onEvent = () => {},
+  } = {}) {
+    // DOM Elements
+    this.themeToggle = root.getElementById("theme-toggle");
+    this.interpreterToggle = root.getElementById("interpreter-toggle");
+    this.interpreterLanguageSelects = [
+      root.getElementById("interpreter-language-a"),
+      root.getElementById("interpreter-language-b"),
+    ];
+    this.sessionToggleButton = root.getElementById("sessionToggleButton");
+    this.sessionStatus = root.getElementById("session-status");
+    this.personaSelect = root.getElementById("persona-select");
+    this.inputModeSelect = root.getElementById("input-mode-select");
+    this.talkButton = root.getElementById("talk-button");
+    this.recordingConsent = root.getElementById("recording-consent");
+    this.recordingIndicator = root.getElementById("recording-indicator");
+    this.agentIndicator = root.getElementById("agent-indicator");
+    this.captions = {
+      user: root.getElementById("caption-user"),
+      assistant: root.getElementById("caption-assistant"),
+    };
+    this.chatLog = root.getElementById("chat-log");
+    this.chatForm = root.getElementById("chat-form");
+    this.chatInput = root.getElementById("chat-input");
+    this.chatSendButton = root.getElementById("chat-send");
+    this.imageFileInput = root.getElementById("image-file");
+    this.imageUploadButton = root.getElementById("image-upload");
+    this.captureButtons = {
+      [ImageSource.CAMERA]: root.getElementById("camera-toggle"),
+      [ImageSource.SCREEN]: root.getElementById("screen-toggle"),
+    };
+    this.themeTarget = themeTarget;
+    this.theme = theme;
+    this.icons = icons;
+    this.storagePrefix = storagePrefix;
+    this.onEvent = onEvent;
+
+    // Backend Configuration (both may be changed between sessions)
+    this.serverUrl = serverUrl;
+    this.persona = persona;
+    // Worklets and sounds live next to this module, wherever the page is
+    this.assetBase = new URL(".", import.meta.url);
+
+    // Audio Configuration
+    this.TARGET_SAMPLE_RATE = 16000;
+    this.PLAYBACK_SAMPLE_RATE = 24000;
+    this.AUDIO_FRAME_MS = 40; // microphone audio per frame sent (20-100)
+    this.PLAYBACK_TARGET_LATENCY_MS = 120; // reply audio buffered before playing
+
+    // Image Configuration: camera and screen frames are sent at most this
+    // often (or the server's limit, if slower) and at most this large
+    this.FRAME_INTERVAL_MS = 2000;
+    this.FRAME_MAX_DIMENSION = 1024;
+    this.FRAME_JPEG_QUALITY = 0.7;
+
+    // Microphone mode: "vad" (open mic) or "push-to-talk"
+    this.inputMode = this.getSetting("inputMode") || "vad";
+    this.isTalkHeld = false;
+
+    // Reconnect Configuration
+    this.MAX_RECONNECT_ATTEMPTS = 5;
+    // How long an ended session's socket stays open for the call summary
+    this.SUMMARY_WAIT_MS = 20000;
+
+    // Session State
+    this.state = {
+      isActive: false,
+      isLoading: false,
+      isStarting: false,
+      isReconnecting: false,
+      audioStreamEnded: false,
+    };
+
+    // Audio Contexts: capture runs at the device's native rate (the worklet
+    // resamples to TARGET_SAMPLE_RATE), playback at PLAYBACK_SAMPLE_RATE
+    this.captureContext = null;
+    this.playbackContext = null;
+    this.mediaStreamSource = null;
+    this.inputNode = null;
+    this.localStream = null;
+    this.webSocket = null;
+    this.pendingHandshake = null;
+
+    // Resumable conversation (issued by the server in its welcome); the ID
+    // is kept after the session ends so its summary can be matched to it
+    this.resumeToken = null;
+    this.sessionId = null;
+    this.sessionEnded = true;
+    this.reconnectAttempts = 0;
+
+    // Tools the bot is currently using (id -> status message)
+    this.activeToolCalls = new Map();
+
+    // Interpreter mode ({ languages } from the welcome) and the chat rows
+    // waiting for a translation, by the turn of the original
+    this.interpreter = null;
+    this.translationRows = new Map();
+
+    // Image sharing (limits from the welcome; null when the server refuses
+    // images) and the camera or screen being shared, if any
+    this.imageLimits = null;
+    this.capture = null; // { source, stream, video, timer, item }
+
+    // Outgoing audio framing
+    this.audioSeq = 0;
+    this.audioStreamStart = 0;
+
+    // Playback (see playback-processor.js)
+    this.outputNode = null;
+    this.isBotSpeaking = false; // reply audio buffered or playing
+    this.isAgentActive = false; // a customer-care agent has taken over from the bot
+    this.pendingPlaybackTimeout = null;
+
+    // Level meters (RMS, 0-1) driving the visualizer
+    this.levels = { input: 0, output: 0 };
+    this.displayLevel = 0;
+    this.visualizerFrame = null;
+
+    // Initialize
+    this.initTheme();
+    this.initInputMode();
+    this.initInterpreter();
+    this.loadPersonas();
+    this.bindEvents();
+  }
+
+  // =====================
+  // CORE FUNCTIONALITY
+  // =====================
+
+  async startSession() {
+    if (this.state.isStarting || this.state.isActive) {
+      console.debug("Session start prevented - already active/starting");
+      return;
+    }
+
+    this.state.isStarting = true;
+    this.state.isLoading = true;
+    this.resumeToken = null;
+    this.updateButtonState("loading");
+
+    try {
+      // Initialize Audio Pipeline
+      await this.initAudioPipeline();
+
+      // Initialize WebSocket Connection
+      await this.initWebSocket();
+
+      console.log("Session started successfully");
+    } catch (error) {
+      console.error("Session startup failed:", error);
+      this.endSessionCleanup();
+      if (!error.shown) {
+        this.showError(error.userMessage ?? "Failed to start session. Please try again.");
+      }
+    }
+  }
+
+  endSession() {
+    const ws = this.webSocket;
+    if (ws?.readyState === WebSocket.OPEN && this.state.isActive) {
+      // The server sends the call summary, then closes the socket itself
+      ws.send(JSON.stringify({ type: MessageType.END }));
+      setTimeout(() => {
+        if (ws.readyState === WebSocket.OPEN) ws.close(1000, "User ended session");
+      }, this.SUMMARY_WAIT_MS);
+      this.endSessionCleanup();
+    } else if (ws?.readyState === WebSocket.OPEN) {
+      ws.close(1000, "User ended session");
+    } else {
+      this.endSessionCleanup();
+    }
+  }
+
+  sendTextMessage(text) {
+    const trimmed = text.trim();
+    if (!trimmed || this.webSocket?.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
+    this.webSocket.send(JSON.stringify({ type: MessageType.TEXT, text: trimmed }));
+    if (this.interpreter) {
+      this.appendTranslationRow(trimmed);
+    } else {
+      this.appendChatMessage("user", trimmed);
+    }
+    this.emit("transcript", { speaker: "user", text: trimmed, typed: true });
+    return true;
+  }
+
+  // =====================
+  // AUDIO MANAGEMENT
+  // =====================
+
+  async initAudioPipeline() {
+    try {
+      // Get microphone access
+      this.localStream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          sampleRate: this.TARGET_SAMPLE_RATE,
+          echoCancellation: true,
+          noiseSuppression: true,
+        },
+        video: false,
+      });
+
+      // Create audio contexts
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.captureContext = new AudioContextClass();
+      this.playbackContext = new AudioContextClass({
+        sampleRate: this.PLAYBACK_SAMPLE_RATE,
+      });
+      await Promise.all([
+        this.captureContext.resume(),
+        this.playbackContext.resume(),
+      ]);
+
+      // Set up audio worklet
+      if (!this.captureContext.audioWorklet) {
+        throw new Error("AudioWorklet not supported");
+      }
+
+      await this.captureContext.audioWorklet.addModule(new URL("input-processor.js", this.assetBase));
+      this.inputNode = new AudioWorkletNode(
+        this.captureContext,
+        "input-processor",
+        {
+          processorOptions: {
+            inputSampleRate: this.captureContext.sampleRate,
+            outputSampleRate: this.TARGET_SAMPLE_RATE,
+            frameMs: this.AUDIO_FRAME_MS,
+            mode: this.inputMode,
+          },
+        }
+      );
+      console.log(
+        `Capturing at ${this.captureContext.sampleRate} Hz, sending ${this.TARGET_SAMPLE_RATE} Hz`
+      );
+
+      // Set up audio graph
+      this.mediaStreamSource = this.captureContext.createMediaStreamSource(
+        this.localStream
+      );
+      const gainNode = this.captureContext.createGain();
+      gainNode.gain.setValueAtTime(0, this.captureContext.currentTime);
+
+      this.mediaStreamSource.connect(this.inputNode);
+      this.inputNode.connect(gainNode);
+      gainNode.connect(this.captureContext.destination);
+
+      // The worklet only forwards speech; it also reports where it starts/ends
+      this.inputNode.port.onmessage = (event) => this.handleCaptureMessage(event.data);
+
+      // Playback runs in its own worklet with a jitter buffer
+      await this.playbackContext.audioWorklet.addModule(new URL("playback-processor.js", this.assetBase));
+      this.outputNode = new AudioWorkletNode(
+        this.playbackContext,
+        "playback-processor",
+        {
+          outputChannelCount: [1],
+          processorOptions: {
+            targetLatencyMs: this.PLAYBACK_TARGET_LATENCY_MS,
+          },
+        }
+      );
+      this.outputNode.connect(this.playbackContext.destination);
+      this.outputNode.port.onmessage = (event) => this.handlePlaybackMessage(event.data);
+    } catch (error) {
+      console.error("Audio pipeline initialization failed:", error);
+      throw error;
+    }
+  }
+
+  queueAudio(arrayBuffer) {
+    if (!this.outputNode || this.playbackContext.state !== "running") {
+      return;
+    }
+    this.outputNode.port.postMessage({ type: "audio", pcm: arrayBuffer }, [arrayBuffer]);
+  }
+
+  handlePlaybackMessage(message) {
+    switch (message.type) {
+      case "state":
+        this.isBotSpeaking = message.active;
+        this.sessionToggleButton.classList.toggle("bot-speaking", message.active);
+        break;
+      case "level":
+        this.levels.output = message.rms;
+        break;
+      case "underrun":
+        console.debug("Playback underrun, rebuffering");
+        break;
+    }
+  }
+
+  handleCaptureMessage(message) {
+    switch (message.type) {
+      case "audio":
+        if (this.isConnected()) {
+          this.sendAudioFrame(
+            message.pcm,
+            message.endOfSpeech ? ClientAudioFlag.END_OF_SPEECH : 0
+          );
+        }
+        break;
+      case "speech_start":
+        this.sessionToggleButton.classList.add("user-speaking");
+        this.bargeIn();
+        break;
+      case "speech_end":
+        this.sessionToggleButton.classList.remove("user-speaking");
+        break;
+      case "level":
+        this.levels.input = message.rms;
+        break;
+    }
+  }
+
+  // The user started talking over the bot: cut playback here at once rather
+  // than waiting for the server's interruption frame to come back.
+  bargeIn() {
+    // People talk over each other; only the bot is cut off
+    if (!this.isBotSpeaking || this.isAgentActive || !this.isConnected()) return;
+
+    console.debug("Barge-in detected");
+    this.stopAllAudio();
+    this.captions.assistant.classList.add("caption-interrupted");
+    this.webSocket.send(JSON.stringify({ type: MessageType.INTERRUPTION }));
+  }
+
+  sendAudioFrame(pcmBuffer, flags = 0) {
+    if (this.audioSeq === 0) {
+      this.audioStreamStart = performance.now();
+    }
+    const frame = encodeClientAudio(
+      this.audioSeq++,
+      performance.now() - this.audioStreamStart,
+      pcmBuffer,
+      flags
+    );
+    this.webSocket.send(frame);
+  }
+
+  stopAllAudio() {
+    this.outputNode?.port.postMessage({ type: "flush" });
+    this.isBotSpeaking = false;
+    this.sessionToggleButton.classList.remove("bot-speaking");
+  }
+
+  // =====================
+  // VISUALIZER
+  // =====================
+
+  // Maps an RMS level to 0-1 on a 60 dB scale
+  levelToScale(rms) {
+    if (rms <= 0) return 0;
+    return Math.max(0, Math.min(1, (20 * Math.log10(rms) + 60) / 60));
+  }
+
+  startVisualizer() {
+    if (this.visualizerFrame) return;
+
+    const render = () => {
+      // Whoever is talking drives the ring; rise fast, fall slowly
+      const target = this.levelToScale(
+        this.isBotSpeaking ? this.levels.output : this.levels.input
+      );
+      this.displayLevel += (target - this.displayLevel) * (target > this.displayLevel ? 0.5 : 0.1);
+      this.sessionToggleButton.style.setProperty("--level", this.displayLevel.toFixed(3));
+      this.visualizerFrame = requestAnimationFrame(render);
+    };
+    this.visualizerFrame = requestAnimationFrame(render);
+  }
+
+  stopVisualizer() {
+    cancelAnimationFrame(this.visualizerFrame);
+    this.visualizerFrame = null;
+    this.levels = { input: 0, output: 0 };
+    this.displayLevel = 0;
+    this.sessionToggleButton.style.removeProperty("--level");
+  }
+
+  // =====================
+  // WEBSOCKET MANAGEMENT
+  // =====================
+
+  isConnected() {
+    return (
+      this.webSocket?.readyState === WebSocket.OPEN && !this.pendingHandshake
+    );
+  }
+
+  // `serverUrl` may be given as http(s) or ws(s); the API wants the former
+  serverEndpoint(path, { websocket = false } = {}) {
+    const url = new URL(path, this.serverUrl);
+    const secure = url.protocol === "https:" || url.protocol === "wss:";
+    url.protocol = websocket ? (secure ? "wss:" : "ws:") : (secure ? "https:" : "http:");
+    return url;
+  }
+
+  // Every connection, including a reconnect, needs a fresh single-use ticket
+  async fetchTicket() {
+    const response = await fetch(this.serverEndpoint("/api/tickets"), { method: "POST" });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`Ticket request failed (HTTP ${response.status})`);
+      error.userMessage = body.error;
+      throw error;
+    }
+    return body.ticket;
+  }
+
+  // Resolves once the server has answered our hello with a welcome. With a
+  // resume token from an earlier welcome, the server reattaches us to the
+  // same conversation instead of starting a new one.
+  async initWebSocket() {
+    const ticket = await this.fetchTicket();
+
+    return new Promise((resolve, reject) => {
+      const url = this.serverEndpoint("/", { websocket: true });
+      url.searchParams.set("ticket", ticket);
+      const ws = new WebSocket(url);
+      ws.binaryType = "arraybuffer";
+      this.webSocket = ws;
+      this.pendingHandshake = { resolve, reject };
+      this.audioSeq = 0;
+
+      ws.onopen = () => {
+        console.log("WebSocket connected");
+        ws.send(JSON.stringify(createHello({
+          resumeToken: this.resumeToken ?? undefined,
+          persona: this.persona ?? (this.personaSelect.value || undefined),
+          recordingConsent: this.recordingConsent.checked,
+          interpreter: this.interpreterRequest(),
+        })));
+      };
+
+      ws.onmessage = (event) => {
+        try {
+          if (event.data instanceof ArrayBuffer) {
+            this.handleBinaryMessage(event.data);
+          } else {
+            this.handleJSONMessage(event.data);
+          }
+        } catch (error) {
+          if (!(error instanceof ProtocolError)) throw error;
+          console.error(`Protocol error (${error.code}):`, error.message);
+          ws.close(CloseCode.PROTOCOL_ERROR, error.code);
+          this.showError("Unexpected response from server. Please refresh the page.");
+        }
+      };
+
+      ws.onerror = (error) => {
+        console.error("WebSocket error:", error);
+        this.rejectHandshake(error);
+      };
+
+      ws.onclose = (event) => {
+        if (ws !== this.webSocket) return; // superseded by a newer connection
+        this.rejectHandshake(new Error(`WebSocket closed (${event.code})`));
+
+        if (
+          event.code === CloseCode.PROTOCOL_ERROR ||
+          event.code === CloseCode.VERSION_MISMATCH ||
+          event.code === CloseCode.SESSION_REPLACED ||
+          event.code === CloseCode.INVALID_REQUEST ||
+          event.code === CloseCode.UNAUTHORIZED ||
+          event.code === CloseCode.TOO_MANY_SESSIONS ||
+          event.code === CloseCode.SESSION_TERMINATED ||
+          event.code === CloseCode.QUOTA_EXCEEDED ||
+          event.code === CloseCode.SERVER_BUSY
+        ) {
+          // The server already explained why; retrying would fail the same way
+          if (this.state.isActive || this.state.isStarting) {
+            this.endSessionCleanup();
+          }
+        } else if (event.code === CloseCode.NORMAL) {
+          if (this.state.isActive) {
+            this.endSessionCleanup();
+          }
+        } else if (this.state.isActive && !this.state.isReconnecting) {
+          // Abnormal closure mid-conversation
+          console.warn(`WebSocket closed (${event.code}), reconnecting...`);
+          this.attemptReconnect();
+        }
+      };
+    });
+  }
+
+  rejectHandshake(error) {
+    if (this.pendingHandshake) {
+      this.pendingHandshake.reject(error);
+      this.pendingHandshake = null;
+    }
+  }
+
+  handleBinaryMessage(data) {
+    const frame = decodeServerFrame(data);
+
+    switch (frame.type) {
+      case FrameType.AUDIO:
+        this.queueAudio(data.slice(1));
+        break;
+      case FrameType.TURN_COMPLETE:
+        console.debug("AI turn complete");
+        this.state.audioStreamEnded = true;
+        this.outputNode?.port.postMessage({ type: "end" });
+        break;
+      case FrameType.INTERRUPTION:
+        console.debug("Interruption received");
+        this.stopAllAudio();
+        this.captions.assistant.classList.add("caption-interrupted");
+        break;
+    }
+  }
+
+  handleJSONMessage(data) {
+    const message = decodeServerMessage(data);
+
+    switch (message.type) {
+      case MessageType.WELCOME:
+        console.log(`Protocol v${message.version} handshake complete`);
+        this.handleWelcomeMessage(message);
+        this.pendingHandshake?.resolve();
+        this.pendingHandshake = null;
+        break;
+      case MessageType.STATUS:
+        this.handleStatusMessage(message);
+        break;
+      case MessageType.ERROR:
+        console.error(`Server error (${message.code}):`, message.message);
+        this.showError(message.message, { code: message.code });
+        if (message.fatal) {
+          // Turned away during the handshake: the caller must not report it again
+          this.rejectHandshake(Object.assign(new Error(message.message), { shown: true }));
+          this.endSession();
+        }
+        break;
+      case MessageType.SESSION_TIMEOUT:
+        this.showNotification(message.message);
+        this.endSessionCleanup();
+        break;
+      case MessageType.HANDOFF:
+        this.setAgentActive(message.controller === "agent", message.agent);
+        break;
+      case MessageType.NOTICE:
+        // Announcements from the operators, e.g. planned maintenance, and
+        // warnings that a usage limit is about to end the session
+        this.appendChatMessage("system", message.message);
+        if (message.limit) {
+          this.emit("limit", { sessionId: this.sessionId, limit: message.limit, message: message.message });
+        }
+        break;
+      case MessageType.IMAGE:
+        this.showSharedImage(message);
+        break;
+      case MessageType.SUMMARY:
+        this.appendChatSummary(message);
+        this.emit("summary", { sessionId: this.sessionId, summary: message.summary, lead: message.lead });
+        break;
+      case MessageType.TRANSCRIPT:
+        this.handleTranscriptMessage(message);
+        break;
+      case MessageType.TOOL_CALL:
+        this.handleToolCallMessage(message);
+        break;
+    }
+  }
+
+  handleWelcomeMessage(message) {
+    const wasReconnecting = this.state.isReconnecting;
+    this.resumeToken = message.resumeToken;
+    this.setRecording(Boolean(message.recording), { announce: !message.resumed });
+    if (!message.resumed) {
+      this.sessionId = message.sessionId;
+      this.sessionEnded = false;
+      this.setInterpreter(message.interpreter ?? null);
+      this.imageLimits = message.images ?? null;
+      this.emit("session-start", { sessionId: message.sessionId, persona: message.persona });
+    }
+    if (!wasReconnecting) return;
+
+    this.state.isReconnecting = false;
+    this.reconnectAttempts = 0;
+    this.setSessionStatus("");
+    this.updateButtonState("active");
+
+    if (!message.resumed) {
+      this.appendChatMessage(
+        "system",
+        "Reconnected, but the previous conversation had expired – starting a new one."
+      );
+    }
+  }
+
+  handleStatusMessage(message) {
+    console.log("Status:", message.message);
+
+    if (message.message.includes("opened") || message.message.includes("ready")) {
+      this.playSound("sounds/stream-start.ogg");
+      this.state.isActive = true;
+      this.state.isLoading = false;
+      this.state.isStarting = false;
+      this.updateButtonState("active");
+      this.startVisualizer();
+    } else if (message.message.includes("closed")) {
+      if (this.state.isActive) {
+        this.endSessionCleanup();
+      }
+    }
+  }
+
+  handleTranscriptMessage(message) {
+    const caption = this.captions[message.speaker];
+    if (!caption) return;
+
+    // Partials update the live caption; the final text moves to the chat log
+    if (!message.final) {
+      this.showCaption(caption, message.text);
+      return;
+    }
+
+    this.clearCaption(caption);
+    if (message.text) {
+      if (this.interpreter) {
+        this.showInterpretedMessage(message);
+      } else {
+        const item = this.appendChatMessage(message.speaker, message.text, {
+          voice: message.speaker === "user",
+        });
+        item.classList.toggle("chat-interrupted", Boolean(message.interrupted));
+        if (message.sources?.length) {
+          this.appendChatSources(item, message.sources);
+        }
+      }
+      this.emit("transcript", {
+        speaker: message.speaker,
+        text: message.text,
+        turn: message.turn,
+        interrupted: Boolean(message.interrupted),
+        translationOf: message.translationOf,
+      });
+    }
+  }
+
+  handleToolCallMessage(message) {
+    if (message.status === "started") {
+      this.activeToolCalls.set(message.id, message.message || "Working on it…");
+    } else {
+      this.activeToolCalls.delete(message.id);
+      if (message.status === "failed") {
+        console.warn(`Tool ${message.name} failed:`, message.message);
+      }
+    }
+
+    if (!this.state.isReconnecting) {
+      // Show the most recent tool still running, if any
+      const messages = [...this.activeToolCalls.values()];
+      this.setSessionStatus(messages[messages.length - 1] ?? "");
+    }
+  }
+
+  attemptReconnect() {
+    if (this.reconnectAttempts >= this.MAX_RECONNECT_ATTEMPTS) {
+      console.log("Max reconnection attempts reached");
+      this.endSessionCleanup();
+      this.showError("Connection lost. Please refresh the page.");
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = Math.min(1000 * this.reconnectAttempts, 5000);
+
+    console.log(
+      `Attempting reconnect #${this.reconnectAttempts} in ${delay}ms`
+    );
+
+    // Keep the conversation on screen; just stop what was playing
+    this.state.isReconnecting = true;
+    this.stopAllAudio();
+    this.updateButtonState("reconnecting");
+    this.setSessionStatus("Connection lost – reconnecting…");
+
+    setTimeout(() => {
+      if (this.state.isActive) {
+        this.initWebSocket().catch((error) => {
+          if (!error.shown) this.attemptReconnect();
+        });
+      }
+    }, delay);
+  }
+
+  // =====================
+  // SESSION CLEANUP
+  // =====================
+
+  endSessionCleanup() {
+    this.playSound("sounds/stream-end.ogg");
+    console.log("Cleaning up session...");
+
+    // Clear any pending timeouts
+    if (this.pendingPlaybackTimeout) {
+      clearTimeout(this.pendingPlaybackTimeout);
+      this.pendingPlaybackTimeout = null;
+    }
+
+    // Stop all audio playback
+    this.stopAllAudio();
+    this.stopVisualizer();
+    Object.values(this.captions).forEach((caption) => this.clearCaption(caption));
+
+    // Clean up microphone
+    if (this.localStream) {
+      this.localStream.getTracks().forEach((track) => track.stop());
+      this.localStream = null;
+    }
+
+    // Clean up audio nodes
+    this.setTalkHeld(false);
+    this.sessionToggleButton.classList.remove("user-speaking");
+    if (this.inputNode) {
+      this.inputNode.port.onmessage = null;
+      this.inputNode.disconnect();
+      this.inputNode = null;
+    }
+
+    if (this.mediaStreamSource) {
+      this.mediaStreamSource.disconnect();
+      this.mediaStreamSource = null;
+    }
+
+    if (this.outputNode) {
+      this.outputNode.port.onmessage = null;
+      this.outputNode.disconnect();
+      this.outputNode = null;
+    }
+
+    // Close audio contexts
+    ["captureContext", "playbackContext"].forEach((name) => {
+      const context = this[name];
+      this[name] = null;
+      if (context && context.state !== "closed") {
+        context.close().catch((e) => console.error("AudioContext close error:", e));
+      }
+    });
+
+    // Reset state
+    this.state = {
+      isActive: false,
+      isLoading: false,
+      isStarting: false,
+      isReconnecting: false,
+      audioStreamEnded: false,
+    };
+    this.resumeToken = null;
+    this.reconnectAttempts = 0;
+    this.activeToolCalls.clear();
+    this.stopImageCapture();
+    this.setSessionStatus("");
+    this.setRecording(false);
+    this.setAgentActive(false);
+
+    this.updateButtonState("inactive");
+    if (!this.sessionEnded) {
+      this.sessionEnded = true;
+      this.emit("session-end", { sessionId: this.sessionId });
+    }
+  }
+
+  // =====================
+  // CAPTIONS & CHAT PANEL
+  // =====================
+
+  showCaption(caption, text) {
+    caption.textContent = text;
+    caption.classList.add("caption-visible");
+  }
+
+  clearCaption(caption) {
+    caption.textContent = "";
+    caption.classList.remove("caption-visible", "caption-interrupted");
+  }
+
+  appendChatMessage(role, text, { voice = false } = {}) {
+    const item = document.createElement("li");
+    item.className = `chat-message chat-${role}`;
+    item.classList.toggle("chat-voice", voice);
+    item.textContent = text;
+    this.chatLog.appendChild(item);
+    this.chatLog.scrollTop = this.chatLog.scrollHeight;
+    return item;
+  }
+
+  // Lists the knowledge base documents an answer was grounded in
+  appendChatSources(item, sources) {
+    const footnote = document.createElement("small");
+    footnote.className = "chat-sources";
+    footnote.textContent = `Sources: ${sources.map((s) => s.title).join(", ")}`;
+    footnote.title = sources.map((s) => s.passageId).join("\n");
+    item.appendChild(footnote);
+  }
+
+  // What was noted about the call, e.g. "Bike model: RV400 · Test ride: yes"
+  appendChatSummary({ summary, lead }) {
+    if (!summary) return;
+    const item = this.appendChatMessage("system", `Call summary: ${summary}`);
+    const noted = Object.entries(lead)
+      .filter(([, value]) => value !== null)
+      .map(([field, value]) => {
+        const label = field.replace(/([a-z0-9])([A-Z])/g, "$1 $2").toLowerCase();
+        const text = typeof value === "boolean" ? (value ? "yes" : "no") : value;
+        return `${label.charAt(0).toUpperCase()}${label.slice(1)}: ${text}`;
+      });
+    if (!noted.length) return;
+    const details = document.createElement("small");
+    details.className = "chat-sources";
+    details.textContent = noted.join(" · ");
+    item.appendChild(details);
+  }
+
+  // Interpreter sessions show each utterance and its translation side by side
+  appendTranslationRow(original, { voice = false } = {}) {
+    const item = document.createElement("li");
+    item.className = "chat-message chat-translation";
+    const source = document.createElement("span");
+    source.className = "chat-original";
+    source.classList.toggle("chat-voice", voice);
+    source.textContent = original;
+    const target = document.createElement("span");
+    target.className = "chat-translated";
+    item.append(source, target);
+    this.chatLog.appendChild(item);
+    this.chatLog.scrollTop = this.chatLog.scrollHeight;
+    return item;
+  }
+
+  showInterpretedMessage(message) {
+    if (message.speaker === "user") {
+      this.translationRows.set(message.turn, this.appendTranslationRow(message.text, { voice: true }));
+      return;
+    }
+
+    // Typed originals are not numbered on this side; they are the last row
+    const last = this.chatLog.lastElementChild;
+    const row =
+      this.translationRows.get(message.translationOf) ??
+      (last?.matches(".chat-translation:not(.translated)") ? last : this.appendTranslationRow(""));
+    this.translationRows.delete(message.translationOf);
+    row.classList.add("translated");
+    const target = row.querySelector(".chat-translated");
+    target.textContent = message.text;
+    target.classList.toggle("chat-interrupted", Boolean(message.interrupted));
+  }
+
+  // What the user showed Rev, as the server passed it on. Camera and screen
+  // frames update one live thumbnail per share instead of filling the log.
+  showSharedImage(message) {
+    const live = message.source !== ImageSource.UPLOAD ? this.capture : null;
+    if (live?.item) {
+      live.item.querySelector("img").src = message.thumbnail;
+      return;
+    }
+
+    const labels = {
+      [ImageSource.UPLOAD]: "Shared a photo",
+      [ImageSource.CAMERA]: "Sharing camera",
+      [ImageSource.SCREEN]: "Sharing screen",
+    };
+    const item = this.appendChatMessage("user", labels[message.source] ?? "Shared an image");
+    item.classList.add("chat-image");
+    const image = document.createElement("img");
+    image.src = message.thumbnail;
+    image.alt = labels[message.source] ?? "Shared image";
+    image.title = `${message.width}×${message.height}`;
+    item.prepend(image);
+    if (live) live.item = item;
+  }
+
+  setRecording(recording, { announce = false } = {}) {
+    this.recordingIndicator.classList.toggle("hidden", !recording);
+    if (recording && announce) {
+      this.appendChatMessage("system", "This conversation is being recorded for quality purposes.");
+    }
+  }
+
+  setAgentActive(active, agentName) {
+    const changed = active !== this.isAgentActive;
+    this.isAgentActive = active;
+    this.agentIndicator.classList.toggle("hidden", !active);
+    if (!changed) return;
+
+    const who = agentName ? `${agentName} from Revolt customer care` : "A Revolt customer-care agent";
+    this.agentIndicator.querySelector("span").textContent = `${who} has joined the call`;
+    if (active) {
+      this.appendChatMessage("system", `${who} has joined the call.`);
+    } else if (this.state.isActive) {
+      this.appendChatMessage("system", "You're back with Rev.");
+    }
+  }
+
+  setSessionStatus(text) {
+    this.sessionStatus.textContent = text;
+  }
+
+  setChatEnabled(enabled) {
+    this.chatInput.disabled = !enabled;
+    this.chatSendButton.disabled = !enabled;
+  }
+
+  // =====================
+  // PERSONAS
+  // =====================
+
+  async loadPersonas() {
+    try {
+      const response = await fetch(this.serverEndpoint("/api/personas"));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { personas } = await response.json();
+
+      const saved = this.persona ?? this.getSetting("persona");
+      this.personaSelect.replaceChildren(
+        ...personas.map((persona) => {
+          const option = new Option(persona.name, persona.id);
+          option.title = persona.description;
+          option.selected = saved ? persona.id === saved : persona.isDefault;
+          return option;
+        })
+      );
+      this.personaSelect.disabled = this.state.isActive;
+    } catch (error) {
+      // The server falls back to its default persona
+      console.warn("Could not load personas:", error);
+    }
+  }
+
+  // =====================
+  // MICROPHONE MODE
+  // =====================
+
+  initInputMode() {
+    this.inputModeSelect.value = this.inputMode;
+    this.talkButton.classList.toggle("hidden", this.inputMode !== "push-to-talk");
+  }
+
+  setInputMode(mode) {
+    this.inputMode = mode;
+    this.setSetting("inputMode", mode);
+    this.isTalkHeld = false;
+    this.talkButton.classList.remove("talking");
+    this.talkButton.classList.toggle("hidden", mode !== "push-to-talk");
+    this.inputNode?.port.postMessage({ type: "mode", mode });
+  }
+
+  setTalkHeld(held) {
+    if (this.inputMode !== "push-to-talk" || held === this.isTalkHeld) return;
+    if (held && !this.state.isActive) return;
+
+    this.isTalkHeld = held;
+    this.talkButton.classList.toggle("talking", held);
+    this.inputNode?.port.postMessage({ type: "talk", active: held });
+  }
+
+  // =====================
+  // IMAGE SHARING
+  // =====================
+
+  async sendImageFile(file) {
+    if (!this.imageLimits || this.webSocket?.readyState !== WebSocket.OPEN) return;
+    if (!IMAGE_TYPES.includes(file.type)) {
+      this.showError("Please choose a JPEG, PNG or WebP photo.");
+      return;
+    }
+    if (file.size > this.imageLimits.maxBytes) {
+      const maxMb = Math.round(this.imageLimits.maxBytes / 1024 / 1024);
+      this.showError(`That photo is too large (max ${maxMb} MB).`);
+      return;
+    }
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    this.webSocket?.send(encodeClientImage(ImageSource.UPLOAD, bytes));
+  }
+
+  // Shares the camera or the screen as a frame every FRAME_INTERVAL_MS
+  async startImageCapture(source) {
+    this.stopImageCapture();
+    let stream;
+    try {
+      stream = source === ImageSource.SCREEN
+        ? await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false })
+        : await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+    } catch (error) {
+      console.warn(`Could not share ${source}:`, error);
+      if (error.name !== "NotAllowedError") {
+        this.showError(`Could not start sharing your ${source}.`);
+      }
+      return;
+    }
+    if (!this.state.isActive) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    await video.play().catch(() => {});
+
+    const intervalMs = Math.max(this.FRAME_INTERVAL_MS, this.imageLimits?.frameIntervalMs ?? 0);
+    const capture = { source, stream, video, timer: null, item: null };
+    capture.timer = setInterval(() => this.sendCaptureFrame(capture), intervalMs);
+    this.capture = capture;
+    // The browser's own "Stop sharing" ends the track
+    stream.getVideoTracks()[0]?.addEventListener("ended", () => {
+      if (this.capture === capture) this.stopImageCapture();
+    });
+    this.updateCaptureButtons();
+    this.sendCaptureFrame(capture);
+  }
+
+  sendCaptureFrame(capture) {
+    const { video } = capture;
+    if (!video.videoWidth || this.webSocket?.readyState !== WebSocket.OPEN) return;
+
+    const scale = Math.min(1, this.FRAME_MAX_DIMENSION / Math.max(video.videoWidth, video.videoHeight));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(async (blob) => {
+      if (!blob || this.capture !== capture || this.webSocket?.readyState !== WebSocket.OPEN) return;
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      this.webSocket.send(encodeClientImage(capture.source, bytes));
+    }, "image/jpeg", this.FRAME_JPEG_QUALITY);
+  }
+
+  stopImageCapture() {
+    const capture = this.capture;
+    if (!capture) return;
+    this.capture = null;
+    clearInterval(capture.timer);
+    capture.stream.getTracks().forEach((track) => track.stop());
+    capture.video.srcObject = null;
+    if (capture.item) {
+      capture.item.lastChild.textContent =
+        capture.source === ImageSource.SCREEN ? "Shared screen" : "Shared camera";
+    }
+    this.updateCaptureButtons();
+  }
+
+  updateCaptureButtons() {
+    for (const [source, button] of Object.entries(this.captureButtons)) {
+      if (!button) continue;
+      const sharing = this.capture?.source === source;
+      button.classList.toggle("sharing", sharing);
+      button.setAttribute("aria-pressed", String(sharing));
+    }
+  }
+
+  // =====================
+  // INTERPRETER MODE
+  // =====================
+
+  initInterpreter() {
+    if (!this.interpreterToggle) return;
+
+    const names = new Intl.DisplayNames([navigator.language, "en"], { type: "language" });
+    const saved = this.getSetting("interpreterLanguages")?.split(",") ?? DEFAULT_INTERPRETER_LANGUAGES;
+    this.interpreterLanguageSelects.forEach((select, i) => {
+      select.replaceChildren(
+        ...INTERPRETER_LANGUAGES.map((code) => new Option(names.of(code), code, false, code === saved[i]))
+      );
+      select.addEventListener("change", () => {
+        this.setSetting("interpreterLanguages", this.interpreterLanguageSelects.map((s) => s.value).join(","));
+      });
+    });
+
+    this.interpreterToggle.checked = this.getSetting("interpreter") === "true";
+    this.interpreterToggle.addEventListener("change", () => {
+      this.setSetting("interpreter", String(this.interpreterToggle.checked));
+    });
+  }
+
+  // The hello's interpreter request, if the user turned interpreting on
+  interpreterRequest() {
+    if (!this.interpreterToggle?.checked) return undefined;
+    return { languages: this.interpreterLanguageSelects.map((select) => select.value) };
+  }
+
+  setInterpreter(interpreter) {
+    this.interpreter = interpreter;
+    this.translationRows.clear();
+    if (!interpreter) return;
+
+    const names = new Intl.DisplayNames([navigator.language, "en"], { type: "language" });
+    const [a, b] = interpreter.languages.map((code) => names.of(code));
+    this.appendChatMessage("system", `Interpreting between ${a} and ${b}.`);
+  }
+
+  // =====================
+  // UI MANAGEMENT
+  // =====================
+
+  initTheme() {
+    const savedTheme =
+      this.getSetting("theme") ||
+      (window.matchMedia("(prefers-color-scheme: dark)").matches
+        ? "dark"
+        : "light");
+    this.applyTheme(this.theme === "auto" ? savedTheme : this.theme);
+
+    this.themeToggle?.addEventListener("change", () => {
+      const theme = this.themeToggle.checked ? "dark" : "light";
+      this.applyTheme(theme);
+      this.setSetting("theme", theme);
+    });
+
+    window
+      .matchMedia("(prefers-color-scheme: dark)")
+      .addEventListener("change", (e) => {
+        if (this.theme !== "auto") return;
+        const theme = e.matches ? "dark" : "light";
+        this.applyTheme(theme);
+        this.setSetting("theme", theme);
+      });
+  }
+
+  applyTheme(theme) {
+    this.themeTarget.classList.toggle("dark-mode", theme === "dark");
+    if (this.themeToggle) this.themeToggle.checked = theme === "dark";
+  }
+
+  // A fixed theme ("light" or "dark"), or "auto" to go back to the saved one
+  setTheme(theme) {
+    this.theme = theme;
+    const dark = window.matchMedia("(prefers-color-scheme: dark)").matches;
+    this.applyTheme(theme === "auto" ? this.getSetting("theme") || (dark ? "dark" : "light") : theme);
+  }
+
+  updateButtonState(state) {
+    this.sessionToggleButton.disabled = state === "loading";
+    this.sessionToggleButton.classList.toggle(
+      "loading-state",
+      state === "loading" || state === "reconnecting"
+    );
+    this.sessionToggleButton.classList.toggle(
+      "active-session",
+      state === "active"
+    );
+    this.setChatEnabled(state === "active");
+    const canShare = state === "active" && Boolean(this.imageLimits);
+    [this.imageUploadButton, ...Object.values(this.captureButtons)].forEach((button) => {
+      if (button) button.disabled = !canShare;
+    });
+    this.talkButton.disabled = state !== "active";
+    this.personaSelect.disabled =
+      state !== "inactive" || this.personaSelect.options.length === 0;
+    this.recordingConsent.disabled = state !== "inactive";
+    if (this.interpreterToggle) {
+      [this.interpreterToggle, ...this.interpreterLanguageSelects].forEach((control) => {
+        control.disabled = state !== "inactive";
+      });
+    }
+
+    if (state === "loading") {
+      this.sessionToggleButton.innerHTML = this.icons.loading;
+      this.sessionToggleButton.setAttribute("aria-label", "Loading session...");
+    } else if (state === "reconnecting") {
+      this.sessionToggleButton.innerHTML = this.icons.loading;
+      this.sessionToggleButton.setAttribute("aria-label", "Reconnecting... (click to end session)");
+    } else if (state === "active") {
+      this.sessionToggleButton.innerHTML = this.icons.stop;
+      this.sessionToggleButton.setAttribute("aria-label", "End session");
+    } else {
+      this.sessionToggleButton.innerHTML = this.icons.start;
+      this.sessionToggleButton.setAttribute("aria-label", "Start session");
+    }
+  }
+
+  playSound(soundFile) {
+    try {
+      const audio = new Audio(new URL(soundFile, this.assetBase));
+      audio.play().catch((e) => console.error("Audio play failed:", e));
+    } catch (e) {
+      console.error("Sound playback error:", e);
+    }
+  }
+
+  showError(message, { code = null } = {}) {
+    console.error("Error:", message);
+    this.emit("error", { code, message });
+    this.displayError(message);
+  }
+
+  showNotification(message) {
+    console.log("Notification:", message);
+    this.displayNotification(message);
+  }
+
+  // Implement your error display logic here (the widget overrides these)
+  displayError(message) {
+    alert(message); // Replace with better UI
+  }
+
+  displayNotification(message) {
+    alert(message); // Replace with better UI
+  }
+
+  emit(type, detail) {
+    try {
+      this.onEvent(type, detail);
+    } catch (error) {
+      console.error(`"${type}" event handler failed:`, error);
+    }
+  }
+
+  // Settings remembered between visits, namespaced by storagePrefix
+  getSetting(name) {
+    return localStorage.getItem(`${this.storagePrefix}${name}`);
+  }
+
+  setSetting(name, value) {
+    localStorage.setItem(`${this.storagePrefix}${name}`, value);
+  }
+
+  bindEvents() {
+    this.personaSelect.addEventListener("change", () => {
+      this.setSetting("persona", this.personaSelect.value);
+    });
+
+    this.recordingConsent.checked = this.getSetting("recordingConsent") === "true";
+    this.recordingConsent.addEventListener("change", () => {
+      this.setSetting("recordingConsent", String(this.recordingConsent.checked));
+    });
+
+    this.inputModeSelect.addEventListener("change", () => {
+      this.setInputMode(this.inputModeSelect.value);
+    });
+
+    // Hold the button, or Space anywhere outside a text field, to talk
+    this.talkButton.addEventListener("pointerdown", (event) => {
+      this.talkButton.setPointerCapture(event.pointerId);
+      this.setTalkHeld(true);
+    });
+    ["pointerup", "pointercancel"].forEach((type) =>
+      this.talkButton.addEventListener(type, () => this.setTalkHeld(false))
+    );
+
+    // composedPath() sees through shadow roots (event.target is the widget)
+    const isTyping = (event) => {
+      const target = event.composedPath()[0];
+      return target instanceof HTMLInputElement || target instanceof HTMLSelectElement;
+    };
+
+    document.addEventListener("keydown", (event) => {
+      if (event.code !== "Space" || event.repeat || isTyping(event)) return;
+      if (this.inputMode !== "push-to-talk") return;
+      event.preventDefault();
+      this.setTalkHeld(true);
+    });
+    document.addEventListener("keyup", (event) => {
+      if (event.code !== "Space") return;
+      this.setTalkHeld(false);
+    });
+    window.addEventListener("blur", () => this.setTalkHeld(false));
+
+    this.sessionToggleButton.addEventListener("click", () => {
+      if (this.state.isLoading) return;
+      this.state.isActive ? this.endSession() : this.startSession();
+    });
+
+    this.chatForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      if (this.sendTextMessage(this.chatInput.value)) {
+        this.chatInput.value = "";
+      }
+    });
+
+    this.imageUploadButton?.addEventListener("click", () => this.imageFileInput.click());
+    this.imageFileInput?.addEventListener("change", () => {
+      const [file] = this.imageFileInput.files;
+      this.imageFileInput.value = "";
+      if (file) this.sendImageFile(file);
+    });
+    for (const [source, button] of Object.entries(this.captureButtons)) {
+      button?.addEventListener("click", () => {
+        if (this.capture?.source === source) {
+          this.stopImageCapture();
+        } else {
+          this.startImageCapture(source);
+        }
+      });
+    }
+  }
+}
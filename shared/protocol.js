@@ -0,0 +1,361 @@
+// protocol.js - Rev WebSocket wire protocol, shared by backend and frontend
+//
+// Plain ES module with no Node or DOM dependencies: it only uses
+// Uint8Array/DataView/TextDecoder so the browser, the server and any CLI
+// client encode and decode frames with the same code. See docs/protocol.md.
+
+export const PROTOCOL_VERSION = 2;
+
+// Sample formats announced in the handshake
+export const AUDIO_FORMATS = {
+  input: { encoding: "pcm_s16le", sampleRate: 16000, channels: 1 },
+  output: { encoding: "pcm_s16le", sampleRate: 24000, channels: 1 }
+};
+
+// First byte of every binary frame
+export const FrameType = {
+  AUDIO: 0x01,          // server -> client: PCM reply audio
+  TURN_COMPLETE: 0x02,  // server -> client: bot finished its turn
+  INTERRUPTION: 0x03,   // server -> client: stop playback now
+  CALLER_AUDIO: 0x04,   // server -> supervisor: the caller's microphone audio
+  CLIENT_AUDIO: 0x10,   // client -> server: framed microphone audio
+  CLIENT_IMAGE: 0x11    // client -> server: a JPEG, PNG or WebP image
+};
+
+// Client audio header: type u8, flags u8, reserved u16, seq u32, timestamp u32
+// (milliseconds since the client started streaming), all big-endian, followed
+// by PCM. 12 bytes keeps the PCM payload 16-bit aligned.
+export const CLIENT_AUDIO_HEADER_BYTES = 12;
+
+// Bits of the client audio flags byte
+export const ClientAudioFlag = {
+  END_OF_SPEECH: 0x01   // last frame of an utterance; silence follows unsent
+};
+
+// Client image header: type u8, source u8, reserved u16, followed by the
+// image file's bytes
+export const CLIENT_IMAGE_HEADER_BYTES = 4;
+
+// Where a shared image came from; the header's source byte is the index
+export const ImageSource = {
+  UPLOAD: "upload",     // a photo the user picked
+  CAMERA: "camera",     // a frame of the user's camera
+  SCREEN: "screen"      // a frame of a shared screen
+};
+const IMAGE_SOURCES = [ImageSource.UPLOAD, ImageSource.CAMERA, ImageSource.SCREEN];
+
+// Why a notice warns that a session will end (the notice's `limit` field)
+export const UsageLimit = {
+  DAILY_MINUTES: "daily_minutes",   // the caller's conversation minutes for today
+  SESSION_LENGTH: "session_length", // how long one session may last
+  SESSION_TOKENS: "session_tokens", // how many tokens one session may use
+  DAILY_BUDGET: "daily_budget"      // the tokens all sessions may use today
+};
+
+export const MessageType = {
+  HELLO: "hello",
+  WELCOME: "welcome",
+  TEXT: "text",
+  INTERRUPTION: "interruption",
+  STATUS: "status",
+  TRANSCRIPT: "transcript",
+  TOOL_CALL: "tool_call",
+  ERROR: "error",
+  SESSION_TIMEOUT: "session_timeout",
+  NOTICE: "notice",
+  END: "end",
+  SUMMARY: "summary",
+  IMAGE: "image",
+  // Supervisor connections (see docs/protocol.md, "Supervising a session")
+  TAKEOVER: "takeover",
+  HANDBACK: "handback",
+  HANDOFF: "handoff"
+};
+
+// Fields of each JSON control message, by direction ("?" marks optional)
+const CLIENT_MESSAGES = {
+  [MessageType.HELLO]: {
+    version: "number",
+    audio: "object?",
+    resumeToken: "string?",
+    persona: "string?",
+    recordingConsent: "boolean?",
+    interpreter: "object?"
+  },
+  [MessageType.TEXT]: { text: "string" },
+  [MessageType.INTERRUPTION]: {},
+  [MessageType.END]: {},
+  [MessageType.TAKEOVER]: {},
+  [MessageType.HANDBACK]: { summary: "string?" }
+};
+
+const SERVER_MESSAGES = {
+  [MessageType.WELCOME]: { version: "number" },
+  [MessageType.STATUS]: { message: "string" },
+  [MessageType.TRANSCRIPT]: {
+    speaker: "string", turn: "number", text: "string", final: "boolean", sources: "object?",
+    translationOf: "number?"
+  },
+  [MessageType.TOOL_CALL]: { id: "string", name: "string", status: "string", message: "string?" },
+  [MessageType.ERROR]: { code: "string", message: "string" },
+  [MessageType.SESSION_TIMEOUT]: { message: "string" },
+  [MessageType.NOTICE]: { message: "string", limit: "string?" },
+  [MessageType.SUMMARY]: { summary: "string", lead: "object" },
+  [MessageType.IMAGE]: { source: "string", width: "number", height: "number", thumbnail: "string" },
+  [MessageType.HANDOFF]: { controller: "string", agent: "string?" }
+};
+
+export const ErrorCode = {
+  VERSION_MISMATCH: "version_mismatch",
+  HANDSHAKE_REQUIRED: "handshake_required",
+  HANDSHAKE_TIMEOUT: "handshake_timeout",
+  MALFORMED_FRAME: "malformed_frame",
+  UNKNOWN_FRAME: "unknown_frame",
+  UNKNOWN_MESSAGE: "unknown_message",
+  INVALID_MESSAGE: "invalid_message",
+  MESSAGE_TOO_LONG: "message_too_long",
+  INVALID_IMAGE: "invalid_image",
+  UNKNOWN_PERSONA: "unknown_persona",
+  UNSUPPORTED_LANGUAGE: "unsupported_language",
+  UNSUPPORTED_AUDIO_FORMAT: "unsupported_audio_format",
+  UNAUTHORIZED: "unauthorized",
+  TOO_MANY_SESSIONS: "too_many_sessions",
+  QUOTA_EXCEEDED: "quota_exceeded",
+  BUDGET_EXHAUSTED: "budget_exhausted",
+  SERVER_BUSY: "server_busy",
+  MAINTENANCE: "maintenance",
+  SESSION_TERMINATED: "session_terminated",
+  TAKEOVER_CONFLICT: "takeover_conflict",
+  SESSION_NOT_FOUND: "session_not_found",
+  AUDIO_ERROR: "audio_error",
+  TEXT_ERROR: "text_error",
+  AI_SERVICE_ERROR: "ai_service_error",
+  CONNECTION_LOST: "connection_lost"
+};
+
+export const CloseCode = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  VERSION_MISMATCH: 4001,
+  HANDSHAKE_TIMEOUT: 4002,
+  SESSION_REPLACED: 4003,
+  INVALID_REQUEST: 4004,
+  UNAUTHORIZED: 4401,
+  TOO_MANY_SESSIONS: 4429,
+  SESSION_TERMINATED: 4410,
+  QUOTA_EXCEEDED: 4430,
+  SERVER_BUSY: 4503
+};
+
+// How a connection is closed when an error ends it; anything not listed
+// closes with PROTOCOL_ERROR
+export const CLOSE_CODES_BY_ERROR = {
+  [ErrorCode.VERSION_MISMATCH]: CloseCode.VERSION_MISMATCH,
+  [ErrorCode.HANDSHAKE_TIMEOUT]: CloseCode.HANDSHAKE_TIMEOUT,
+  [ErrorCode.UNKNOWN_PERSONA]: CloseCode.INVALID_REQUEST,
+  [ErrorCode.UNSUPPORTED_LANGUAGE]: CloseCode.INVALID_REQUEST,
+  [ErrorCode.UNSUPPORTED_AUDIO_FORMAT]: CloseCode.INVALID_REQUEST,
+  [ErrorCode.SESSION_NOT_FOUND]: CloseCode.INVALID_REQUEST,
+  [ErrorCode.UNAUTHORIZED]: CloseCode.UNAUTHORIZED,
+  [ErrorCode.TOO_MANY_SESSIONS]: CloseCode.TOO_MANY_SESSIONS,
+  [ErrorCode.QUOTA_EXCEEDED]: CloseCode.QUOTA_EXCEEDED,
+  [ErrorCode.BUDGET_EXHAUSTED]: CloseCode.QUOTA_EXCEEDED,
+  [ErrorCode.SERVER_BUSY]: CloseCode.SERVER_BUSY,
+  [ErrorCode.MAINTENANCE]: CloseCode.SERVER_BUSY,
+  [ErrorCode.CONNECTION_LOST]: CloseCode.SERVER_BUSY
+};
+
+export class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+  }
+}
+
+const unknownClientFrame = (type) => new ProtocolError(
+  ErrorCode.UNKNOWN_FRAME,
+  `Unknown client frame type 0x${type.toString(16).padStart(2, "0")}`
+);
+
+const toBytes = (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new ProtocolError(ErrorCode.MALFORMED_FRAME, "Binary frame expected");
+};
+
+// --- Handshake ---
+
+export const createHello = (extra = {}) => ({
+  type: MessageType.HELLO,
+  version: PROTOCOL_VERSION,
+  audio: AUDIO_FORMATS,
+  ...extra
+});
+
+export const createWelcome = (extra = {}) => ({
+  type: MessageType.WELCOME,
+  version: PROTOCOL_VERSION,
+  audio: AUDIO_FORMATS,
+  ...extra
+});
+
+export const assertCompatibleVersion = (version) => {
+  if (version !== PROTOCOL_VERSION) {
+    throw new ProtocolError(
+      ErrorCode.VERSION_MISMATCH,
+      `Protocol version ${version ?? "1"} is not supported (server speaks ${PROTOCOL_VERSION}). Please refresh the page.`
+    );
+  }
+};
+
+// --- Binary frames ---
+
+export const encodeClientAudio = (seq, timestampMs, pcm, flags = 0) => {
+  const payload = toBytes(pcm);
+  const frame = new Uint8Array(CLIENT_AUDIO_HEADER_BYTES + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, FrameType.CLIENT_AUDIO);
+  view.setUint8(1, flags);
+  view.setUint32(4, seq >>> 0);
+  view.setUint32(8, Math.max(0, Math.round(timestampMs)) >>> 0);
+  frame.set(payload, CLIENT_AUDIO_HEADER_BYTES);
+  return frame;
+};
+
+export const decodeClientAudio = (data) => {
+  const bytes = toBytes(data);
+  if (bytes.byteLength < 1) {
+    throw new ProtocolError(ErrorCode.MALFORMED_FRAME, "Empty binary frame");
+  }
+  if (bytes[0] !== FrameType.CLIENT_AUDIO) {
+    throw unknownClientFrame(bytes[0]);
+  }
+  const payloadBytes = bytes.byteLength - CLIENT_AUDIO_HEADER_BYTES;
+  if (payloadBytes < 0 || payloadBytes % 2 !== 0) {
+    throw new ProtocolError(ErrorCode.MALFORMED_FRAME, "Truncated or misaligned audio frame");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return {
+    flags: view.getUint8(1),
+    seq: view.getUint32(4),
+    timestamp: view.getUint32(8),
+    pcm: bytes.subarray(CLIENT_AUDIO_HEADER_BYTES)
+  };
+};
+
+export const encodeClientImage = (source, image) => {
+  const payload = toBytes(image);
+  const frame = new Uint8Array(CLIENT_IMAGE_HEADER_BYTES + payload.byteLength);
+  frame[0] = FrameType.CLIENT_IMAGE;
+  frame[1] = IMAGE_SOURCES.indexOf(source);
+  frame.set(payload, CLIENT_IMAGE_HEADER_BYTES);
+  return frame;
+};
+
+export const decodeClientImage = (data) => {
+  const bytes = toBytes(data);
+  if (bytes[0] !== FrameType.CLIENT_IMAGE) {
+    throw unknownClientFrame(bytes[0]);
+  }
+  const source = IMAGE_SOURCES[bytes[1]];
+  if (bytes.byteLength <= CLIENT_IMAGE_HEADER_BYTES || !source) {
+    throw new ProtocolError(ErrorCode.MALFORMED_FRAME, "Truncated image frame or unknown image source");
+  }
+  return { source, image: bytes.subarray(CLIENT_IMAGE_HEADER_BYTES) };
+};
+
+// Any client frame: { type, ...decodeClientAudio() } or { type, ...decodeClientImage() }
+export const decodeClientFrame = (data) => {
+  const bytes = toBytes(data);
+  if (bytes.byteLength < 1) {
+    throw new ProtocolError(ErrorCode.MALFORMED_FRAME, "Empty binary frame");
+  }
+  switch (bytes[0]) {
+    case FrameType.CLIENT_AUDIO:
+      return { type: bytes[0], ...decodeClientAudio(bytes) };
+    case FrameType.CLIENT_IMAGE:
+      return { type: bytes[0], ...decodeClientImage(bytes) };
+    default:
+      throw unknownClientFrame(bytes[0]);
+  }
+};
+
+export const encodeServerFrame = (type, payload) => {
+  const body = payload ? toBytes(payload) : new Uint8Array(0);
+  const frame = new Uint8Array(1 + body.byteLength);
+  frame[0] = type;
+  frame.set(body, 1);
+  return frame;
+};
+
+export const decodeServerFrame = (data) => {
+  const bytes = toBytes(data);
+  if (bytes.byteLength < 1) {
+    throw new ProtocolError(ErrorCode.MALFORMED_FRAME, "Empty binary frame");
+  }
+
+  const type = bytes[0];
+  switch (type) {
+    case FrameType.AUDIO:
+    case FrameType.CALLER_AUDIO:
+      if ((bytes.byteLength - 1) % 2 !== 0) {
+        throw new ProtocolError(ErrorCode.MALFORMED_FRAME, "Misaligned audio frame");
+      }
+      return { type, payload: bytes.subarray(1) };
+    case FrameType.TURN_COMPLETE:
+    case FrameType.INTERRUPTION:
+      return { type };
+    default:
+      throw new ProtocolError(
+        ErrorCode.UNKNOWN_FRAME,
+        `Unknown server frame type 0x${type.toString(16).padStart(2, "0")}`
+      );
+  }
+};
+
+// --- JSON control messages ---
+
+const decodeMessage = (text, schemas) => {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    throw new ProtocolError(ErrorCode.MALFORMED_FRAME, "Control message is not valid JSON");
+  }
+  if (!msg || typeof msg !== "object" || typeof msg.type !== "string") {
+    throw new ProtocolError(ErrorCode.MALFORMED_FRAME, "Control message has no type");
+  }
+
+  const schema = schemas[msg.type];
+  if (!schema) {
+    throw new ProtocolError(ErrorCode.UNKNOWN_MESSAGE, `Unknown message type "${msg.type}"`);
+  }
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith("?");
+    const fieldType = optional ? spec.slice(0, -1) : spec;
+    if (optional && msg[field] == null) continue;
+    if (typeof msg[field] !== fieldType) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_MESSAGE,
+        `"${msg.type}" message ${optional ? "has invalid" : "requires"} ${fieldType} field "${field}"`
+      );
+    }
+  }
+  return msg;
+};
+
+export const decodeClientMessage = (text) => decodeMessage(text, CLIENT_MESSAGES);
+export const decodeServerMessage = (text) => decodeMessage(text, SERVER_MESSAGES);
+
+export const createError = (code, message, { fatal = false } = {}) => ({
+  type: MessageType.ERROR,
+  code,
+  message,
+  fatal
+});
@@ -0,0 +1,89 @@
+// resampler.js - Streaming sample-rate conversion for live audio
+//
+// Used by the browser's capture worklet (48 kHz -> 16 kHz) and the phone
+// bridge (8 kHz <-> 16/24 kHz). A windowed-sinc resampler: the kernel's
+// cutoff sits just below the lower of the two Nyquist frequencies, so
+// downsampling filters out what would otherwise alias into the speech band.
+// Kernel values are precomputed for PHASES fractional offsets to keep
+// process() cheap, and input history is carried between calls, so a stream
+// can be fed in any chunk size without clicks at the joins.
+
+const ZERO_CROSSINGS = 8;
+const PHASES = 128;
+const CUTOFF = 0.92; // fraction of the target Nyquist kept
+
+// Returns { process(Float32Array) -> Float32Array } for one stream
+export const createResampler = (fromRate, toRate) => {
+  if (fromRate === toRate) {
+    return { process: (input) => Float32Array.from(input) };
+  }
+
+  const step = fromRate / toRate;
+  // Cutoff in cycles per input sample
+  const fc = 0.5 * Math.min(1, toRate / fromRate) * CUTOFF;
+  const halfTaps = Math.ceil(ZERO_CROSSINGS / (2 * fc));
+  const taps = halfTaps * 2;
+
+  // Kernel values for PHASES fractional offsets of the output point
+  const kernel = [];
+  for (let phase = 0; phase <= PHASES; phase++) {
+    const frac = phase / PHASES;
+    const row = new Float32Array(taps);
+    let sum = 0;
+    for (let k = 0; k < taps; k++) {
+      const x = k - halfTaps + 1 - frac; // distance from the output point
+      const arg = 2 * fc * x;
+      const sinc = arg === 0 ? 1 : Math.sin(Math.PI * arg) / (Math.PI * arg);
+      const w = 0.42 + 0.5 * Math.cos((Math.PI * x) / halfTaps) +
+        0.08 * Math.cos((2 * Math.PI * x) / halfTaps); // Blackman
+      row[k] = Math.abs(x) < halfTaps ? sinc * w : 0;
+      sum += row[k];
+    }
+    for (let k = 0; k < taps; k++) row[k] /= sum; // unity gain at DC
+    kernel.push(row);
+  }
+
+  // Input history; starts with silence so the first outputs have context
+  let buffer = new Float32Array(taps + 4096);
+  let length = halfTaps;
+  let position = halfTaps; // fractional index of the next output sample
+
+  const append = (input) => {
+    if (length + input.length > buffer.length) {
+      const grown = new Float32Array((length + input.length) * 2);
+      grown.set(buffer.subarray(0, length));
+      buffer = grown;
+    }
+    buffer.set(input, length);
+    length += input.length;
+  };
+
+  // Keep only the history the next output sample still needs
+  const discardConsumed = () => {
+    const keepFrom = Math.floor(position) - halfTaps + 1;
+    if (keepFrom <= 0) return;
+    buffer.copyWithin(0, keepFrom, length);
+    length -= keepFrom;
+    position -= keepFrom;
+  };
+
+  const process = (input) => {
+    append(input);
+    const out = [];
+    while (position + halfTaps < length) {
+      const base = Math.floor(position);
+      const row = kernel[Math.round((position - base) * PHASES)];
+      const start = base - halfTaps + 1;
+      let acc = 0;
+      for (let k = 0; k < taps; k++) {
+        acc += buffer[start + k] * row[k];
+      }
+      out.push(acc);
+      position += step;
+    }
+    discardConsumed();
+    return Float32Array.from(out);
+  };
+
+  return { process };
+};
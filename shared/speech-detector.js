@@ -0,0 +1,99 @@
+// speech-detector.js - Finds the speech in a stream of audio frames
+//
+// An energy / zero-crossing detector, used by the browser's capture
+// worklet on the microphone and by the phone bridge on the caller's line.
+// It tracks the background level so a noisy room or line raises the bar,
+// waits for a little speech before an utterance starts (onset) and a little
+// silence before it ends (hangover), and keeps the audio from just before
+// the onset so the first syllable is not lost.
+
+export const VAD_DEFAULTS = {
+  minThreshold: 0.01,     // RMS never counted as speech below this
+  noiseMultiplier: 3,     // speech must be this much louder than the noise floor
+  maxZeroCrossings: 0.3,  // per-sample crossing rate above this is hiss, not voice
+  onsetMs: 60,            // speech needed before an utterance starts
+  hangoverMs: 500,        // silence needed before it ends
+  preRollMs: 200          // audio kept from before the onset
+};
+
+// RMS level and zero-crossing rate of one frame of samples in [-1, 1]
+export const analyseFrame = (samples) => {
+  let energy = 0;
+  let crossings = 0;
+  for (let i = 0; i < samples.length; i++) {
+    energy += samples[i] * samples[i];
+    if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+  }
+  return {
+    rms: Math.sqrt(energy / samples.length),
+    zcr: crossings / samples.length
+  };
+};
+
+// Cuts frames of `frameMs` into utterances; `options` override VAD_DEFAULTS.
+// `push(samples, payload)` takes one frame and returns { rms, started,
+// frames }: `started` is true on the frame speech begins, and `frames`
+// ({ payload, endOfSpeech }) is what to send on, i.e. the pre-roll when
+// speech starts, then every frame up to the one that ends the utterance.
+export const createSpeechDetector = ({ frameMs, ...options }) => {
+  const vad = { ...VAD_DEFAULTS, ...options };
+  let noiseFloor = vad.minThreshold;
+  let speaking = false;
+  let speechMs = 0;
+  let silenceMs = 0;
+  let preRoll = [];
+
+  const isSpeech = ({ rms, zcr }) => {
+    if (!speaking) {
+      const rate = rms < noiseFloor ? 0.3 : 0.01;
+      noiseFloor += (rms - noiseFloor) * rate;
+    }
+    const threshold = Math.max(vad.minThreshold, noiseFloor * vad.noiseMultiplier);
+    return rms >= threshold && zcr <= vad.maxZeroCrossings;
+  };
+
+  const push = (samples, payload) => {
+    const analysis = analyseFrame(samples);
+    const speech = isSpeech(analysis);
+    const result = { rms: analysis.rms, started: false, frames: [] };
+
+    if (!speaking) {
+      speechMs = speech ? speechMs + frameMs : 0;
+      preRoll.push(payload);
+      if (preRoll.length * frameMs > vad.preRollMs + frameMs) preRoll.shift();
+      if (speechMs < vad.onsetMs) return result;
+
+      speaking = true;
+      silenceMs = 0;
+      result.started = true;
+      result.frames = preRoll.map((p) => ({ payload: p, endOfSpeech: false }));
+      preRoll = [];
+      return result;
+    }
+
+    silenceMs = speech ? 0 : silenceMs + frameMs;
+    const endOfSpeech = silenceMs >= vad.hangoverMs;
+    if (endOfSpeech) {
+      speaking = false;
+      speechMs = 0;
+    }
+    result.frames = [{ payload, endOfSpeech }];
+    return result;
+  };
+
+  // Forgets the current utterance, e.g. when the caller ends it another way
+  const reset = () => {
+    speaking = false;
+    speechMs = 0;
+    silenceMs = 0;
+    preRoll = [];
+  };
+
+  return {
+    push,
+    reset,
+    get isSpeaking() {
+      return speaking;
+    }
+  };
+};